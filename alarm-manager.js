@@ -0,0 +1,338 @@
+// alarm-manager.js - ALARM ENGINE (RULES, STATES, ACKNOWLEDGEMENT, SHELVING, JOURNAL)
+const fs = require('fs');
+const eventStream = require('./event-stream');
+const TelemetryStore = require('./telemetry-store');
+const config = require('./config');
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const RULE_TYPES = ['high', 'low', 'rate'];
+
+// Telemetry alarm rules; deadband is the return-to-normal margin, delay_on_ms how long the condition must hold
+const DEFAULT_RULES = [
+    { id: 'O2_PRODUCTION_LOW', signal: 'o2_production', type: 'low', limit: 8, deadband: 0.5, delay_on_ms: 30000,
+      priority: 'critical', message: 'O₂ production below hospital supply minimum' },
+    { id: 'H2_IN_O2_HIGH', signal: 'h2_in_o2', type: 'high', limit: 1.0, deadband: 0.1, delay_on_ms: 0,
+      priority: 'critical', message: 'H₂-in-O₂ concentration high' },
+    { id: 'STACK_TEMPERATURE_HIGH', signal: 'temperature', type: 'high', limit: 78, deadband: 2, delay_on_ms: 10000,
+      priority: 'high', message: 'Stack temperature high' },
+    { id: 'STACK_PRESSURE_HIGH', signal: 'pressure', type: 'high', limit: 32, deadband: 1, delay_on_ms: 5000,
+      priority: 'high', message: 'Stack pressure high' },
+    { id: 'STACK_TEMPERATURE_RISE', signal: 'temperature', type: 'rate', limit: 2, window_ms: 60000, deadband: 0.5, delay_on_ms: 0,
+      priority: 'medium', message: 'Stack temperature rising fast (°C/min)' },
+    { id: 'STACK_VOLTAGE_HIGH', signal: 'voltage', type: 'high', limit: 40, deadband: 1, delay_on_ms: 5000,
+      priority: 'medium', message: 'Stack voltage high' },
+    { id: 'EFFICIENCY_LOW', signal: 'efficiency', type: 'low', limit: 60, deadband: 2, delay_on_ms: 60000,
+      priority: 'low', message: 'Stack efficiency low' }
+];
+
+function validateRule(rule) {
+    if (!rule.id) throw new Error('Alarm rule needs an id');
+    if (!TelemetryStore.SIGNALS[rule.signal]) throw new Error(`Alarm rule ${rule.id}: unknown signal ${rule.signal}`);
+    if (!RULE_TYPES.includes(rule.type)) throw new Error(`Alarm rule ${rule.id}: type must be one of ${RULE_TYPES.join(', ')}`);
+    if (!PRIORITIES.includes(rule.priority)) throw new Error(`Alarm rule ${rule.id}: priority must be one of ${PRIORITIES.join(', ')}`);
+    if (typeof rule.limit !== 'number') throw new Error(`Alarm rule ${rule.id}: limit must be a number`);
+    return { deadband: 0, delay_on_ms: 0, window_ms: 60000, message: rule.id, ...rule };
+}
+
+// Defaults, overridden or extended by id from ALARM_RULES_FILE
+function loadRules(rulesFile) {
+    const rules = new Map(DEFAULT_RULES.map(rule => [rule.id, rule]));
+    if (rulesFile) {
+        JSON.parse(fs.readFileSync(rulesFile, 'utf8')).forEach(rule => {
+            rules.set(rule.id, { ...rules.get(rule.id), ...rule });
+        });
+    }
+    return Array.from(rules.values()).filter(rule => rule.enabled !== false).map(validateRule);
+}
+
+class AlarmManager {
+    constructor(options = {}) {
+        this.telemetryStore = options.telemetryStore || null;
+        this.historyStore = options.historyStore || null;
+        this.rules = (options.rules || loadRules(config.alarms.rulesFile)).map(validateRule);
+        this.reannounceMs = options.reannounceMs ?? config.alarms.reannounceMs;
+        this.maxShelveMinutes = options.maxShelveMinutes ?? config.alarms.maxShelveMinutes;
+
+        this.alarms = new Map();            // id -> alarm, until cleared and acknowledged
+        this.pending = new Map();           // rule id -> time the condition was first seen (delay-on)
+        this.journal = [];                  // recent transitions, newest first
+        this.maxJournal = 500;
+        this.timer = null;
+    }
+
+    start(intervalMs = config.alarms.evaluateMs) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.evaluate(), intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // RULE EVALUATION against the live telemetry
+    evaluate(now = Date.now()) {
+        this.expireShelving(now);
+
+        this.rules.forEach(rule => {
+            const value = this.ruleValue(rule, now);
+            // Stale or missing data holds the alarm state; telemetry loss is alarmed by the control loop
+            if (value === null) {
+                this.pending.delete(rule.id);
+                return;
+            }
+
+            const alarm = this.alarms.get(rule.id);
+            const active = alarm && alarm.active;
+            if (!active && this.inAlarm(rule, value, 0)) {
+                if (!this.pending.has(rule.id)) this.pending.set(rule.id, now);
+                if (now - this.pending.get(rule.id) >= rule.delay_on_ms) {
+                    this.pending.delete(rule.id);
+                    this.activate(rule.id, {
+                        priority: rule.priority,
+                        message: rule.message,
+                        source: 'rule',
+                        value: value,
+                        limit: rule.limit
+                    }, now);
+                }
+            } else if (!active) {
+                this.pending.delete(rule.id);
+            } else if (!this.inAlarm(rule, value, rule.deadband)) {
+                this.deactivate(rule.id, value, now);
+            } else {
+                alarm.value = value;
+            }
+        });
+
+        this.reannounce(now);
+    }
+
+    ruleValue(rule, now) {
+        if (!this.telemetryStore) return null;
+        const quality = this.telemetryStore.signalQuality(rule.signal, now);
+        if (quality === 'missing' || quality === 'stale') return null;
+        if (rule.type !== 'rate') return this.telemetryStore.getLatest(rule.signal).value;
+
+        // Rate of change per minute across the window
+        const samples = this.telemetryStore.getHistory(now - rule.window_ms)
+            .filter(sample => typeof sample.values[rule.signal] === 'number');
+        if (samples.length < 2) return null;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        // Too short a span turns sensor noise into huge rates
+        if (last.received_at - first.received_at < rule.window_ms / 2) return null;
+        const minutes = (last.received_at - first.received_at) / 60000;
+        return (last.values[rule.signal] - first.values[rule.signal]) / minutes;
+    }
+
+    // Deadband widens the band only on the way back to normal
+    inAlarm(rule, value, deadband) {
+        if (rule.type === 'low') return value <= rule.limit + deadband;
+        return value >= rule.limit - deadband;
+    }
+
+    // EVENT ALARMS raised by other components (control loop, safety supervisor)
+    raise(code, options = {}) {
+        const alarm = this.alarms.get(code);
+        if (alarm && alarm.active) return alarm;
+        return this.activate(code, {
+            priority: options.priority || 'high',
+            message: options.message || code,
+            source: options.source || 'event',
+            details: options.details
+        });
+    }
+
+    clear(code) {
+        const alarm = this.alarms.get(code);
+        if (alarm && alarm.active) this.deactivate(code, null);
+    }
+
+    // STATE TRANSITIONS
+    activate(id, fields, now = Date.now()) {
+        const previous = this.alarms.get(id);
+        const alarm = {
+            id: id,
+            priority: fields.priority,
+            message: fields.message,
+            source: fields.source,
+            value: fields.value ?? null,
+            limit: fields.limit ?? null,
+            details: fields.details,
+            active: true,
+            acknowledged: false,
+            raised_at: new Date(now).toISOString(),
+            cleared_at: null,
+            acknowledged_by: null,
+            acknowledged_at: null,
+            shelved: previous ? previous.shelved : null,
+            occurrences: previous ? previous.occurrences + 1 : 1,
+            last_announced: now
+        };
+        this.alarms.set(id, alarm);
+        this.transition(alarm, 'raised', null, now);
+        return alarm;
+    }
+
+    deactivate(id, value, now = Date.now()) {
+        const alarm = this.alarms.get(id);
+        alarm.active = false;
+        alarm.value = value ?? alarm.value;
+        alarm.cleared_at = new Date(now).toISOString();
+        this.transition(alarm, 'cleared', null, now);
+        // Cleared alarms stay listed until an operator has seen them
+        if (alarm.acknowledged) this.alarms.delete(id);
+    }
+
+    acknowledge(id, operator, note = null, now = Date.now()) {
+        const alarm = this.alarms.get(id);
+        if (!alarm) throw new Error(`Unknown alarm: ${id}`);
+        if (!operator) throw new Error('Acknowledging an alarm requires an operator name');
+        if (alarm.acknowledged) return alarm;
+
+        alarm.acknowledged = true;
+        alarm.acknowledged_by = operator;
+        alarm.acknowledged_at = new Date(now).toISOString();
+        this.transition(alarm, 'acknowledged', { operator, note }, now);
+        if (!alarm.active) this.alarms.delete(id);
+        return alarm;
+    }
+
+    // SHELVING: temporary suppression with an expiry; critical alarms can never be shelved
+    shelve(id, operator, minutes, reason, now = Date.now()) {
+        const alarm = this.alarms.get(id);
+        if (!alarm) throw new Error(`Unknown alarm: ${id}`);
+        if (alarm.priority === 'critical') throw new Error(`Critical alarm ${id} cannot be shelved`);
+        if (!operator || !reason) throw new Error('Shelving an alarm requires an operator name and a reason');
+        if (!(minutes > 0 && minutes <= this.maxShelveMinutes)) {
+            throw new Error(`Shelve duration must be between 1 and ${this.maxShelveMinutes} minutes`);
+        }
+
+        alarm.shelved = {
+            by: operator,
+            reason: reason,
+            at: new Date(now).toISOString(),
+            until: new Date(now + minutes * 60000).toISOString()
+        };
+        this.transition(alarm, 'shelved', { operator, reason, minutes }, now);
+        return alarm;
+    }
+
+    unshelve(id, operator, now = Date.now()) {
+        const alarm = this.alarms.get(id);
+        if (!alarm) throw new Error(`Unknown alarm: ${id}`);
+        if (!alarm.shelved) return alarm;
+
+        alarm.shelved = null;
+        alarm.last_announced = now;
+        this.transition(alarm, 'unshelved', { operator }, now);
+        return alarm;
+    }
+
+    expireShelving(now) {
+        this.alarms.forEach(alarm => {
+            if (alarm.shelved && Date.parse(alarm.shelved.until) <= now) {
+                this.unshelve(alarm.id, 'shelve timer', now);
+            }
+        });
+    }
+
+    // Unacknowledged critical and high alarms are pushed again until someone acknowledges them
+    reannounce(now) {
+        this.alarms.forEach(alarm => {
+            if (alarm.acknowledged || alarm.shelved || !['critical', 'high'].includes(alarm.priority)) return;
+            if (now - alarm.last_announced >= this.reannounceMs) {
+                alarm.last_announced = now;
+                eventStream.publish('alarm', this.describe(alarm, 'reannounced', now));
+            }
+        });
+    }
+
+    transition(alarm, event, details, now) {
+        const entry = {
+            alarm_id: alarm.id,
+            event: event,
+            priority: alarm.priority,
+            state: this.stateOf(alarm),
+            message: alarm.message,
+            value: alarm.value,
+            ...details,
+            timestamp: new Date(now).toISOString()
+        };
+        this.journal.unshift(entry);
+        if (this.journal.length > this.maxJournal) this.journal.pop();
+
+        const icon = event === 'raised' ? '🚨' : event === 'cleared' ? '✅' : '🔔';
+        console.log(`${icon} Alarm ${event}: ${alarm.id} [${alarm.priority}] ${alarm.message}`);
+        // Shelved alarms still journal, but don't interrupt the operator
+        if (!alarm.shelved || event === 'shelved') {
+            eventStream.publish('alarm', this.describe(alarm, event, now));
+        }
+        if (this.historyStore) {
+            try {
+                const { timestamp, ...record } = entry;
+                this.historyStore.append('alarms', record, new Date(now));
+            } catch (error) {
+                console.error('❌ Failed to journal alarm:', error.message);
+            }
+        }
+    }
+
+    stateOf(alarm) {
+        if (alarm.shelved) return 'shelved';
+        if (alarm.active) return alarm.acknowledged ? 'acknowledged' : 'active_unacknowledged';
+        return alarm.acknowledged ? 'normal' : 'cleared_unacknowledged';
+    }
+
+    // SSE payload; code/severity keep older dashboards working
+    describe(alarm, event, now = Date.now()) {
+        const { last_announced, ...fields } = alarm;
+        return {
+            ...fields,
+            code: alarm.id,
+            severity: alarm.priority,
+            state: this.stateOf(alarm),
+            event: event,
+            timestamp: new Date(now).toISOString()
+        };
+    }
+
+    get(id) {
+        return this.alarms.get(id) || null;
+    }
+
+    // Listed alarms, highest priority first, then newest
+    getAlarms() {
+        return Array.from(this.alarms.values())
+            .sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) ||
+                Date.parse(b.raised_at) - Date.parse(a.raised_at))
+            .map(alarm => this.describe(alarm, 'listed'));
+    }
+
+    getSummary() {
+        const alarms = Array.from(this.alarms.values());
+        const summary = { total: alarms.length, unacknowledged: 0, shelved: 0, by_priority: {} };
+        PRIORITIES.forEach(priority => { summary.by_priority[priority] = 0; });
+        alarms.forEach(alarm => {
+            if (!alarm.acknowledged) summary.unacknowledged++;
+            if (alarm.shelved) summary.shelved++;
+            summary.by_priority[alarm.priority]++;
+        });
+        return summary;
+    }
+
+    // Persistent journal when a history store is attached, else the in-memory tail
+    async getJournal({ from, to, limit = 200 } = {}) {
+        if (!this.historyStore) return this.journal.slice(0, limit);
+        return (await this.historyStore.read({ stream: 'alarms', from, to, limit }))
+            .reverse()
+            .map(({ type, recorded_at, ...entry }) => ({ ...entry, timestamp: recorded_at }));
+    }
+}
+
+AlarmManager.PRIORITIES = PRIORITIES;
+AlarmManager.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = AlarmManager;
@@ -1,16 +1,455 @@
 // app.js - ENHANCED FOR MPC COMPARISON DASHBOARD
 const express = require('express');
-const mqttClient = require('./mqtt');
+const mqttClient = require('./mqtt-server');
+const simulinkBridge = require('./simulink-bridge');
+const config = require('./config');
+const HistoryStore = require('./history-store');
+const eventStream = require('./event-stream');
+const ControlLoop = require('./control-loop');
 const RealKenyaNeuralMPC = require('./neural-mpc');
+const SupplyForecaster = require('./supply-forecaster');
+const StateEstimator = require('./state-estimator');
+const TrainingJobs = require('./training-jobs');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
 app.use(express.json());
+app.use(express.text({ type: 'text/csv' }));         // census and surgery imports
 app.use(express.static('public'));
 
-const neuralMPC = new RealKenyaNeuralMPC();
+const neuralMPC = new RealKenyaNeuralMPC({
+    telemetryStore: simulinkBridge.telemetryStore,
+    alarmManager: simulinkBridge.alarmManager
+});
+neuralMPC.outageManager.start();
+const controlLoop = new ControlLoop(neuralMPC, {
+    safetySupervisor: simulinkBridge.safetySupervisor,
+    alarmManager: simulinkBridge.alarmManager
+});
+const alarmManager = simulinkBridge.alarmManager;
+const supplyForecaster = new SupplyForecaster(neuralMPC);
+const trainingJobs = new TrainingJobs({
+    logDir: neuralMPC.trainingPipeline.logDir,
+    modelDir: neuralMPC.modelRegistry.modelDir,
+    // The new model is loaded here, where the controllers run, not in the training process
+    onTrained: (entry, job) => {
+        if (!job.options.activate) return;
+        neuralMPC.activateModel(entry.version);
+        job.activated = true;
+    }
+});
+
+// Bearer DASHBOARD_TOKEN; without a configured token nobody is authenticated
+function isDashboard(req) {
+    const token = config.auth.dashboardToken;
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!token || !match) return false;
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const given = crypto.createHash('sha256').update(match[1]).digest();
+    return crypto.timingSafeEqual(expected, given);
+}
+
+// Operator actions change plant, alarm or planner state: dashboard token required.
+// Tripping the e-stop stays open to anyone; resetting it does not
+function requireOperator(req, res, next) {
+    if (isDashboard(req)) return next();
+    res.status(401).json({ error: 'Operator action requires the dashboard token' });
+}
+
+// Broker address and topic namespace for anyone, browser MQTT credentials only with the dashboard token
+app.get('/api/config', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(config.browserConfig(isDashboard(req)));
+});
+
+// LIVE TELEMETRY
+app.get('/api/telemetry', (req, res) => {
+    const since = req.query.since ? Date.parse(req.query.since) : null;
+    res.json({
+        state: simulinkBridge.telemetryStore.getSystemState(),
+        snapshot: simulinkBridge.telemetryStore.getSnapshot(),
+        history: since ? simulinkBridge.telemetryStore.getHistory(since) : undefined
+    });
+});
+
+// PERSISTENT HISTORY: /api/history?signal=efficiency&from=&to=&step=15m
+app.get('/api/history', async (req, res) => {
+    try {
+        const parseTime = value => {
+            if (value === undefined) return undefined;
+            const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+            if (Number.isNaN(time)) throw new Error(`Invalid time: ${value}`);
+            return time;
+        };
+        res.json(await neuralMPC.historyStore.query({
+            signal: req.query.signal,
+            from: parseTime(req.query.from),
+            to: parseTime(req.query.to),
+            stepSeconds: HistoryStore.parseStep(req.query.step)
+        }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/history/signals', (req, res) => {
+    res.json(HistoryStore.SIGNALS);
+});
+
+// SERVER PUSH: pem_data, mpc_decision, alarm and comparison events
+app.get('/api/stream', (req, res) => eventStream.handler(req, res));
+
+// One shared comparison per interval while dashboards are subscribed, instead of one per polling client
+const PUSH_INTERVAL_MS = parseInt(process.env.MPC_PUSH_INTERVAL_MS || '30000', 10);
+let pushedComparisonRunning = false;
+setInterval(async () => {
+    if (eventStream.clientCount() === 0 || pushedComparisonRunning) return;
+    pushedComparisonRunning = true;
+    try {
+        await neuralMPC.runMPCComparison();
+    } catch (error) {
+        console.error('❌ Pushed MPC comparison failed:', error.message);
+    } finally {
+        pushedComparisonRunning = false;
+    }
+}, PUSH_INTERVAL_MS);
+
+// CONTROL LOOP (the only path that actuates the plant)
+app.get('/api/control/state', (req, res) => {
+    res.json(controlLoop.getState());
+});
+
+app.post('/api/control/start', requireOperator, (req, res) => {
+    try {
+        res.json(controlLoop.start(req.body.mode));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/control/stop', requireOperator, (req, res) => {
+    res.json(controlLoop.stop());
+});
+
+app.post('/api/control/mode', requireOperator, (req, res) => {
+    try {
+        res.json(controlLoop.setMode(req.body.mode));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// SAFETY SUPERVISOR
+app.get('/api/safety/state', (req, res) => {
+    res.json(simulinkBridge.safetySupervisor.getState());
+});
+
+app.post('/api/safety/estop', (req, res) => {
+    const eStop = simulinkBridge.safetySupervisor.emergencyStop(req.body.source || 'dashboard');
+    controlLoop.stop();
+    res.json(eStop);
+});
+
+app.post('/api/safety/reset', requireOperator, (req, res) => {
+    try {
+        res.json(simulinkBridge.safetySupervisor.reset(req.body.operator));
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+// ALARMS: listed alarms, rules, journal, acknowledge and shelve
+app.get('/api/alarms', (req, res) => {
+    res.json({ summary: alarmManager.getSummary(), alarms: alarmManager.getAlarms() });
+});
+
+app.get('/api/alarms/rules', (req, res) => {
+    res.json(alarmManager.rules);
+});
+
+app.get('/api/alarms/journal', async (req, res) => {
+    const from = req.query.from ? Date.parse(req.query.from) : undefined;
+    const to = req.query.to ? Date.parse(req.query.to) : undefined;
+    if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ error: 'Invalid from/to time' });
+    try {
+        res.json(await alarmManager.getJournal({ from, to, limit: parseInt(req.query.limit || '200', 10) }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/alarms/:id/acknowledge', requireOperator, (req, res) => {
+    if (!alarmManager.get(req.params.id)) return res.status(404).json({ error: `Unknown alarm: ${req.params.id}` });
+    try {
+        res.json(alarmManager.acknowledge(req.params.id, req.body.operator, req.body.note));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/alarms/:id/shelve', requireOperator, (req, res) => {
+    if (!alarmManager.get(req.params.id)) return res.status(404).json({ error: `Unknown alarm: ${req.params.id}` });
+    try {
+        res.json(alarmManager.shelve(req.params.id, req.body.operator, Number(req.body.minutes), req.body.reason));
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+app.post('/api/alarms/:id/unshelve', requireOperator, (req, res) => {
+    if (!alarmManager.get(req.params.id)) return res.status(404).json({ error: `Unknown alarm: ${req.params.id}` });
+    res.json(alarmManager.unshelve(req.params.id, req.body.operator));
+});
 
-// MPC COMPARISON API ROUTES
+// HOSPITAL DEMAND MODEL: site config, census / surgery / emergency imports, hourly forecast
+app.get('/api/demand/config', (req, res) => {
+    res.json(neuralMPC.demandModel.getConfig());
+});
+
+app.put('/api/demand/config', requireOperator, (req, res) => {
+    try {
+        res.json(neuralMPC.demandModel.setConfig(req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/demand/census', requireOperator, (req, res) => {
+    try {
+        res.json(neuralMPC.demandModel.importCensus(req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/demand/surgeries', requireOperator, (req, res) => {
+    try {
+        res.json(neuralMPC.demandModel.importSurgeries(req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.put('/api/demand/emergency', requireOperator, (req, res) => {
+    try {
+        res.json(neuralMPC.demandModel.setEmergencyArrivals(req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/demand/forecast', (req, res) => {
+    const hours = req.query.hours ? Number(req.query.hours) : 24;
+    const start = req.query.start ? new Date(req.query.start) : new Date();
+    if (!(hours >= 1 && hours <= 168) || Number.isNaN(start.getTime())) {
+        return res.status(400).json({ error: 'hours must be 1-168 and start a valid time' });
+    }
+    res.json({ hospital: neuralMPC.demandModel.getConfig().hospital, hourly: neuralMPC.demandModel.forecast(start, hours) });
+});
+
+// O₂ SUPPLY ADEQUACY: /api/supply/forecast?hours=48&storage_level=1200
+app.get('/api/supply/forecast', (req, res) => {
+    try {
+        res.json(supplyForecaster.forecast({
+            hours: req.query.hours ? Number(req.query.hours) : undefined,
+            storageLevel: req.query.storage_level ? Number(req.query.storage_level) : undefined
+        }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// TARIFFS: versions, price at any time, hourly schedule, monthly bill from metered power
+app.get('/api/tariffs', (req, res) => {
+    res.json(neuralMPC.tariffEngine.tariffs);
+});
+
+app.post('/api/tariffs', requireOperator, (req, res) => {
+    try {
+        res.json(neuralMPC.tariffEngine.addTariff(req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/tariffs/price', (req, res) => {
+    const time = req.query.time ? new Date(req.query.time) : new Date();
+    if (Number.isNaN(time.getTime())) return res.status(400).json({ error: `Invalid time: ${req.query.time}` });
+    try {
+        res.json(neuralMPC.tariffEngine.priceAt(time));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+app.get('/api/tariffs/schedule', (req, res) => {
+    const start = req.query.start ? new Date(req.query.start) : new Date();
+    const hours = req.query.hours ? Number(req.query.hours) : 24;
+    if (!(hours >= 1 && hours <= 744) || Number.isNaN(start.getTime())) {
+        return res.status(400).json({ error: 'hours must be 1-744 and start a valid time' });
+    }
+    try {
+        res.json(neuralMPC.tariffEngine.schedule(start, hours));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Body: { month: 'YYYY-MM', power_factor, readings: [{ time, power_kw }] } or CSV time,power_kw[,power_factor]
+app.post('/api/tariffs/bill', (req, res) => {
+    try {
+        const readings = typeof req.body === 'string'
+            ? req.body.trim().split(/\r?\n/).slice(1).map(line => {
+                const [time, power, powerFactor] = line.split(',').map(cell => cell.trim());
+                return { time, power_kw: Number(power), power_factor: powerFactor ? Number(powerFactor) : undefined };
+            })
+            : req.body.readings;
+        const options = typeof req.body === 'string' ? req.query : req.body;
+        res.json(neuralMPC.tariffEngine.bill(readings, {
+            month: options.month,
+            powerFactor: options.power_factor ? Number(options.power_factor) : undefined
+        }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// WEATHER FORECAST: /api/weather?refresh=1 bypasses the cache
+app.get('/api/weather', async (req, res) => {
+    try {
+        res.json(await neuralMPC.weatherProvider.getForecast({ force: req.query.refresh === '1' }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POWER SOURCES: day-ahead PV / grid / diesel dispatch of the economic plan
+app.get('/api/power/dispatch', async (req, res) => {
+    try {
+        const [weather, hospital] = await Promise.all([neuralMPC.getRealKenyaWeather(), neuralMPC.getRealKNHDemand()]);
+        const scheduler = neuralMPC.mpcAlgorithms.economicScheduler;
+        const plan = scheduler.optimize({ demandProfile: hospital.hourly_profile, weather: weather });
+        res.json({
+            sources: scheduler.powerDispatch.getConfig(),
+            hourly: plan.hourly_plan.map(step => ({
+                hour: step.hour, period: step.period, current: step.current,
+                load_kw: step.power_kw + step.compressor_kwh,
+                pv_kw: step.pv_kw, grid_kw: step.grid_kw, diesel_kw: step.diesel_kw,
+                fuel_l: step.fuel_l, co2_kg: step.co2_kg, cost: step.energy_cost
+            })),
+            source_mix: plan.source_mix,
+            pv_curtailed_kwh: plan.pv_curtailed_kwh,
+            fuel_l: plan.fuel_l,
+            fuel_cost: plan.fuel_cost,
+            co2_kg: plan.co2_kg,
+            fuel_l_per_m3: plan.fuel_l_per_m3,
+            co2_kg_per_m3: plan.co2_kg_per_m3,
+            cost_per_m3: plan.cost_per_m3,
+            weather: { source: weather.source, stale: weather.stale, fallback: weather.fallback }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GRID OUTAGE MODE: status with reserve projection, operator trigger, planned load-shedding
+app.get('/api/outage', async (req, res) => {
+    try {
+        const [weather, hospital] = await Promise.all([neuralMPC.getRealKenyaWeather(), neuralMPC.getRealKNHDemand()]);
+        const status = neuralMPC.outageManager.evaluate();
+        const tank = neuralMPC.mpcAlgorithms.storageTank;
+        res.json({
+            ...status,
+            reserve: neuralMPC.mpcAlgorithms.reserveProtection({ storage_level: tank.level }, {
+                o2_demand: hospital.current_demand,
+                priority_demand: hospital.priority_demand,
+                outage: status,
+                weather_forecast: weather
+            }),
+            schedule: neuralMPC.outageManager.getSchedule()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/outage/declare', requireOperator, (req, res) => {
+    try {
+        res.json(neuralMPC.outageManager.declare(req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/outage/clear', requireOperator, (req, res) => {
+    try {
+        res.json(neuralMPC.outageManager.clear(req.body.operator));
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+app.get('/api/outage/schedule', (req, res) => {
+    res.json(neuralMPC.outageManager.getSchedule());
+});
+
+// Body: [{ start, end, area }] or CSV start,end[,area]
+app.post('/api/outage/schedule', requireOperator, (req, res) => {
+    try {
+        res.json(neuralMPC.outageManager.importSchedule(req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// STATE ESTIMATION: filtered temperature/efficiency, disturbance estimates and covariance
+app.get('/api/estimator', (req, res) => {
+    res.json({ ...neuralMPC.stateEstimator.getEstimate(), methods: StateEstimator.METHODS });
+});
+
+// Body: { method: 'kf' | 'ekf' | 'mhe' }
+app.put('/api/estimator/method', requireOperator, (req, res) => {
+    try {
+        res.json({ method: neuralMPC.stateEstimator.setMethod(req.body.method) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// STACK DEGRADATION: voltage decay, remaining useful life, wear cost in the MPC objectives
+app.get('/api/degradation', (req, res) => {
+    const degradation = neuralMPC.degradationModel;
+    const operatingPoint = req.query.current !== undefined
+        ? { current: parseFloat(req.query.current), temperature: req.query.temperature !== undefined ? parseFloat(req.query.temperature) : undefined }
+        : {};
+    res.json({
+        remaining_useful_life: degradation.remainingUsefulLife(operatingPoint),
+        state: degradation.getState(),
+        objectives: neuralMPC.mpcAlgorithms.degradationObjectives
+    });
+});
+
+// Body: { objectives: 'all' | 'none' | ['Standard-MPC', ...] }
+app.put('/api/degradation/objectives', requireOperator, (req, res) => {
+    try {
+        res.json({ objectives: neuralMPC.mpcAlgorithms.setDegradationObjectives(req.body.objectives) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Stack replacement starts a new life
+app.post('/api/degradation/reset', requireOperator, (req, res) => {
+    res.json(neuralMPC.degradationModel.reset());
+});
+
+// O₂ STORAGE TANK: level (gauge or estimate), pressure, reserve margin, compression energy
+app.get('/api/storage/state', (req, res) => {
+    res.json(neuralMPC.mpcAlgorithms.storageTank.getState());
+});
+
+// MPC COMPARISON API ROUTES (read-only)
 app.get('/api/mpc/compare', async (req, res) => {
     try {
         console.log('🧠 MPC Comparison Request');
@@ -21,12 +460,44 @@ app.get('/api/mpc/compare', async (req, res) => {
     }
 });
 
+// One simulation at a time: each is minutes of solver work shared with the control loop
+let simulationRunning = false;
+app.post('/api/mpc/simulate', async (req, res) => {
+    if (simulationRunning) return res.status(409).json({ error: 'A closed-loop simulation is already running' });
+    const hours = Number(req.body.hours ?? 24);
+    const controlInterval = Number(req.body.control_interval ?? 300);
+    if (!Number.isFinite(hours) || !Number.isFinite(controlInterval)) {
+        return res.status(400).json({ error: 'hours and control_interval must be numbers' });
+    }
+    simulationRunning = true;
+    try {
+        console.log('🔁 Closed-loop simulation request');
+        const results = await neuralMPC.runClosedLoopSimulation({
+            hours: hours,
+            controlInterval: controlInterval,
+            algorithms: req.body.algorithms,
+            startTime: req.body.start_time
+        });
+        // Full trajectories are large, only return them on request
+        if (!req.body.include_trajectories) {
+            Object.values(results.simulation.runs).forEach(run => delete run.trajectory);
+        }
+        res.json(results);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    } finally {
+        simulationRunning = false;
+    }
+});
+
 app.get('/api/mpc/status', async (req, res) => {
     const status = {
         system: 'active',
+        mqtt: mqttClient.getConnectionStatus(),
+        control: controlLoop.getState(),
         mpc_algorithms: ['HE-NMPC', 'Standard-MPC', 'MixedInteger-MPC', 'Stochastic-MPC', 'HEMPC'],
         data_sources: {
-            weather: 'active',
+            weather: neuralMPC.weatherProvider.getStatus(),
             electricity: 'active', 
             hospital: 'active'
         },
@@ -35,6 +506,58 @@ app.get('/api/mpc/status', async (req, res) => {
     res.json(status);
 });
 
+// NEURAL MODEL REGISTRY ROUTES
+app.get('/api/models', (req, res) => {
+    res.json(neuralMPC.modelRegistry.list());
+});
+
+app.get('/api/models/:version', (req, res) => {
+    const entry = neuralMPC.modelRegistry.get(req.params.version);
+    if (!entry) return res.status(404).json({ error: `Unknown model version: ${req.params.version}` });
+    res.json(entry);
+});
+
+// Training runs in a child process: the request returns a job id to poll
+app.post('/api/models/train', requireOperator, async (req, res) => {
+    try {
+        console.log('🧠 Model training request');
+        await neuralMPC.historyStore.flush();   // the job reads the logs from disk
+        const job = trainingJobs.start({
+            epochs: req.body.epochs,
+            ensembleSize: req.body.ensemble_size,
+            validationRatio: req.body.validation_ratio,
+            activate: req.body.activate
+        });
+        res.status(202).json(job);
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+app.get('/api/models/train/:job', (req, res) => {
+    const job = trainingJobs.get(req.params.job);
+    if (!job) return res.status(404).json({ error: `Unknown training job: ${req.params.job}` });
+    res.json(job);
+});
+
+app.post('/api/models/rollback', requireOperator, (req, res) => {
+    try {
+        const version = neuralMPC.rollbackModel();
+        res.json({ active: version });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+app.post('/api/models/:version/activate', requireOperator, (req, res) => {
+    try {
+        neuralMPC.activateModel(req.params.version);
+        res.json({ active: req.params.version });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
 // Serve MPC Comparison Dashboard
 app.get('/mpc-dashboard', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'mpc-dashboard.html'));
@@ -45,4 +568,14 @@ app.listen(PORT, () => {
     console.log(`🏥 KNH MPC System running on port ${PORT}`);
     console.log(`📊 MPC Dashboard: http://localhost:${PORT}/mpc-dashboard`);
     mqttClient.connect();
+    simulinkBridge.connectToMATLAB();
+    if (config.control.autostart) {
+        controlLoop.start();
+    }
 });
+
+// Exit through process.exit so buffered history is written before the server goes down
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    console.log(`⏹️ ${signal}: shutting down`);
+    process.exit(0);
+}));
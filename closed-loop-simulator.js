@@ -0,0 +1,313 @@
+// closed-loop-simulator.js - MULTI-HOUR CLOSED-LOOP MPC BENCHMARK AGAINST THE PEM PLANT
+const MPCAlgorithms = require('./mpc-algorithms');
+const WeatherProvider = require('./weather-provider');
+const config = require('./config');
+
+class ClosedLoopSimulator {
+    constructor(mpcAlgorithms, options = {}) {
+        this.mpcAlgorithms = mpcAlgorithms;
+        this.plant = options.plantModel || mpcAlgorithms.pemModel;
+        this.tank = options.storageTank || mpcAlgorithms.storageTank;
+        this.sampleTime = options.sampleTime ?? mpcAlgorithms.sampleTime;  // s, plant integration step
+        this.controlInterval = options.controlInterval ?? this.sampleTime; // s, controller re-solve period
+    }
+
+    static get algorithms() {
+        return MPCAlgorithms.TYPES;
+    }
+
+    // Runs every requested algorithm over the same scenario, one after the other
+    async run(scenario = {}) {
+        const algorithms = scenario.algorithms || ClosedLoopSimulator.algorithms;
+        const unknown = algorithms.filter(name => !MPCAlgorithms.TYPES.includes(name));
+        if (unknown.length > 0) throw new Error(`Unknown MPC algorithm: ${unknown.join(', ')}`);
+
+        // Whole UTC hours are whole site hours (sites in whole-hour offset zones)
+        const startTime = new Date(Math.floor((scenario.startTime ? new Date(scenario.startTime) : new Date()).getTime() / 3600000) * 3600000);
+        const hours = scenario.hours ?? 24;
+        // Every solve runs on the server's event loop: bound the work one request can ask for
+        if (!(hours > 0 && hours <= config.simulation.maxHours)) {
+            throw new Error(`hours must be between 0 and ${config.simulation.maxHours}`);
+        }
+        if (!(this.controlInterval >= this.sampleTime)) {
+            throw new Error(`control_interval must be at least the ${this.sampleTime}s sample time`);
+        }
+        const solves = algorithms.length * Math.ceil(hours * 3600 / this.controlInterval);
+        if (solves > config.simulation.maxSolves) {
+            throw new Error(`Simulation needs ${solves} controller solves (limit ${config.simulation.maxSolves}): shorten hours, lengthen control_interval or pick fewer algorithms`);
+        }
+
+        console.log(`🔁 Closed-loop simulation: ${algorithms.length} controllers × ${hours} h (control every ${this.controlInterval}s)`);
+
+        const runs = {};
+        for (const name of algorithms) {
+            runs[name] = await this.simulateAlgorithm(name, { ...scenario, startTime, hours });
+        }
+
+        return {
+            start_time: startTime.toISOString(),
+            hours: hours,
+            sample_time: this.sampleTime,
+            control_interval: this.controlInterval,
+            runs: runs,
+            summary: Object.fromEntries(Object.entries(runs).map(([name, result]) => [name, result.summary]))
+        };
+    }
+
+    async simulateAlgorithm(name, scenario) {
+        const constraints = { current_min: 100, current_max: 200, temp_max: 80, ...scenario.constraints };
+        const setpoints = scenario.setpoints || { temperature: 70, efficiency: 75, o2_production: 40 };
+        const initial = scenario.initialState || { temperature: 65.9, efficiency: 72.5, current: 177 };
+        const totalSteps = Math.round(scenario.hours * 3600 / this.sampleTime);
+        const holdSteps = Math.max(1, Math.round(this.controlInterval / this.sampleTime));
+
+        const state = {
+            temperature: initial.temperature,
+            efficiency: initial.efficiency,
+            storage_level: initial.storage_level ?? this.tank.level
+        };
+        const scheduler = this.mpcAlgorithms.economicScheduler;
+        const degradation = this.mpcAlgorithms.degradationModel;
+        const binary = { stack_on: initial.current > 0 ? 1 : 0, steps_in_state: Infinity };
+        let current = initial.current;
+        let previousCurrent = current;
+        let computation = 0;
+        let failures = 0;
+        let lastError = null;
+
+        const trajectory = [];
+        let control = null;
+
+        for (let step = 0; step < totalSteps; step++) {
+            const time = new Date(scenario.startTime.getTime() + step * this.sampleTime * 1000);
+            const conditions = this.conditionsAt(scenario, time, setpoints, constraints);
+            const hour = conditions.economicData.hour;
+
+            if (step % holdSteps === 0) {
+                conditions.constraints.previous_current = current;
+                conditions.constraints.stack_on = binary.stack_on;
+                conditions.constraints.steps_in_state = binary.steps_in_state;
+
+                try {
+                    const result = await this.mpcAlgorithms.runAlgorithm(
+                        name, [state.temperature, state.efficiency, state.storage_level], conditions
+                    );
+                    const previousOn = binary.stack_on;
+                    previousCurrent = current;
+                    current = result.optimal_current;
+                    computation = result.computation_time;
+                    binary.stack_on = result.binary_decisions ? result.binary_decisions.stack_on[0] : (current > 0 ? 1 : 0);
+                    binary.steps_in_state = binary.stack_on === previousOn ? binary.steps_in_state + 1 : 1;
+                } catch (error) {
+                    // Hold the last applied current, as the field controller would
+                    failures++;
+                    lastError = error.message;
+                    computation = 0;
+                    previousCurrent = current;
+                }
+                // Let the control loop and other requests run between solves
+                await new Promise(resolve => setImmediate(resolve));
+                control = {
+                    current, computation, rate: conditions.economicData.current_price,
+                    irradiance: WeatherProvider.valueAt(conditions.weatherForecast, 'irradiance', time) ?? conditions.weatherData.irradiance ?? 0,
+                    ambient: conditions.weatherData.temperature,
+                    gridAvailable: !conditions.constraints.outage
+                };
+            }
+
+            const next = this.plant.step(state, current, this.sampleTime, conditions.weatherData.temperature);
+            state.temperature = next.temperature;
+            state.efficiency = next.efficiency;
+
+            // Plant O₂ into the tank, hospital draw out of it; cylinders cover any breach of the reserve
+            const demand = conditions.hospitalForecast?.current_demand ?? 0;
+            const tank = this.tank.step(state.storage_level, scheduler.o2Rate(current), demand, this.sampleTime / 3600);
+            state.storage_level = tank.level;
+
+            if (step % holdSteps === 0) {
+                trajectory.push({
+                    time: time.toISOString(),
+                    hour: hour,
+                    current: current,
+                    temperature: next.temperature,
+                    efficiency: next.efficiency,
+                    power: next.power,
+                    o2_production: next.o2_production,
+                    storage_level: tank.level,
+                    backup_o2: 0,
+                    compressor_kwh: 0,
+                    pv_kwh: 0,
+                    grid_kwh: 0,
+                    diesel_kwh: 0,
+                    fuel_l: 0,
+                    co2_kg: 0,
+                    unserved_kwh: 0,
+                    plant_o2_m3: 0,
+                    grid_available: control.gridAvailable,
+                    energy_kwh: 0,
+                    energy_cost: 0,
+                    dispatch_cost: 0,
+                    // Stack wear per stack: cold starts and load swings at the move, decay while it holds
+                    start_stops: previousCurrent <= 0 && current > 0 ? 1 : 0,
+                    degradation_uv: degradation.cycleLoss({
+                        startups: previousCurrent <= 0 && current > 0 ? 1 : 0,
+                        swing: previousCurrent > 0 && current > 0 ? current - previousCurrent : 0
+                    }),
+                    computation_time: control.computation
+                });
+            }
+            // Energy is billed at plant resolution, attributed to the active control interval
+            const sample = trajectory[trajectory.length - 1];
+            sample.energy_kwh += next.power * this.sampleTime / 3600;
+            sample.energy_cost += next.power * this.sampleTime / 3600 * control.rate;
+            sample.degradation_uv += degradation.rate(current, next.temperature) * this.sampleTime / 3600;
+            // Tank figures are plant-wide (all stacks feed the one tank)
+            sample.storage_level = Math.min(sample.storage_level, tank.level);
+            sample.backup_o2 += tank.backup;
+            sample.compressor_kwh += tank.compressor_kwh;
+            // Plant load (all stacks + compressor) dispatched across PV, grid and diesel
+            const hours = this.sampleTime / 3600;
+            const power = scheduler.powerDispatch.dispatch(scheduler.powerKW(current) + tank.compressor_kwh / hours, {
+                irradiance: control.irradiance, ambient: control.ambient, gridRate: control.rate, gridAvailable: control.gridAvailable
+            });
+            sample.pv_kwh += power.pv_kw * hours;
+            sample.grid_kwh += power.grid_kw * hours;
+            sample.diesel_kwh += (power.diesel_kw - power.diesel_dumped_kw) * hours;
+            sample.fuel_l += power.fuel_lph * hours;
+            sample.co2_kg += power.co2_kg_per_hour * hours;
+            sample.unserved_kwh += power.unserved_kw * hours;
+            sample.dispatch_cost += power.cost_per_hour * hours;
+            sample.plant_o2_m3 += scheduler.o2Rate(current) * hours;
+        }
+
+        if (failures > 0) {
+            console.warn(`⚠️ ${name}: ${failures} failed solves in closed loop (last: ${lastError})`);
+        }
+
+        const hourly = this.summarizeHours(trajectory, constraints);
+        return {
+            type: name,
+            trajectory: trajectory,
+            hourly: hourly,
+            summary: { ...this.summarize(trajectory, constraints), failed_solves: failures }
+        };
+    }
+
+    // Tariff and demand valid during the simulated hour, weather interpolated to the sample
+    conditionsAt(scenario, time, setpoints, constraints) {
+        const electricity = scenario.economicData;
+        const tariff = this.mpcAlgorithms.economicScheduler.getTariffRate(time);
+        const hour = tariff.hour;                   // site-local, like the tariff bands
+        const hospital = scenario.hospitalForecast;
+        const weather = scenario.weather || {};
+        const ambient = WeatherProvider.temperatureAt(weather, time) ?? weather.current?.temperature ?? 20;
+        // Scenario outages trip the protect-reserve mode while they last, as the outage manager would
+        const windows = scenario.outageWindows || [];
+        const outage = windows.find(window => Date.parse(window.start) <= time.getTime() && Date.parse(window.end) > time.getTime());
+
+        return {
+            setpoints: setpoints,
+            constraints: {
+                ...constraints,
+                ambient_forecast: weather.hourly
+                    ? WeatherProvider.ambientForecast(weather, time, this.mpcAlgorithms.predictionHorizon + 1, this.mpcAlgorithms.sampleTime)
+                    : [ambient],
+                outage: outage
+                    ? { active: true, source: outage.source || 'schedule', remaining_hours: (Date.parse(outage.end) - time.getTime()) / 3600000 }
+                    : null,
+                outage_windows: windows
+            },
+            uncertainty: scenario.uncertainty || { weather_variance: 0.1, demand_variance: 0.15 },
+            economicData: { ...electricity, hour: hour, time: time.toISOString(), current_price: tariff.rate, period: tariff.period },
+            hospitalForecast: hospital && hospital.hourly_profile
+                ? { ...hospital, current_demand: hospital.hourly_profile[hour] }
+                : hospital,
+            weatherData: {
+                ...weather.current,
+                temperature: ambient
+            },
+            weatherForecast: weather.hourly ? weather : null
+        };
+    }
+
+    // METRICS (same keys as MPCComparator.calculatePerformanceMetrics)
+    summarize(samples, constraints) {
+        const mean = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+        const running = samples.filter(sample => sample.current > 0);
+        const temperatures = samples.map(sample => sample.temperature);
+        const temperatureStd = Math.sqrt(mean(temperatures.map(t => Math.pow(t - mean(temperatures), 2))));
+        const computation = mean(samples.map(sample => sample.computation_time));
+        const levels = samples.map(sample => sample.storage_level);
+        const total = key => samples.reduce((sum, sample) => sum + sample[key], 0);
+        const compressorKWh = total('compressor_kwh');
+        const plantKWh = total('pv_kwh') + total('grid_kwh') + total('diesel_kwh');
+        const plantO2 = total('plant_o2_m3');
+        const share = key => plantKWh > 0 ? total(key) / plantKWh : 0;
+        const simulatedHours = samples.length * this.controlInterval / 3600;
+        const degradationCost = total('degradation_uv') * this.mpcAlgorithms.degradationModel.costPerMicrovolt();
+        const stacks = this.mpcAlgorithms.economicScheduler.plant.stacks;
+
+        return {
+            efficiency: mean(running.map(sample => sample.efficiency)),
+            cost: samples.reduce((sum, sample) => sum + sample.energy_cost, 0),
+            response_time: computation,
+            computation_time: computation,
+            stability: Math.max(0, 1 - temperatureStd / 10),
+            constraint_violations: this.countViolations(samples, constraints),
+            o2_production: mean(samples.map(sample => sample.o2_production)),
+            storage_level: levels[levels.length - 1],
+            reserve_margin: Math.min(...levels) - this.tank.params.min_reserve,
+            compressor_kw: compressorKWh / simulatedHours,
+            pv_fraction: share('pv_kwh'),
+            grid_fraction: share('grid_kwh'),
+            diesel_fraction: share('diesel_kwh'),
+            fuel_l_per_m3: plantO2 > 0 ? total('fuel_l') / plantO2 : 0,
+            co2_kg_per_m3: plantO2 > 0 ? total('co2_kg') / plantO2 : 0,
+            degradation_rate: simulatedHours > 0 ? total('degradation_uv') / simulatedHours : 0,  // µV/h per cell
+            degradation_cost: degradationCost,                                                  // KES per stack, as cost
+            tco_per_m3: plantO2 > 0 ? (total('dispatch_cost') + degradationCost * stacks) / plantO2 : 0,
+            start_stops: total('start_stops'),
+            min_storage_level: Math.min(...levels),
+            reserve_violations: samples.filter(sample => sample.backup_o2 > 0).length,
+            backup_o2: samples.reduce((sum, sample) => sum + sample.backup_o2, 0),
+            compressor_kwh: compressorKWh,
+            source_mix: { pv_kwh: total('pv_kwh'), grid_kwh: total('grid_kwh'), diesel_kwh: total('diesel_kwh') },
+            fuel_l: total('fuel_l'),
+            co2_kg: total('co2_kg'),
+            outage_samples: samples.filter(sample => !sample.grid_available).length,
+            unserved_kwh: total('unserved_kwh'),
+            peak_temperature: Math.max(...temperatures),
+            energy_kwh: samples.reduce((sum, sample) => sum + sample.energy_kwh, 0)
+        };
+    }
+
+    summarizeHours(trajectory, constraints) {
+        const byHour = new Map();
+        trajectory.forEach(sample => {
+            const key = sample.time.slice(0, 13);
+            if (!byHour.has(key)) byHour.set(key, []);
+            byHour.get(key).push(sample);
+        });
+        return Array.from(byHour.values()).map(samples => ({
+            time: samples[0].time,
+            hour: samples[0].hour,
+            metrics: this.summarize(samples, constraints)
+        }));
+    }
+
+    countViolations(samples, constraints) {
+        const rateMax = constraints.current_rate_max ?? 20;
+        let violations = 0;
+        samples.forEach((sample, i) => {
+            if (sample.temperature > constraints.temp_max) violations++;
+            if (sample.backup_o2 > 0) violations++;
+            if (sample.current > 0 && (sample.current < constraints.current_min - 0.5 || sample.current > constraints.current_max + 0.5)) violations++;
+            // Startups and shutdowns are governed by the on/off logic, not the ramp limit
+            const previous = i > 0 ? samples[i - 1].current : null;
+            if (previous > 0 && sample.current > 0 && Math.abs(sample.current - previous) > rateMax + 0.01) violations++;
+        });
+        return violations;
+    }
+}
+
+module.exports = ClosedLoopSimulator;
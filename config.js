@@ -0,0 +1,146 @@
+// config.js - SITE + MQTT CONFIGURATION FROM ENVIRONMENT VARIABLES
+const fs = require('fs');
+const path = require('path');
+
+const env = process.env;
+
+function envBool(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+function readFileIfSet(filePath) {
+    return filePath ? fs.readFileSync(filePath) : undefined;
+}
+
+const siteId = env.SITE_ID || 'knh';
+
+const config = {
+    site: {
+        id: siteId,
+        name: env.SITE_NAME || 'Kenyatta National Hospital',
+        timezone: env.SITE_TIMEZONE || 'Africa/Nairobi'                  // hours of day are site-local
+    },
+    auth: {
+        dashboardToken: env.DASHBOARD_TOKEN || null                        // bearer token for operator actions and the browser MQTT credentials
+    },
+    telemetry: {
+        staleAfterMs: parseInt(env.TELEMETRY_STALE_MS || '10000', 10),   // no control on older data
+        bufferSize: parseInt(env.TELEMETRY_BUFFER_SIZE || '3600', 10)     // samples kept in memory
+    },
+    control: {
+        mode: env.CONTROL_MODE || 'HE-NMPC',                              // algorithm driving the plant
+        autostart: envBool(env.CONTROL_AUTOSTART, false)
+    },
+    tariffs: {
+        file: env.TARIFF_FILE || null                                       // JSON array of tariff versions
+    },
+    weather: {
+        source: env.WEATHER_SOURCE || 'open-meteo',                         // open-meteo | file | mock
+        url: env.WEATHER_URL || 'https://api.open-meteo.com/v1/forecast',   // point at a mock server in tests
+        file: env.WEATHER_FILE || null,                                     // JSON or CSV for the file source
+        cacheFile: env.WEATHER_CACHE_FILE || path.join(__dirname, 'cache', 'weather.json'),
+        cacheTtlMs: parseInt(env.WEATHER_CACHE_TTL_MS || env.CONTROL_WEATHER_REFRESH_MS || '600000', 10),
+        maxStaleMs: parseInt(env.WEATHER_MAX_STALE_MS || '172800000', 10),  // serve a stale forecast up to 48 h
+        timeoutMs: parseInt(env.WEATHER_TIMEOUT_MS || '5000', 10),
+        retryMs: parseInt(env.WEATHER_RETRY_MS || '30000', 10)            // first retry after a failed fetch, doubling up to the TTL
+    },
+    power: {
+        pvCapacityKwp: parseFloat(env.PV_CAPACITY_KWP || '500'),                  // rooftop array, 0 disables PV
+        gridEmissionFactor: parseFloat(env.GRID_EMISSION_FACTOR || '0.12'),       // kg CO₂/kWh
+        dieselRatedKw: parseFloat(env.DIESEL_RATED_KW || '1000'),                 // 0 disables the generator
+        dieselFuelPrice: parseFloat(env.DIESEL_FUEL_PRICE || '180')               // KES/L
+    },
+    outage: {
+        assumedHours: parseFloat(env.OUTAGE_ASSUMED_HOURS || '4')                 // planning length of an outage with no known end
+    },
+    estimation: {
+        method: env.STATE_ESTIMATOR || 'ekf',                                       // kf | ekf | mhe
+        mheWindow: parseInt(env.MHE_WINDOW || '10', 10)                             // samples in the moving horizon
+    },
+    degradation: {
+        objectives: env.DEGRADATION_OBJECTIVES || 'all',                           // MPC types with the degradation cost term: all | none | comma list
+        replacementCost: parseFloat(env.STACK_REPLACEMENT_COST || '1200000')      // KES per stack
+    },
+    simulation: {
+        maxHours: parseInt(env.SIM_MAX_HOURS || '72', 10),                  // longest closed-loop benchmark
+        maxSolves: parseInt(env.SIM_MAX_SOLVES || '3000', 10)               // controller solves per request, all algorithms
+    },
+    demand: {
+        configFile: env.HOSPITAL_CONFIG_FILE || null                        // JSON site config, KNH defaults otherwise
+    },
+    history: {
+        flushMs: parseInt(env.HISTORY_FLUSH_MS || '1000', 10),              // appends are batched and written this often
+        restoreLimit: parseInt(env.HISTORY_RESTORE_LIMIT || '10000', 10),   // newest records reloaded per stream on start
+        memoryLimit: parseInt(env.HISTORY_MEMORY_LIMIT || '5000', 10)       // metrics and training samples kept in memory
+    },
+    training: {
+        timeoutMs: parseInt(env.TRAIN_TIMEOUT_MS || '1800000', 10)          // background training job is killed after this
+    },
+    alarms: {
+        rulesFile: env.ALARM_RULES_FILE || null,                            // JSON array, overrides rules by id
+        evaluateMs: parseInt(env.ALARM_EVALUATE_MS || '1000', 10),
+        reannounceMs: parseInt(env.ALARM_REANNOUNCE_MS || '60000', 10),     // repeat unacknowledged critical/high
+        maxShelveMinutes: parseInt(env.ALARM_MAX_SHELVE_MINUTES || '480', 10)
+    },
+    mqtt: {
+        // Server-side connection (Node, TCP or TLS)
+        protocol: env.MQTT_PROTOCOL || 'mqtt',              // mqtt | mqtts | ws | wss
+        host: env.MQTT_HOST || 'localhost',
+        port: parseInt(env.MQTT_PORT || '1883', 10),
+        path: env.MQTT_PATH || '',
+        username: env.MQTT_USERNAME || undefined,
+        password: env.MQTT_PASSWORD || undefined,
+        clientIdPrefix: env.MQTT_CLIENT_ID_PREFIX || `${siteId}-server`,
+        // Prefix for every topic so several plants can share one broker ('' disables)
+        topicNamespace: env.MQTT_TOPIC_NAMESPACE ?? `sites/${siteId}`,
+        tls: {
+            ca: env.MQTT_TLS_CA,
+            cert: env.MQTT_TLS_CERT,
+            key: env.MQTT_TLS_KEY,
+            rejectUnauthorized: envBool(env.MQTT_TLS_REJECT_UNAUTHORIZED, true)
+        },
+        // Browser connection (Paho over WebSockets); never reuses the server credentials
+        browser: {
+            host: env.MQTT_WS_HOST || env.MQTT_HOST || 'localhost',
+            port: parseInt(env.MQTT_WS_PORT || '9001', 10),
+            path: env.MQTT_WS_PATH || '/mqtt',
+            useSSL: envBool(env.MQTT_WS_TLS, false),
+            username: env.MQTT_BROWSER_USERNAME || undefined,
+            password: env.MQTT_BROWSER_PASSWORD || undefined,
+            clientIdPrefix: env.MQTT_BROWSER_CLIENT_ID_PREFIX || `${siteId}-web`
+        }
+    }
+};
+
+config.mqtt.brokerUrl = env.MQTT_BROKER_URL ||
+    `${config.mqtt.protocol}://${config.mqtt.host}:${config.mqtt.port}${config.mqtt.path}`;
+
+// Options for mqtt.connect(), TLS material loaded from the configured file paths
+config.mqttConnectOptions = function () {
+    const tls = this.mqtt.tls;
+    return {
+        username: this.mqtt.username,
+        password: this.mqtt.password,
+        ca: readFileIfSet(tls.ca),
+        cert: readFileIfSet(tls.cert),
+        key: readFileIfSet(tls.key),
+        rejectUnauthorized: tls.rejectUnauthorized
+    };
+};
+
+// Subset served to the browser by /api/config; broker credentials only to an authenticated dashboard
+config.browserConfig = function (withCredentials = false) {
+    const { username, password, ...broker } = this.mqtt.browser;
+    return {
+        site: this.site,
+        mqtt: {
+            ...broker,
+            ...(withCredentials ? { username, password } : {}),
+            topicNamespace: this.mqtt.topicNamespace
+        },
+        credentials: withCredentials ? 'included' : 'withheld'
+    };
+};
+
+module.exports = config;
@@ -0,0 +1,245 @@
+// control-loop.js - BACKGROUND MPC CONTROLLER SERVICE (ONE MOVE PER SAMPLE TIME)
+const MPCAlgorithms = require('./mpc-algorithms');
+const eventStream = require('./event-stream');
+const config = require('./config');
+
+class ControlLoop {
+    constructor(neuralMPC, options = {}) {
+        this.neuralMPC = neuralMPC;
+        this.mpcAlgorithms = neuralMPC.mpcAlgorithms;
+        this.intervalMs = options.intervalMs ?? this.mpcAlgorithms.sampleTime * 1000;
+        this.mode = options.mode ?? config.control.mode;
+        this.safetySupervisor = options.safetySupervisor || null;
+        this.alarmManager = options.alarmManager || null;
+        this.raisedAlarms = new Set();      // event alarms to clear once control recovers
+        this.timer = null;
+        this.busy = false;
+
+        this.state = {
+            running: false,
+            started_at: null,
+            ticks: 0,
+            overruns: 0,
+            blocked: 0,
+            last_tick_at: null,
+            last_command: null,
+            last_error: null,
+            blocked_reason: null
+        };
+        // On/off history for the mixed-integer controller's min up/down times; null until the plant reports
+        this.binary = { stack_on: null, steps_in_state: Infinity };
+    }
+
+    start(mode) {
+        if (mode) this.setMode(mode);
+        if (this.timer) return this.getState();
+
+        // The plant may have been switched while the loop was stopped
+        this.binary = { stack_on: null, steps_in_state: Infinity };
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+        this.state.running = true;
+        this.state.started_at = new Date().toISOString();
+        console.log(`▶️ Control loop started: ${this.mode} every ${this.intervalMs / 1000}s`);
+        this.tick();
+        return this.getState();
+    }
+
+    stop() {
+        if (!this.timer) return this.getState();
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.state.running = false;
+        console.log('⏹️ Control loop stopped, plant holds its last setpoint');
+        return this.getState();
+    }
+
+    setMode(mode) {
+        if (!MPCAlgorithms.TYPES.includes(mode)) {
+            throw new Error(`Unknown control mode: ${mode} (expected one of ${MPCAlgorithms.TYPES.join(', ')})`);
+        }
+        if (mode !== this.mode) {
+            console.log(`🔀 Control mode ${this.mode} → ${mode}`);
+            this.mode = mode;
+        }
+        return this.getState();
+    }
+
+    async tick() {
+        // Never queue ticks behind a slow solve: skip and count it
+        if (this.busy) {
+            this.state.overruns++;
+            return;
+        }
+        this.busy = true;
+        this.state.ticks++;
+        this.state.last_tick_at = new Date().toISOString();
+
+        let currentState = null;
+        let applied = null;                 // current the stacks run at until the next tick, null when unknown
+        try {
+            currentState = await this.neuralMPC.getCurrentSystemState();
+            if (!currentState.usable) {
+                this.block(`telemetry ${currentState.quality}`, currentState.signal_quality);
+                return;
+            }
+            if (this.binary.stack_on === null && currentState.signal_quality.current === 'good') {
+                this.binary.stack_on = currentState.current > 0 ? 1 : 0;
+            }
+
+            // The provider serves its cached forecast between refreshes
+            const weather = await this.neuralMPC.getRealKenyaWeather();
+            const electricity = this.neuralMPC.getRealKenyaElectricity();
+            const hospital = this.neuralMPC.getRealKNHDemand();
+            const conditions = this.neuralMPC.buildOperatingConditions(weather, electricity, hospital, currentState);
+            conditions.constraints.stack_on = this.binary.stack_on;
+            conditions.constraints.steps_in_state = this.binary.steps_in_state;
+
+            const mode = this.mode;
+            const result = await this.mpcAlgorithms.runAlgorithm(
+                mode, [currentState.temperature, currentState.efficiency, currentState.storage_level], conditions
+            );
+
+            // Every move passes the safety supervisor before it is published
+            let command = result;
+            let safetyActions = [];
+            if (this.safetySupervisor) {
+                const decision = this.safetySupervisor.evaluate({
+                    command: 'apply_mpc_control',
+                    mpc_type: mode,
+                    optimal_current: result.optimal_current
+                });
+                safetyActions = decision.actions.map(action => action.code);
+                if (!decision.allowed) {
+                    this.block(`safety ${safetyActions.join(', ')}`);
+                    return;
+                }
+                command = { ...result, optimal_current: decision.command.optimal_current };
+            }
+
+            const issued = this.neuralMPC.sendToMATLAB(command);
+            if (issued && this.safetySupervisor) {
+                this.safetySupervisor.recordApplied(command.optimal_current);
+            }
+            if (issued) {
+                applied = command.optimal_current;
+                // Stack wear of this move until the next tick, for the remaining-useful-life estimate
+                this.neuralMPC.degradationModel.update(command.optimal_current, currentState.temperature, this.intervalMs / 3600000, {
+                    started: this.binary.stack_on === 0 && command.optimal_current > 0,
+                    previousCurrent: currentState.current
+                });
+                this.neuralMPC.recordAppliedDecision(mode, currentState, conditions, result, command.optimal_current);
+            }
+
+            const stackOn = result.binary_decisions ? result.binary_decisions.stack_on[0] : (result.optimal_current > 0 ? 1 : 0);
+            this.binary.steps_in_state = this.binary.stack_on === null || stackOn === this.binary.stack_on ? this.binary.steps_in_state + 1 : 1;
+            this.binary.stack_on = stackOn;
+
+            this.state.blocked_reason = null;
+            this.state.last_error = null;
+            this.clearAlarms();
+            this.recordCommand({
+                mpc_type: mode,
+                optimal_current: command.optimal_current,
+                requested_current: result.optimal_current,
+                safety_actions: safetyActions,
+                objective: result.objective || 'economic',
+                hours_to_reserve_exhausted: result.reserve_protection ? result.reserve_protection.hours_to_reserve_exhausted : undefined,
+                degradation_cost_per_hour: result.degradation ? result.degradation.cost_per_hour : undefined,
+                storage_level: this.mpcAlgorithms.storageTank.level,
+                storage_level_source: currentState.storage_level_source,
+                control_issued: issued,
+                control_blocked_reason: issued ? null : 'mqtt publish failed',
+                computation_time: result.computation_time,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.state.last_error = error.message;
+            console.error('❌ Control tick failed:', error.message);
+            this.raiseAlarm('CONTROL_TICK_FAILED', `Control tick failed: ${error.message}`);
+        } finally {
+            this.integrateTank(currentState, applied);
+            this.busy = false;
+        }
+    }
+
+    // No tank gauge: the hospital draws O₂ every tick, whether or not a move went out
+    integrateTank(currentState, applied) {
+        if (currentState && currentState.storage_level_source !== 'estimate') return;
+        try {
+            // Without an issued move, trust only a fresh current reading; unknown counts as stopped,
+            // so the estimate errs low rather than hiding a reserve breach
+            const measured = currentState && currentState.signal_quality.current === 'good' ? currentState.current : 0;
+            const current = applied ?? measured;
+            this.mpcAlgorithms.storageTank.update(
+                current > 0 ? this.mpcAlgorithms.economicScheduler.o2Rate(current) : 0,
+                this.neuralMPC.getRealKNHDemand().current_demand,
+                this.intervalMs / 3600000
+            );
+        } catch (error) {
+            console.error('❌ Storage estimate update failed:', error.message);
+        }
+    }
+
+    block(reason, details) {
+        this.state.blocked++;
+        // Alarm once per blocking episode, not on every tick; safety blocks are alarmed by the supervisor
+        if (this.state.blocked_reason !== reason) {
+            console.warn(`⚠️ Control withheld: ${reason}`);
+            if (reason.startsWith('telemetry')) {
+                this.raiseAlarm('TELEMETRY_' + reason.split(' ').pop().toUpperCase(), `MPC control withheld: ${reason}`, details);
+            }
+        }
+        this.state.blocked_reason = reason;
+        this.recordCommand({
+            mpc_type: this.mode,
+            optimal_current: null,
+            control_issued: false,
+            control_blocked_reason: reason,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    recordCommand(command) {
+        this.state.last_command = command;
+        eventStream.publish('mpc_decision', command);
+        try {
+            this.neuralMPC.historyStore.append('control', command);
+        } catch (error) {
+            console.error('❌ Failed to persist control command:', error.message);
+        }
+    }
+
+    raiseAlarm(code, message, details) {
+        if (this.alarmManager) {
+            this.raisedAlarms.add(code);
+            this.alarmManager.raise(code, { priority: 'high', message, details, source: 'control_loop' });
+            return;
+        }
+        eventStream.publish('alarm', {
+            code: code,
+            severity: 'warning',
+            message: message,
+            details: details,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    clearAlarms() {
+        if (!this.alarmManager) return;
+        this.raisedAlarms.forEach(code => this.alarmManager.clear(code));
+        this.raisedAlarms.clear();
+    }
+
+    getState() {
+        return {
+            ...this.state,
+            mode: this.mode,
+            modes: MPCAlgorithms.TYPES,
+            interval_ms: this.intervalMs,
+            stack_on: this.binary.stack_on
+        };
+    }
+}
+
+module.exports = ControlLoop;
@@ -0,0 +1,213 @@
+// degradation-model.js - PEM STACK DEGRADATION (VOLTAGE DECAY, START/STOP CYCLING, REMAINING USEFUL LIFE)
+const PEMStackModel = require('./pem-model');
+const config = require('./config');
+
+const GAS_CONSTANT = 8.314;         // J/(mol·K)
+const KELVIN = 273.15;
+
+class DegradationModel {
+    constructor(options = {}) {
+        this.pemModel = options.pemModel || new PEMStackModel();
+        this.historyStore = options.historyStore || null;
+        this.params = {
+            base_rate: 4,                       // µV/h per cell at the reference point (PEM field data: 2–10)
+            reference_current_density: 1.0,    // A/cm²
+            reference_temperature: 60,          // °C
+            current_exponent: 1.5,              // catalyst dissolution and membrane thinning rise with load
+            activation_energy: 30000,           // J/mol, Arrhenius acceleration with temperature
+            start_stop_loss: 15,                // µV per cell per shutdown/restart cycle
+            load_swing_loss: 2,                 // µV per cell per A/cm² of current swing
+            eol_voltage_rise: 0.15,             // V per cell at end of life (~10 % of beginning-of-life voltage)
+            replacement_cost: config.degradation.replacementCost,  // KES per stack (MEAs, seals, labour)
+            voltage_filter: 0.01,               // EWMA weight of one measured voltage sample
+            ...options.params
+        };
+        this.persistIntervalMs = options.persistIntervalMs ?? 10 * 60 * 1000;
+
+        // Accumulated life of the installed stacks
+        this.state = {
+            voltage_rise_uv: 0,                 // model estimate, µV per cell
+            measured_rise_uv: null,             // from stack voltage telemetry, µV per cell
+            measured_samples: 0,
+            operating_hours: 0,
+            start_stops: 0,
+            installed_at: new Date().toISOString()
+        };
+        this.lastPersistAt = 0;
+        this.lastVoltageAt = null;          // telemetry time of the last voltage sample fused
+        this.restore();
+    }
+
+    // STEADY-STATE DECAY RATE (µV/h per cell) at a current (A) and stack temperature (°C)
+    rate(current, temperatureC) {
+        if (!(current > 0)) return 0;
+        const p = this.params;
+        const density = current / this.pemModel.params.area / p.reference_current_density;
+        const thermal = Math.exp(p.activation_energy / GAS_CONSTANT *
+            (1 / (p.reference_temperature + KELVIN) - 1 / (temperatureC + KELVIN)));
+        return p.base_rate * Math.pow(density, p.current_exponent) * thermal;
+    }
+
+    // Cycling damage (µV per cell) of one start/stop and of a current swing (A)
+    cycleLoss({ startups = 0, swing = 0 } = {}) {
+        const p = this.params;
+        return startups * p.start_stop_loss + Math.abs(swing) / this.pemModel.params.area * p.load_swing_loss;
+    }
+
+    // COST: one end-of-life voltage rise costs one stack replacement
+    costPerMicrovolt() {
+        return this.params.replacement_cost / (this.params.eol_voltage_rise * 1e6);
+    }
+
+    costPerHour(current, temperatureC) {
+        return this.rate(current, temperatureC) * this.costPerMicrovolt(); // KES/h per stack
+    }
+
+    // Slope and curvature of the wear cost (KES per stack) over `hours` at a current, for QP objectives
+    linearize(current, temperatureC, hours, delta = 1) {
+        const cost = I => this.costPerHour(I, temperatureC) * hours;
+        return {
+            slope: (cost(current + delta) - cost(current - delta)) / (2 * delta),
+            curvature: Math.max(0, (cost(current + delta) - 2 * cost(current) + cost(current - delta)) / (delta * delta))
+        };
+    }
+
+    startStopCost() {
+        return this.cycleLoss({ startups: 1 }) * this.costPerMicrovolt();
+    }
+
+    // KES per stack over a trajectory of currents (A) and temperatures (°C), dt in hours
+    trajectoryCost(currents, temperatures, dtHours, { previousCurrent = null, initialOn = 1 } = {}) {
+        let microvolts = 0;
+        let last = previousCurrent ?? currents[0];
+        let on = initialOn;
+        currents.forEach((current, k) => {
+            microvolts += this.rate(current, temperatures[k] ?? temperatures[temperatures.length - 1]) * dtHours;
+            const running = current > 0 ? 1 : 0;
+            microvolts += this.cycleLoss({ startups: running && !on ? 1 : 0, swing: running && on ? current - last : 0 });
+            on = running;
+            last = current;
+        });
+        return microvolts * this.costPerMicrovolt();
+    }
+
+    // LIFE TRACKING: integrate what the plant actually ran
+    update(current, temperatureC, hours, { started = false, previousCurrent = null } = {}) {
+        this.state.voltage_rise_uv += this.rate(current, temperatureC) * hours + this.cycleLoss({
+            startups: started ? 1 : 0,
+            swing: !started && previousCurrent !== null ? current - previousCurrent : 0
+        });
+        if (current > 0) this.state.operating_hours += hours;
+        if (started) this.state.start_stops++;
+        this.persist();
+        return this.state;
+    }
+
+    // Measured stack voltage against the beginning-of-life model at the same current and temperature
+    observeVoltage(current, temperatureC, stackVoltage, time = Date.now()) {
+        if (!(current > 0.5 * this.params.reference_current_density * this.pemModel.params.area) || !(stackVoltage > 0)) return null;
+        // Same telemetry sample as last time: already counted
+        const t = new Date(time).getTime();
+        if (this.lastVoltageAt !== null && t <= this.lastVoltageAt) return this.state.measured_rise_uv;
+        this.lastVoltageAt = t;
+        const rise = (stackVoltage - this.pemModel.stackVoltage(current, temperatureC)) / this.pemModel.params.cells * 1e6;
+        const weight = this.state.measured_rise_uv === null ? 1 : this.params.voltage_filter;
+        this.state.measured_rise_uv = this.state.measured_rise_uv === null
+            ? rise
+            : this.state.measured_rise_uv + weight * (rise - this.state.measured_rise_uv);
+        this.state.measured_samples++;
+        return this.state.measured_rise_uv;
+    }
+
+    // REMAINING USEFUL LIFE (operating hours), measured rise preferred once enough samples are in
+    remainingUsefulLife({ current, temperature } = {}) {
+        const eol = this.params.eol_voltage_rise * 1e6;
+        const measured = this.state.measured_samples >= 100 && this.state.measured_rise_uv !== null;
+        const rise = Math.max(0, measured ? this.state.measured_rise_uv : this.state.voltage_rise_uv);
+        // Decay rate at a requested operating point, else the average over the stack's life so far
+        const referenceCurrent = this.params.reference_current_density * this.pemModel.params.area;
+        const rate = current !== undefined
+            ? this.rate(current, temperature ?? this.params.reference_temperature)
+            : this.state.operating_hours > 1
+                ? this.state.voltage_rise_uv / this.state.operating_hours
+                : this.rate(referenceCurrent, this.params.reference_temperature);
+        const hours = rate > 0 ? Math.max(0, eol - rise) / rate : null;
+
+        return {
+            voltage_rise_uv: rise,
+            voltage_rise_source: measured ? 'telemetry' : 'model',
+            model_voltage_rise_uv: this.state.voltage_rise_uv,
+            measured_voltage_rise_uv: this.state.measured_rise_uv,
+            eol_voltage_rise_uv: eol,
+            life_used: Math.min(1, rise / eol),
+            rate_uv_per_hour: rate,
+            rul_hours: hours,
+            rul_days: hours === null ? null : hours / 24,
+            end_of_life_at: hours === null ? null : new Date(Date.now() + hours * 3600 * 1000).toISOString(),
+            operating_hours: this.state.operating_hours,
+            start_stops: this.state.start_stops,
+            cost_per_hour: rate * this.costPerMicrovolt()
+        };
+    }
+
+    // PERSISTENCE: a snapshot every few minutes, the latest one restored on start
+    persist(force = false) {
+        if (!this.historyStore || (!force && Date.now() - this.lastPersistAt < this.persistIntervalMs)) return;
+        this.lastPersistAt = Date.now();
+        try {
+            this.historyStore.append('degradation', this.state);
+        } catch (error) {
+            console.error('❌ Failed to persist degradation state:', error.message);
+        }
+    }
+
+    async restore() {
+        if (!this.historyStore) return;
+        const installedAt = this.state.installed_at;
+        try {
+            const records = await this.historyStore.read({ stream: 'degradation', limit: 1 });
+            // Nothing saved, or the stack was replaced while the read was pending
+            if (records.length === 0 || this.state.installed_at !== installedAt) return;
+            const { type, recorded_at, ...saved } = records[records.length - 1];
+            // Wear integrated while the read was pending adds onto the saved life instead of being lost
+            const live = this.state;
+            // The live filter started from its first sample: weigh it as that many EWMA steps on the saved value
+            const weight = 1 - Math.pow(1 - this.params.voltage_filter, live.measured_samples);
+            const measured = saved.measured_rise_uv === null || saved.measured_rise_uv === undefined || live.measured_rise_uv === null
+                ? live.measured_rise_uv ?? saved.measured_rise_uv ?? null
+                : saved.measured_rise_uv + weight * (live.measured_rise_uv - saved.measured_rise_uv);
+            this.state = {
+                ...live,
+                ...saved,
+                voltage_rise_uv: (saved.voltage_rise_uv ?? 0) + live.voltage_rise_uv,
+                measured_rise_uv: measured,
+                measured_samples: (saved.measured_samples ?? 0) + live.measured_samples,
+                operating_hours: (saved.operating_hours ?? 0) + live.operating_hours,
+                start_stops: (saved.start_stops ?? 0) + live.start_stops
+            };
+        } catch (error) {
+            console.error('❌ Degradation state restore failed:', error.message);
+        }
+    }
+
+    // Stack replacement resets the accumulated life
+    reset(installedAt = new Date()) {
+        this.state = {
+            voltage_rise_uv: 0,
+            measured_rise_uv: null,
+            measured_samples: 0,
+            operating_hours: 0,
+            start_stops: 0,
+            installed_at: installedAt.toISOString()
+        };
+        this.persist(true);
+        console.log(`🔧 Stack degradation reset (installed ${this.state.installed_at})`);
+        return this.state;
+    }
+
+    getState() {
+        return { ...this.state, params: this.params, cost_per_microvolt: this.costPerMicrovolt() };
+    }
+}
+
+module.exports = DegradationModel;
@@ -0,0 +1,278 @@
+// economic-scheduler.js - 24H ECONOMIC LAYER (KPLC TIME-OF-USE + PV/DIESEL DISPATCH + O₂ STORAGE)
+const PEMStackModel = require('./pem-model');
+const O2StorageTank = require('./o2-storage-tank');
+const TariffEngine = require('./tariff-engine');
+const PowerDispatch = require('./power-dispatch');
+const WeatherProvider = require('./weather-provider');
+
+class EconomicScheduler {
+    constructor(options = {}) {
+        this.pemModel = options.pemModel || new PEMStackModel();
+        this.storageTank = options.storageTank || new O2StorageTank();
+        this.tariffEngine = options.tariffEngine || new TariffEngine();
+        this.powerDispatch = options.powerDispatch || new PowerDispatch({ tariffEngine: this.tariffEngine });
+        this.degradationModel = options.degradationModel || null;
+        // Plant sized so its current range covers the KNH daily demand (wards, theaters, emergency)
+        this.plant = {
+            stacks: 300,                // identical stacks of pemModel.params.cells cells
+            nominal_temperature: 70,    // °C, hourly planning ignores thermal transients
+            current_min: 100,           // A
+            current_max: 200,           // A
+            current_step: 10,           // A, DP action grid
+            power_factor: 0.95,
+            ...options.plant
+        };
+        this.storage = {
+            capacity: this.storageTank.params.capacity,         // m³ O₂ (STP)
+            min_reserve: this.storageTank.params.min_reserve,   // m³ kept for the hospital at all times
+            level_step: 10,             // m³, DP state grid
+            ...options.storage
+        };
+        this.backupCostPerM3 = options.backupCostPerM3 ?? 450;  // KES/m³ cylinder O₂
+        this.unservedCostPerKWh = options.unservedCostPerKWh ?? 10000; // KES/kWh, load backup power cannot carry
+        this.horizonHours = options.horizonHours ?? 24;
+    }
+
+    // PLANT CONVERSIONS (physics stack model at nominal temperature)
+    cellVoltage(current) {
+        return this.pemModel.cellVoltage(current, this.plant.nominal_temperature);
+    }
+
+    efficiency(current) {
+        return this.pemModel.efficiency(current, this.plant.nominal_temperature); // % LHV
+    }
+
+    o2Rate(current) {
+        // Faraday's law per stack, L/min -> m³/h for the whole plant
+        return this.pemModel.o2ProductionRate(current) * this.plant.stacks * 60 / 1000;
+    }
+
+    powerKW(current) {
+        return this.pemModel.stackVoltage(current, this.plant.nominal_temperature) * current * this.plant.stacks / 1000;
+    }
+
+    temperatureSetpoint(current, tempMax = 80) {
+        // Run warmer at high load to cut ohmic losses, with margin to the limit
+        return Math.min(tempMax - 5, 60 + 0.15 * (current - this.plant.current_min));
+    }
+
+    // All-in price (band + levies + VAT) in the site timezone, from the tariff engine
+    getTariffRate(time = new Date()) {
+        const price = this.tariffEngine.priceAt(time);
+        return { rate: price.rate, period: price.band, day_type: price.day_type, hour: price.local_hour };
+    }
+
+    // Stack wear of the whole plant for one hour at a current (KES/h), 0 without a degradation model
+    degradationCostPerHour(current, tempMax = 80) {
+        if (!this.degradationModel) return 0;
+        return this.degradationModel.costPerHour(current, this.temperatureSetpoint(current, tempMax)) * this.plant.stacks;
+    }
+
+    // Plant load (stacks + O₂ compressor) split across PV, grid and diesel for one planning hour
+    dispatchHour(hour, current, compressorKWh) {
+        return this.powerDispatch.dispatch(this.powerKW(current) + compressorKWh, {
+            irradiance: hour.irradiance, ambient: hour.ambient, gridRate: hour.rate, gridAvailable: hour.gridAvailable
+        });
+    }
+
+    // Highest current PV plus the diesel generator can carry without the grid (1 A resolution)
+    backupCurrentLimit({ irradiance = 0, ambient = 20 } = {}) {
+        const dispatch = this.powerDispatch;
+        const available = dispatch.pvPower(irradiance, ambient) + (dispatch.diesel.available ? dispatch.diesel.rated_kw : 0);
+        for (let I = Math.floor(this.plant.current_max); I > 0; I--) {
+            const load = this.powerKW(I) + this.storageTank.compressorPowerKW(this.o2Rate(I));
+            if (load <= available) return I;
+        }
+        return 0;
+    }
+
+    // Dynamic programming over storage level, repeated for each candidate peak current
+    // demandSeries (m³/h per plan hour) overrides the hour-of-day demandProfile
+    optimize({ demandProfile, demandSeries, start = new Date(), storageLevel, tempMax = 80, horizonHours = this.horizonHours, weather = null, outageWindows = [], degradation = false }) {
+        const H = horizonHours;
+        const { capacity, level_step: levelStep } = this.storage;
+        const initialLevel = storageLevel ?? this.storageTank.level;
+        const levels = Math.floor(capacity / levelStep) + 1;
+        const toIndex = level => Math.min(levels - 1, Math.max(0, Math.round(level / levelStep)));
+
+        const currents = [];
+        for (let I = this.plant.current_min; I <= this.plant.current_max + 1e-9; I += this.plant.current_step) {
+            currents.push(I);
+        }
+
+        // Wear cost per candidate current; only priced into the DP when the objective includes it
+        const wear = new Map(currents.map(I => [I, this.degradationCostPerHour(I, tempMax)]));
+        const wearWeight = degradation ? 1 : 0;
+
+        const hours = [];
+        for (let h = 0; h < H; h++) {
+            const time = new Date(start.getTime() + h * 3600 * 1000);
+            const tariff = this.getTariffRate(time);
+            hours.push({
+                ...tariff,
+                demand: demandSeries ? demandSeries[h] : demandProfile[tariff.hour],
+                // Mid-hour irradiance; no forecast plans without PV, which never makes the schedule infeasible
+                irradiance: WeatherProvider.valueAt(weather, 'irradiance', new Date(time.getTime() + 1800 * 1000)) ?? 0,
+                ambient: WeatherProvider.temperatureAt(weather, time) ?? 20,
+                // Grid down for any part of the hour (current outage or planned load-shedding)
+                gridAvailable: !outageWindows.some(window =>
+                    Date.parse(window.start) < time.getTime() + 3600 * 1000 && Date.parse(window.end) > time.getTime()
+                )
+            });
+        }
+
+        // Dispatch depends on the hour and the current, not on the DP state: solve it once per pair.
+        // Compression is priced at the mid-band tank pressure here; the chosen plan is re-dispatched exactly
+        const { min_reserve: reserve, capacity: tankCapacity } = this.storageTank.params;
+        const planningLevel = (reserve + tankCapacity) / 2;
+        hours.forEach(hour => {
+            hour.stage = new Map(currents.map(I => {
+                const power = this.dispatchHour(hour, I, this.storageTank.compressorPowerKW(this.o2Rate(I), planningLevel));
+                return [I, power.cost_per_hour + power.unserved_kw * this.unservedCostPerKWh];
+            }));
+        });
+        const production = new Map(currents.map(I => [I, this.o2Rate(I)]));
+
+        let best = null;
+        currents.forEach(peakCurrent => {
+            const { plan, terminalPenalty } = this.solveDP(
+                hours, currents.filter(I => I <= peakCurrent), initialLevel, levels, levelStep, toIndex, wear, wearWeight, production
+            );
+            // Demand charge is metered on grid import only
+            const peakKVA = Math.max(...plan.map(step => step.grid_kw)) / this.plant.power_factor;
+            const demandChargeShare = this.tariffEngine.demandChargePerDay(peakKVA, start) * H / 24;
+            const energyCost = plan.reduce((sum, step) => sum + step.energy_cost, 0);
+            const backupCost = plan.reduce((sum, step) => sum + step.backup_o2 * this.backupCostPerM3, 0);
+            const unservedCost = plan.reduce((sum, step) => sum + step.unserved_kw * this.unservedCostPerKWh, 0);
+            const degradationCost = plan.reduce((sum, step) => sum + step.degradation_cost, 0);
+            const total = energyCost + demandChargeShare + backupCost + unservedCost + terminalPenalty +
+                wearWeight * degradationCost;
+
+            if (!best || total < best.total) {
+                best = { plan, total, energyCost, backupCost, unservedCost, terminalPenalty, demandChargeShare, peakKVA, degradationCost };
+            }
+        });
+
+        const hourlyPlan = best.plan.map(step => ({
+            ...step,
+            temperature: this.temperatureSetpoint(step.current, tempMax),
+            efficiency: this.efficiency(step.current)
+        }));
+        const produced = hourlyPlan.reduce((sum, step) => sum + step.o2_production, 0);
+        const power = this.powerDispatch.summarize(best.plan.map(step => step.dispatch), produced);
+        hourlyPlan.forEach(step => delete step.dispatch);
+        const now = hourlyPlan[0];
+
+        return {
+            setpoints: {
+                current: now.current,
+                temperature: now.temperature,
+                efficiency: now.efficiency
+            },
+            hourly_plan: hourlyPlan,
+            storage_plan: [initialLevel, ...hourlyPlan.map(step => step.storage_level)],
+            day_ahead_energy_cost: best.energyCost,
+            demand_charge_share: best.demandChargeShare,
+            peak_kva: best.peakKVA,
+            backup_o2: hourlyPlan.reduce((sum, step) => sum + step.backup_o2, 0),
+            backup_cost: best.backupCost,
+            // KES actually paid over the horizon; the shadow prices below only steer the DP
+            total_cost: best.energyCost + best.demandChargeShare + best.backupCost,
+            unserved_cost: best.unservedCost,
+            terminal_penalty: best.terminalPenalty,
+            penalty_cost: best.unservedCost + best.terminalPenalty,
+            objective_value: best.total,
+            source_mix: power.source_mix,
+            pv_curtailed_kwh: power.pv_curtailed_kwh,
+            outage_hours: hourlyPlan.filter(step => !step.grid_available).length,
+            unserved_kwh: power.unserved_kwh,
+            fuel_l: power.fuel_l,
+            fuel_cost: power.fuel_cost,
+            co2_kg: power.co2_kg,
+            fuel_l_per_m3: power.fuel_l_per_m3,
+            co2_kg_per_m3: power.co2_kg_per_m3,
+            degradation_cost: best.degradationCost,
+            degradation_in_objective: degradation,
+            cost_per_m3: produced > 0 ? (best.energyCost + best.demandChargeShare) / produced : 0,
+            cost: produced > 0 ? (best.energyCost + best.demandChargeShare) / produced : 0
+        };
+    }
+
+    solveDP(hours, currents, initialLevel, levels, levelStep, toIndex, wear, wearWeight, production) {
+        const H = hours.length;
+        const initialIndex = toIndex(initialLevel);
+
+        // Terminal cost: ending below the starting level must be bought back as cylinders
+        let value = new Array(levels).fill(0).map((_, s) =>
+            Math.max(0, initialLevel - s * levelStep) * this.backupCostPerM3
+        );
+        const policy = [];
+
+        for (let h = H - 1; h >= 0; h--) {
+            const { demand, stage } = hours[h];
+            const nextValue = new Array(levels).fill(Infinity);
+            const decision = new Array(levels);
+
+            for (let s = 0; s < levels; s++) {
+                const level = s * levelStep;
+                for (const I of currents) {
+                    const transition = this.storageTransition(level, production.get(I), demand);
+                    const stageCost = stage.get(I) + transition.backup * this.backupCostPerM3 + wearWeight * wear.get(I);
+                    const total = stageCost + value[toIndex(transition.level)];
+                    if (total < nextValue[s]) {
+                        nextValue[s] = total;
+                        decision[s] = I;
+                    }
+                }
+            }
+            policy[h] = decision;
+            value = nextValue;
+        }
+
+        // Forward pass from the current storage level
+        const plan = [];
+        let level = initialIndex * levelStep;
+        for (let h = 0; h < H; h++) {
+            const I = policy[h][toIndex(level)];
+            const o2Production = this.o2Rate(I);
+            const transition = this.storageTransition(level, o2Production, hours[h].demand);
+            const power = this.dispatchHour(hours[h], I, transition.compressor_kwh);
+            plan.push({
+                hour: hours[h].hour,
+                period: hours[h].period,
+                price: hours[h].rate,
+                grid_available: hours[h].gridAvailable,
+                current: I,
+                power_kw: this.powerKW(I),
+                compressor_kwh: transition.compressor_kwh,
+                o2_production: o2Production,
+                demand: hours[h].demand,
+                storage_level: transition.level,
+                storage_pressure: this.storageTank.pressure(transition.level),
+                vented_o2: transition.vented,
+                backup_o2: transition.backup,
+                pv_kw: power.pv_kw,
+                grid_kw: power.grid_kw,
+                diesel_kw: power.diesel_kw,
+                unserved_kw: power.unserved_kw,
+                fuel_l: power.fuel_lph,
+                co2_kg: power.co2_kg_per_hour,
+                energy_cost: power.cost_per_hour,
+                degradation_cost: wear.get(I),
+                dispatch: power
+            });
+            level = toIndex(transition.level) * levelStep;
+        }
+        return {
+            plan: plan,
+            terminalPenalty: Math.max(0, initialLevel - level) * this.backupCostPerM3
+        };
+    }
+
+    // One hour of the tank balance, including compressor energy at the current pressure
+    storageTransition(level, production, demand) {
+        return this.storageTank.step(level, production, demand, 1);
+    }
+}
+
+module.exports = EconomicScheduler;
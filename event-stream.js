@@ -0,0 +1,70 @@
+// event-stream.js - SERVER-SENT EVENTS PUSH CHANNEL FOR THE DASHBOARD
+class EventStream {
+    constructor(options = {}) {
+        this.clients = new Set();
+        this.nextId = 1;
+        this.replayBuffer = [];
+        this.replaySize = options.replaySize ?? 50;          // events resent after a reconnect
+        this.heartbeatMs = options.heartbeatMs ?? 15000;     // keeps proxies from closing idle streams
+        this.heartbeat = null;
+    }
+
+    // Express handler for GET /api/stream
+    handler(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        // EventSource sends Last-Event-ID on reconnect: replay what was missed
+        const lastId = parseInt(req.headers['last-event-id'], 10);
+        if (Number.isFinite(lastId)) {
+            this.replayBuffer.filter(event => event.id > lastId).forEach(event => res.write(event.frame));
+        }
+
+        this.clients.add(res);
+        this.startHeartbeat();
+        console.log(`📡 Dashboard subscribed to event stream (${this.clients.size} client(s))`);
+
+        req.on('close', () => {
+            this.clients.delete(res);
+            if (this.clients.size === 0) this.stopHeartbeat();
+        });
+    }
+
+    publish(event, data) {
+        const id = this.nextId++;
+        const frame = `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+        this.replayBuffer.push({ id, frame });
+        if (this.replayBuffer.length > this.replaySize) this.replayBuffer.shift();
+
+        this.clients.forEach(res => res.write(frame));
+        return id;
+    }
+
+    clientCount() {
+        return this.clients.size;
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach(res => res.write(': heartbeat\n\n'));
+        }, this.heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+}
+
+// Export singleton, shared by app.js, simulink-bridge.js and neural-mpc.js
+const eventStream = new EventStream();
+eventStream.EventStream = EventStream;
+module.exports = eventStream;
@@ -0,0 +1,179 @@
+// grid-outage-manager.js - GRID OUTAGE MODE (TELEMETRY / OPERATOR TRIGGER, PLANNED LOAD-SHEDDING)
+const eventStream = require('./event-stream');
+const HospitalDemandModel = require('./hospital-demand-model');
+const config = require('./config');
+
+// Planned window: { start, end } in ms, area for the operator's reference
+function parseWindow(row, i) {
+    const start = Date.parse(row.start);
+    const end = Date.parse(row.end);
+    if (Number.isNaN(start) || Number.isNaN(end)) throw new Error(`Load-shedding row ${i + 1}: start and end must be valid times`);
+    if (end <= start) throw new Error(`Load-shedding row ${i + 1}: end must be after start`);
+    return { start, end, area: row.area || null };
+}
+
+function toJSON(window) {
+    return {
+        start: new Date(window.start).toISOString(),
+        end: new Date(window.end).toISOString(),
+        area: window.area ?? null,
+        source: window.source
+    };
+}
+
+class GridOutageManager {
+    constructor(options = {}) {
+        this.telemetryStore = options.telemetryStore || null;
+        this.historyStore = options.historyStore || null;
+        this.alarmManager = options.alarmManager || null;
+        // Outage of unknown length is planned as lasting this long
+        this.assumedHours = options.assumedHours ?? config.outage.assumedHours;
+
+        this.operator = null;               // { reason, operator, declared_at, expected_end }
+        this.schedule = [];                 // planned load-shedding windows
+        this.active = null;                 // current outage as last evaluated
+        this.timer = null;
+        this.restoreSchedule();
+    }
+
+    start(intervalMs = config.alarms.evaluateMs) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.evaluate(), intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // TRIGGERS: operator declaration wins, then the mains signal from the plant
+    declare({ reason = 'Grid outage declared by operator', operator = 'dashboard', expected_end } = {}) {
+        const end = expected_end !== undefined && expected_end !== null ? Date.parse(expected_end) : null;
+        if (Number.isNaN(end) || (end !== null && end <= Date.now())) throw new Error('expected_end must be a future time');
+        this.operator = { reason, operator, declared_at: Date.now(), expected_end: end };
+        return this.evaluate();
+    }
+
+    clear(operator = 'dashboard') {
+        if (!this.operator) throw new Error('No operator-declared outage to clear');
+        console.log(`🔌 Operator outage cleared by ${operator}`);
+        this.operator = null;
+        return this.evaluate();
+    }
+
+    // Mains status from telemetry: null while missing or stale (schedule alone never trips the mode)
+    telemetryOutage(now = Date.now()) {
+        if (!this.telemetryStore) return null;
+        const quality = this.telemetryStore.signalQuality('grid_available', now);
+        if (quality !== 'good') return null;
+        return this.telemetryStore.getLatest('grid_available').value < 0.5;
+    }
+
+    evaluate(now = Date.now()) {
+        const previous = this.active;
+        const mainsDown = this.telemetryOutage(now);
+        let current = null;
+        if (this.operator) {
+            current = { source: 'operator', reason: this.operator.reason, since: this.operator.declared_at, expected_end: this.operator.expected_end };
+        } else if (mainsDown || (mainsDown === null && previous && previous.source === 'telemetry')) {
+            // Missing or stale mains signal keeps a telemetry outage: only good telemetry ends it
+            current = { source: 'telemetry', reason: 'Mains supply lost', since: previous ? previous.since : now, expected_end: null };
+        }
+        if (current && current.expected_end === null) {
+            // A matching load-shedding window tells us when the grid returns
+            const planned = this.schedule.find(window => window.start <= now && window.end > now);
+            if (planned) current.expected_end = planned.end;
+        }
+        this.active = current;
+
+        if (!previous && current) {
+            console.warn(`🔌 Grid outage (${current.source}): switching to protect-O₂-reserve mode`);
+            this.transition('started', current);
+            if (this.alarmManager) {
+                this.alarmManager.raise('GRID_OUTAGE', {
+                    priority: 'high', message: `Grid outage: ${current.reason}`, source: 'outage_manager'
+                });
+            }
+        } else if (previous && !current) {
+            console.log('🔌 Grid restored: normal economic operation');
+            this.transition('ended', previous);
+            if (this.alarmManager) this.alarmManager.clear('GRID_OUTAGE');
+        }
+        return this.getStatus(now);
+    }
+
+    transition(event, outage) {
+        const record = { event, source: outage.source, reason: outage.reason };
+        eventStream.publish('outage', { ...record, timestamp: new Date().toISOString() });
+        if (!this.historyStore) return;
+        try {
+            this.historyStore.append('outage', record);
+        } catch (error) {
+            console.error('❌ Failed to persist outage transition:', error.message);
+        }
+    }
+
+    // LOAD-SHEDDING SCHEDULE: CSV start,end[,area] or JSON rows; replaces the previous schedule
+    importSchedule(input) {
+        const rows = typeof input === 'string' ? HospitalDemandModel.parseCSV(input) : input;
+        if (!Array.isArray(rows)) throw new Error('Load-shedding import expects CSV text or a JSON array of rows');
+        const windows = rows.map(parseWindow).map(window => ({ ...window, source: 'schedule' }));
+        this.schedule = windows.sort((a, b) => a.start - b.start);
+        if (this.historyStore) {
+            try {
+                this.historyStore.append('load_shedding', { windows: this.schedule.map(toJSON) });
+            } catch (error) {
+                console.error('❌ Failed to persist load-shedding schedule:', error.message);
+            }
+        }
+        console.log(`📅 Load-shedding schedule imported: ${windows.length} windows`);
+        return { imported: windows.length, schedule: this.getSchedule() };
+    }
+
+    async restoreSchedule() {
+        if (!this.historyStore) return;
+        try {
+            const records = await this.historyStore.read({ stream: 'load_shedding', from: Date.now() - 30 * 24 * 3600 * 1000, limit: 1 });
+            // A schedule imported while the restore was reading wins
+            if (records.length === 0 || this.schedule.length > 0) return;
+            this.schedule = records[records.length - 1].windows.map(parseWindow).map(window => ({ ...window, source: 'schedule' }));
+        } catch (error) {
+            console.error('❌ Load-shedding schedule restore failed:', error.message);
+        }
+    }
+
+    getSchedule(now = Date.now()) {
+        return this.schedule.filter(window => window.end > now).map(toJSON);
+    }
+
+    // Grid-down windows for the planner: the current outage plus planned load-shedding
+    windows(now = Date.now()) {
+        const windows = this.schedule.filter(window => window.end > now);
+        if (this.active) {
+            const end = this.active.expected_end ?? now + this.assumedHours * 3600 * 1000;
+            windows.unshift({ start: now, end: end, area: null, source: this.active.source });
+        }
+        return windows.map(toJSON);
+    }
+
+    getStatus(now = Date.now()) {
+        const next = this.schedule.find(window => window.start > now);
+        const active = this.active;
+        const end = active ? active.expected_end ?? now + this.assumedHours * 3600 * 1000 : null;
+        const mainsDown = this.telemetryOutage(now);
+        return {
+            active: Boolean(active),
+            source: active ? active.source : null,
+            reason: active ? active.reason : null,
+            since: active ? new Date(active.since).toISOString() : null,
+            expected_end: active && active.expected_end ? new Date(active.expected_end).toISOString() : null,
+            remaining_hours: active ? Math.max(0, (end - now) / 3600000) : null,
+            objective: active ? 'protect_o2_reserve' : 'economic',
+            grid_telemetry: mainsDown === null ? 'unknown' : mainsDown ? 'down' : 'up',
+            next_planned: next ? toJSON(next) : null
+        };
+    }
+}
+
+module.exports = GridOutageManager;
@@ -0,0 +1,214 @@
+// history-store.js - PERSISTENT TIME-SERIES HISTORY (APPEND-ONLY JSONL, DOWNSAMPLED QUERIES)
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const TelemetryStore = require('./telemetry-store');
+const config = require('./config');
+
+// Signal -> stream and the record fields that may carry it
+const SIGNALS = {
+    ...Object.fromEntries(Object.entries(TelemetryStore.SIGNALS).map(([signal, spec]) =>
+        [signal, { stream: 'telemetry', fields: spec.fields }]
+    )),
+    electricity_price:   { stream: 'tariff', fields: ['current_price'] },
+    ambient_temperature: { stream: 'weather', fields: ['temperature'] },
+    windspeed:           { stream: 'weather', fields: ['windspeed'] },
+    hospital_demand:     { stream: 'demand', fields: ['current_demand'] },
+    optimal_current:     { stream: 'control', fields: ['optimal_current'] }
+};
+
+// Stores holding unwritten records; whatever is left is written synchronously on exit
+const pending = new Set();
+process.on('exit', () => pending.forEach(store => {
+    try {
+        store.flushSync();
+    } catch (error) {
+        console.error('❌ History flush on exit failed:', error.message);
+    }
+}));
+
+class HistoryStore {
+    constructor(dataDir = process.env.HISTORY_DIR || process.env.TRAINING_LOG_DIR || path.join(__dirname, 'logs'), options = {}) {
+        this.dataDir = dataDir;
+        this.maxBuckets = 2000;
+        this.flushMs = options.flushMs ?? config.history.flushMs;
+        this.maxBuffered = options.maxBuffered ?? 1000;     // records; a full buffer is written at once
+        this.buffers = new Map();           // file -> lines not yet written
+        this.buffered = 0;
+        this.timer = null;
+        this.writing = Promise.resolve();   // writes are chained so every file keeps append order
+    }
+
+    // One file per stream per UTC day: <stream>-YYYY-MM-DD.jsonl; buffered, never blocks the caller on disk
+    append(stream, record, time = new Date()) {
+        const recordedAt = time.toISOString();
+        const file = path.join(this.dataDir, `${stream}-${recordedAt.slice(0, 10)}.jsonl`);
+        const line = JSON.stringify({ type: stream, recorded_at: recordedAt, ...record }) + '\n';
+        if (!this.buffers.has(file)) this.buffers.set(file, []);
+        this.buffers.get(file).push(line);
+        this.buffered++;
+        pending.add(this);
+
+        if (this.buffered >= this.maxBuffered) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushMs);
+            this.timer.unref();
+        }
+    }
+
+    takeBuffers() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const batch = this.buffers;
+        this.buffers = new Map();
+        this.buffered = 0;
+        pending.delete(this);
+        return batch;
+    }
+
+    // Resolves once everything appended so far is on disk
+    flush() {
+        const batch = this.takeBuffers();
+        if (batch.size === 0) return this.writing;
+        this.writing = this.writing.then(async () => {
+            await fs.promises.mkdir(this.dataDir, { recursive: true });
+            for (const [file, lines] of batch) {
+                try {
+                    await fs.promises.appendFile(file, lines.join(''));
+                } catch (error) {
+                    console.error(`❌ History write to ${path.basename(file)} failed, ${lines.length} records lost:`, error.message);
+                }
+            }
+        }).catch(error => console.error('❌ History write failed:', error.message));
+        return this.writing;
+    }
+
+    flushSync() {
+        const batch = this.takeBuffers();
+        if (batch.size === 0) return;
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        batch.forEach((lines, file) => fs.appendFileSync(file, lines.join('')));
+    }
+
+    async files(stream, from, to) {
+        const fromDay = Number.isFinite(from) ? new Date(from).toISOString().slice(0, 10) : '';
+        const toDay = Number.isFinite(to) ? new Date(to).toISOString().slice(0, 10) : '9999-12-31';
+        let files;
+        try {
+            files = await fs.promises.readdir(this.dataDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return files
+            .filter(file => file.endsWith('.jsonl'))
+            .filter(file => {
+                const match = file.match(/^(.+)-(\d{4}-\d{2}-\d{2})\.jsonl$/);
+                if (!match) return stream === null;
+                return (stream === null || match[1] === stream) && match[2] >= fromDay && match[2] <= toDay;
+            })
+            .sort();
+    }
+
+    // Streams the records of one stream (or all streams) between two times, oldest file first
+    async scan({ stream = null, from = -Infinity, to = Infinity } = {}, onRecord) {
+        await this.flush();
+        for (const file of await this.files(stream, from, to)) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(path.join(this.dataDir, file), 'utf8'),
+                crlfDelay: Infinity
+            });
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    console.warn(`⚠️ Skipping malformed history line in ${file}`);
+                    continue;
+                }
+                const time = Date.parse(record.recorded_at);
+                if (!(time < from) && !(time > to)) onRecord(record);
+            }
+        }
+    }
+
+    // Records oldest first; with a limit, only the newest `limit` are kept in memory
+    async read({ stream = null, from = -Infinity, to = Infinity, limit = Infinity } = {}) {
+        let records = [];
+        await this.scan({ stream, from, to }, record => {
+            records.push(record);
+            if (records.length >= 2 * limit) records = records.slice(-limit);
+        });
+        return records.length > limit ? records.slice(-limit) : records;
+    }
+
+    // Downsampled series: min/max/avg per bucket of stepSeconds
+    async query({ signal, from, to = Date.now(), stepSeconds }) {
+        const spec = SIGNALS[signal];
+        if (!spec) throw new Error(`Unknown history signal: ${signal}`);
+
+        const start = from ?? to - 24 * 3600 * 1000;
+        if (!(start < to)) throw new Error('History range is empty: from must be before to');
+
+        const stepMs = Math.max(
+            (stepSeconds ?? Math.ceil((to - start) / 300 / 1000)) * 1000,
+            Math.ceil((to - start) / this.maxBuckets)
+        );
+
+        const buckets = new Map();
+        await this.scan({ stream: spec.stream, from: start, to }, record => {
+            const field = spec.fields.find(name => typeof record[name] === 'number' && Number.isFinite(record[name]));
+            if (!field) return;
+
+            const value = record[field];
+            const key = Math.floor((Date.parse(record.recorded_at) - start) / stepMs);
+            const bucket = buckets.get(key);
+            if (bucket) {
+                bucket.min = Math.min(bucket.min, value);
+                bucket.max = Math.max(bucket.max, value);
+                bucket.sum += value;
+                bucket.count++;
+            } else {
+                buckets.set(key, { min: value, max: value, sum: value, count: 1 });
+            }
+        });
+
+        const points = Array.from(buckets.entries())
+            .sort(([a], [b]) => a - b)
+            .map(([key, bucket]) => ({
+                t: new Date(start + key * stepMs).toISOString(),
+                min: bucket.min,
+                max: bucket.max,
+                avg: bucket.sum / bucket.count,
+                count: bucket.count
+            }));
+
+        return {
+            signal: signal,
+            stream: spec.stream,
+            from: new Date(start).toISOString(),
+            to: new Date(to).toISOString(),
+            step_seconds: stepMs / 1000,
+            points: points
+        };
+    }
+
+    static get signals() {
+        return Object.keys(SIGNALS);
+    }
+}
+
+// Accepts plain seconds or a 30s / 15m / 1h / 1d suffix
+HistoryStore.parseStep = function (step) {
+    if (step === undefined || step === null || step === '') return undefined;
+    const match = String(step).match(/^(\d+(?:\.\d+)?)([smhd]?)$/);
+    if (!match) throw new Error(`Invalid history step: ${step}`);
+    const unit = { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+    return parseFloat(match[1]) * unit;
+};
+
+HistoryStore.SIGNALS = SIGNALS;
+
+module.exports = HistoryStore;
@@ -0,0 +1,358 @@
+// hospital-demand-model.js - CONFIGURABLE HOSPITAL O₂ DEMAND (WARDS, CENSUS, THEATERS, EMERGENCY)
+const fs = require('fs');
+const config = require('./config');
+const TariffEngine = require('./tariff-engine');
+
+// KNH defaults: 1800 beds at 85 % occupancy, WHO consumption rates
+const KNH_CONFIG = {
+    hospital: 'Kenyatta National Hospital',
+    wards: [
+        {
+            id: 'general', name: 'General wards', beds: 1740, occupancy: 0.85,
+            rate: 2.5,                                  // m³/day per occupied bed
+            // KNH daily activity pattern (multiplier per hour)
+            hourly_pattern: [
+                0.3, 0.2, 0.2, 0.2, 0.3, 0.5, 0.7, 0.9, 1.0, 1.1, 1.2, 1.3,
+                1.2, 1.1, 1.0, 0.9, 0.8, 0.7, 0.6, 0.5, 0.4, 0.3, 0.3, 0.3
+            ]
+        },
+        { id: 'icu', name: 'ICU', beds: 60, occupancy: 0.85, rate: 12.0, priority: true }   // flat around the clock, served first in an outage
+    ],
+    theaters: {
+        count: 24,
+        rate: 25.0,                                     // m³ per surgery
+        surgeries_per_theater: 2,                       // per weekday when no schedule is imported
+        hours: [8, 9, 10, 11, 12, 13, 14, 15, 16],
+        weekend_factor: 0.25                            // emergency surgery only
+    },
+    emergency: {
+        rate: 8.0,                                      // m³ per emergency case
+        arrivals_per_day: 40,
+        // Relative arrivals per hour, evening peak
+        hourly_pattern: [
+            0.6, 0.5, 0.4, 0.4, 0.4, 0.5, 0.7, 0.9, 1.0, 1.1, 1.1, 1.1,
+            1.1, 1.1, 1.1, 1.2, 1.3, 1.4, 1.5, 1.5, 1.4, 1.2, 1.0, 0.8
+        ]
+    },
+    uncertainty: {
+        model_cv: 0.1,                                  // consumption-rate error
+        surgery_cv: 0.2,                                // cancellations and overruns
+        z: 1.645                                        // 90 % band
+    }
+};
+
+function isHourly(values) {
+    return Array.isArray(values) && values.length === 24 && values.every(v => typeof v === 'number' && v >= 0);
+}
+
+function isRate(value) {
+    return typeof value === 'number' && value >= 0;
+}
+
+function validateConfig(site) {
+    if (!site || typeof site !== 'object') throw new Error('Demand config must be an object');
+    if (!Array.isArray(site.wards) || site.wards.length === 0) throw new Error('Demand config needs at least one ward');
+    const ids = new Set();
+    site.wards.forEach(ward => {
+        if (!ward.id) throw new Error('Every ward needs an id');
+        if (ids.has(ward.id)) throw new Error(`Duplicate ward id: ${ward.id}`);
+        ids.add(ward.id);
+        if (!(ward.beds >= 0)) throw new Error(`Ward ${ward.id}: beds must be a non-negative number`);
+        if (!(ward.occupancy >= 0 && ward.occupancy <= 1)) throw new Error(`Ward ${ward.id}: occupancy must be between 0 and 1`);
+        if (!(ward.rate >= 0)) throw new Error(`Ward ${ward.id}: rate must be a non-negative number`);
+        if (ward.hourly_pattern !== undefined && !isHourly(ward.hourly_pattern)) {
+            throw new Error(`Ward ${ward.id}: hourly_pattern must be 24 non-negative numbers`);
+        }
+    });
+    // Optional blocks are validated whole: demandAt() reads every field on every call
+    const theaters = site.theaters;
+    if (theaters !== undefined && theaters !== null) {
+        ['count', 'rate', 'surgeries_per_theater', 'weekend_factor'].forEach(field => {
+            if (!isRate(theaters[field])) throw new Error(`Theaters: ${field} must be a non-negative number`);
+        });
+        if (!Array.isArray(theaters.hours) || theaters.hours.length === 0 ||
+            !theaters.hours.every(hour => Number.isInteger(hour) && hour >= 0 && hour < 24)) {
+            throw new Error('Theaters: hours must be a non-empty list of hours 0-23');
+        }
+    }
+    const emergency = site.emergency;
+    if (emergency !== undefined && emergency !== null) {
+        if (!isRate(emergency.rate)) throw new Error('Emergency: rate must be a non-negative number');
+        if (!isRate(emergency.arrivals_per_day)) throw new Error('Emergency: arrivals_per_day must be a non-negative number');
+        if (emergency.hourly_pattern !== undefined && !isHourly(emergency.hourly_pattern)) {
+            throw new Error('Emergency hourly_pattern must be 24 non-negative numbers');
+        }
+    }
+    if (site.uncertainty !== undefined && site.uncertainty !== null) {
+        ['model_cv', 'surgery_cv', 'z'].forEach(field => {
+            if (!isRate(site.uncertainty[field])) throw new Error(`Uncertainty: ${field} must be a non-negative number`);
+        });
+    }
+    return site;
+}
+
+// Minimal CSV: header row, comma-separated, no quoted commas
+function parseCSV(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length < 2) throw new Error('CSV needs a header row and at least one data row');
+    const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+    return lines.slice(1).map(line => {
+        const cells = line.split(',').map(cell => cell.trim());
+        const row = {};
+        header.forEach((name, i) => {
+            const value = cells[i];
+            row[name] = value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+        });
+        return row;
+    });
+}
+
+// Census and surgery schedules are keyed by the site's calendar date
+function dateKey(time, timeZone) {
+    return TariffEngine.localParts(time, timeZone).date;
+}
+
+class HospitalDemandModel {
+    constructor(options = {}) {
+        this.historyStore = options.historyStore || null;
+        this.configFile = options.configFile ?? config.demand.configFile;
+        this.site = validateConfig(options.site || this.loadConfig());
+        this.timezone = options.timezone ?? config.site.timezone;
+
+        this.census = new Map();            // date -> { ward id -> occupied beds }
+        this.surgeries = new Map();         // date -> { hour -> scheduled surgeries }
+        this.restoreImports(options.restoreDays ?? 30);
+    }
+
+    loadConfig() {
+        if (!this.configFile) return KNH_CONFIG;
+        try {
+            const site = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+            console.log(`🏥 Hospital demand config loaded: ${site.hospital || this.configFile}`);
+            return site;
+        } catch (error) {
+            console.warn(`⚠️ Hospital demand config ${this.configFile} unreadable (${error.message}), using KNH defaults`);
+            return KNH_CONFIG;
+        }
+    }
+
+    // Replaces the site configuration; written back to the config file when one is set
+    setConfig(site) {
+        this.site = validateConfig(site);
+        if (this.configFile) {
+            fs.writeFileSync(this.configFile, JSON.stringify(site, null, 2));
+        }
+        console.log(`🏥 Hospital demand config updated: ${site.hospital || 'unnamed site'}`);
+        return { site: this.site, persisted: Boolean(this.configFile) };
+    }
+
+    // IMPORTS: rows from JSON arrays or parsed CSV, kept in the history store
+    importCensus(input) {
+        const rows = typeof input === 'string' ? parseCSV(input) : input;
+        if (!Array.isArray(rows)) throw new Error('Census import expects CSV text or a JSON array of rows');
+        const wards = new Map(this.site.wards.map(ward => [ward.id, ward]));
+        rows.forEach((row, i) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date)) throw new Error(`Census row ${i + 1}: date must be YYYY-MM-DD`);
+            if (!wards.has(row.ward)) throw new Error(`Census row ${i + 1}: unknown ward ${row.ward}`);
+            if (!(row.occupied >= 0)) throw new Error(`Census row ${i + 1}: occupied must be a non-negative number`);
+            const beds = wards.get(row.ward).beds;
+            if (row.occupied > beds) throw new Error(`Census row ${i + 1}: ${row.occupied} occupied exceeds the ${beds} beds of ${row.ward}`);
+        });
+        rows.forEach(row => {
+            this.setCensus(row.date, row.ward, row.occupied);
+            this.persist('census', { date: row.date, ward: row.ward, occupied: row.occupied });
+        });
+        return { imported: rows.length };
+    }
+
+    importSurgeries(input) {
+        const rows = typeof input === 'string' ? parseCSV(input) : input;
+        if (!Array.isArray(rows)) throw new Error('Surgery import expects CSV text or a JSON array of rows');
+        rows.forEach((row, i) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date)) throw new Error(`Surgery row ${i + 1}: date must be YYYY-MM-DD`);
+            if (!(Number.isInteger(row.hour) && row.hour >= 0 && row.hour < 24)) throw new Error(`Surgery row ${i + 1}: hour must be 0-23`);
+            if (!(row.count >= 0)) throw new Error(`Surgery row ${i + 1}: count must be a non-negative number`);
+        });
+        // A date's schedule is replaced as a whole
+        const dates = new Set(rows.map(row => row.date));
+        dates.forEach(date => this.surgeries.set(date, {}));
+        rows.forEach(row => this.addSurgeries(row.date, row.hour, row.count));
+        dates.forEach(date => this.persist('surgeries', { date: date, schedule: this.surgeries.get(date) }));
+        return { imported: rows.length };
+    }
+
+    // Accepts 24 hourly arrival rates or a daily total spread over the configured pattern
+    setEmergencyArrivals(input) {
+        const emergency = { ...this.site.emergency };
+        if (Array.isArray(input)) {
+            if (!isHourly(input)) throw new Error('Emergency arrivals must be 24 non-negative hourly rates');
+            emergency.arrivals_per_day = input.reduce((sum, value) => sum + value, 0);
+            emergency.hourly_pattern = input;
+        } else if (input && input.arrivals_per_day >= 0) {
+            emergency.arrivals_per_day = input.arrivals_per_day;
+            if (input.hourly_pattern !== undefined) emergency.hourly_pattern = input.hourly_pattern;
+        } else {
+            throw new Error('Expected 24 hourly arrival rates or { arrivals_per_day, hourly_pattern }');
+        }
+        return this.setConfig({ ...this.site, emergency: emergency });
+    }
+
+    setCensus(date, ward, occupied) {
+        if (!this.census.has(date)) this.census.set(date, {});
+        this.census.get(date)[ward] = occupied;
+    }
+
+    addSurgeries(date, hour, count) {
+        if (!this.surgeries.has(date)) this.surgeries.set(date, {});
+        const day = this.surgeries.get(date);
+        day[hour] = (day[hour] || 0) + count;
+    }
+
+    persist(stream, record) {
+        if (!this.historyStore) return;
+        try {
+            this.historyStore.append(stream, record);
+        } catch (error) {
+            console.error(`❌ Failed to persist ${stream} import:`, error.message);
+        }
+    }
+
+    async restoreImports(days) {
+        if (!this.historyStore) return;
+        try {
+            const from = Date.now() - days * 24 * 3600 * 1000;
+            const limit = config.history.restoreLimit;
+            (await this.historyStore.read({ stream: 'census', from, limit })).forEach(row => this.setCensus(row.date, row.ward, row.occupied));
+            // Later imports of a date replace earlier ones
+            (await this.historyStore.read({ stream: 'surgeries', from, limit })).forEach(row => this.surgeries.set(row.date, row.schedule));
+        } catch (error) {
+            console.error('❌ Demand import restore failed:', error.message);
+        }
+    }
+
+    // Census of the day, else the latest census before it, else the configured occupancy
+    occupiedBeds(ward, date) {
+        const day = this.census.get(date);
+        if (day && day[ward.id] !== undefined) return { occupied: day[ward.id], source: 'census' };
+        const earlier = Array.from(this.census.keys()).filter(key => key < date && this.census.get(key)[ward.id] !== undefined).sort();
+        if (earlier.length) return { occupied: this.census.get(earlier[earlier.length - 1])[ward.id], source: 'census_carried' };
+        return { occupied: ward.beds * ward.occupancy, source: 'configured' };
+    }
+
+    scheduledSurgeries(time) {
+        const { date, hour: localHour, weekday } = TariffEngine.localParts(time, this.timezone);
+        const hour = Math.floor(localHour);
+        const schedule = this.surgeries.get(date);
+        if (schedule) return { count: schedule[hour] || 0, source: 'schedule' };
+
+        const theaters = this.site.theaters;
+        if (!theaters || !theaters.hours.includes(hour)) return { count: 0, source: 'default' };
+        const weekend = weekday === 'Sat' || weekday === 'Sun';
+        const perDay = theaters.count * theaters.surgeries_per_theater * (weekend ? theaters.weekend_factor : 1);
+        return { count: perDay / theaters.hours.length, source: 'default' };
+    }
+
+    // DEMAND FOR ONE HOUR (m³/h), with mean and variance per component
+    demandAt(time) {
+        const hour = TariffEngine.localHour(time, this.timezone);
+        const date = dateKey(time, this.timezone);
+        const uncertainty = this.site.uncertainty || KNH_CONFIG.uncertainty;
+        const wards = {};
+        let total = 0;
+        let variance = 0;
+
+        this.site.wards.forEach(ward => {
+            const { occupied, source } = this.occupiedBeds(ward, date);
+            const pattern = ward.hourly_pattern ? ward.hourly_pattern[hour] : 1;
+            const perBed = ward.rate / 24 * pattern;
+            const demand = occupied * perBed;
+            // Census is known; configured occupancy varies binomially
+            const occupancy = ward.beds > 0 ? occupied / ward.beds : 0;
+            const bedVariance = source === 'census' ? 0 : ward.beds * occupancy * (1 - occupancy);
+            variance += bedVariance * perBed * perBed + Math.pow(uncertainty.model_cv * demand, 2);
+            wards[ward.id] = demand;
+            total += demand;
+        });
+
+        let theater = 0;
+        const surgeries = this.scheduledSurgeries(time);
+        if (this.site.theaters) {
+            theater = surgeries.count * this.site.theaters.rate;
+            variance += Math.pow(uncertainty.surgery_cv * theater, 2);
+        }
+
+        let emergency = 0;
+        if (this.site.emergency) {
+            const pattern = this.site.emergency.hourly_pattern || Array(24).fill(1);
+            const patternSum = pattern.reduce((sum, value) => sum + value, 0);
+            const arrivals = patternSum > 0 ? this.site.emergency.arrivals_per_day * pattern[hour] / patternSum : 0;
+            emergency = arrivals * this.site.emergency.rate;
+            // Poisson arrivals: variance equals the rate
+            variance += arrivals * this.site.emergency.rate * this.site.emergency.rate;
+        }
+
+        total += theater + emergency;
+        const band = uncertainty.z * Math.sqrt(variance);
+        return {
+            t: time.toISOString(),
+            hour: hour,
+            wards: wards,
+            theater: theater,
+            emergency: emergency,
+            total: total,
+            lower: Math.max(0, total - band),
+            upper: total + band,
+            surgery_source: surgeries.source
+        };
+    }
+
+    forecast(start = new Date(), hours = 24) {
+        // Whole UTC hours are whole site hours (sites in whole-hour offset zones)
+        const hourStart = new Date(Math.floor(start.getTime() / 3600000) * 3600000);
+        const hourly = [];
+        for (let h = 0; h < hours; h++) {
+            hourly.push(this.demandAt(new Date(hourStart.getTime() + h * 3600 * 1000)));
+        }
+        return hourly;
+    }
+
+    // Summary in the shape the MPC layers already consume (hourly_profile indexed by hour of day)
+    getDemand(now = new Date()) {
+        const day = this.forecast(now, 24);
+        const profile = Array(24);
+        day.forEach(step => { profile[step.hour] = step.total; });
+        const beds = this.site.wards.reduce((sum, ward) => sum + ward.beds, 0);
+        const icu = this.site.wards.find(ward => ward.id === 'icu');
+        // Wards flagged priority (ICU by default) keep their supply when production is curtailed
+        const flagged = this.site.wards.filter(ward => ward.priority);
+        const priority = flagged.length ? flagged : this.site.wards.filter(ward => ward.id === 'icu');
+
+        return {
+            current_demand: day[0].total,
+            priority_demand: priority.reduce((sum, ward) => sum + day[0].wards[ward.id], 0),
+            priority_wards: priority.map(ward => ward.id),
+            current: day[0],
+            hourly_profile: profile,
+            hourly_forecast: day,
+            daily_total: profile.reduce((sum, value) => sum + value, 0),
+            capacity: {
+                total_beds: beds,
+                icu_beds: icu ? icu.beds : 0,
+                operating_theaters: this.site.theaters ? this.site.theaters.count : 0,
+                occupancy_rate: beds > 0
+                    ? this.site.wards.reduce((sum, ward) => sum + this.occupiedBeds(ward, dateKey(now, this.timezone)).occupied, 0) / beds
+                    : 0
+            },
+            source: `${this.site.hospital || 'Hospital'} demand model (wards, census, theaters, emergency)`
+        };
+    }
+
+    getConfig() {
+        return this.site;
+    }
+}
+
+HospitalDemandModel.KNH_CONFIG = KNH_CONFIG;
+HospitalDemandModel.parseCSV = parseCSV;
+
+module.exports = HospitalDemandModel;
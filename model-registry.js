@@ -0,0 +1,106 @@
+// model-registry.js - VERSIONED NEURAL MODEL REGISTRY (HASHED, ROLLBACK-ABLE)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const NeuralEconomicModel = require('./neural-economic-model');
+
+class ModelRegistry {
+    constructor(modelDir = process.env.MODEL_DIR || path.join(__dirname, 'models')) {
+        this.modelDir = modelDir;
+        this.indexFile = path.join(modelDir, 'registry.json');
+    }
+
+    readIndex() {
+        if (!fs.existsSync(this.indexFile)) {
+            return { active: null, activation_history: [], models: [] };
+        }
+        return JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+    }
+
+    writeIndex(index) {
+        fs.mkdirSync(this.modelDir, { recursive: true });
+        fs.writeFileSync(this.indexFile, JSON.stringify(index, null, 2));
+    }
+
+    list() {
+        const index = this.readIndex();
+        return { active: index.active, models: index.models };
+    }
+
+    get(version) {
+        return this.readIndex().models.find(entry => entry.version === version) || null;
+    }
+
+    register(model, metrics = {}, dataset = {}) {
+        const index = this.readIndex();
+        const version = `v${String(index.models.length + 1).padStart(3, '0')}`;
+        model.metadata = { ...model.metadata, version };
+
+        const content = JSON.stringify(model.toJSON());
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        const file = `he-nmpc-${version}.json`;
+        fs.mkdirSync(this.modelDir, { recursive: true });
+        fs.writeFileSync(path.join(this.modelDir, file), content);
+
+        const entry = {
+            version,
+            file,
+            hash,
+            created_at: new Date().toISOString(),
+            metrics,
+            dataset,
+            architecture: {
+                features: NeuralEconomicModel.FEATURES,
+                targets: NeuralEconomicModel.TARGETS,
+                hidden_layers: model.metadata.hidden_layers,
+                ensemble_size: model.metadata.ensemble_size
+            }
+        };
+        index.models.push(entry);
+        this.writeIndex(index);
+
+        console.log(`📦 Registered model ${version} (${hash.slice(0, 12)})`);
+        return entry;
+    }
+
+    loadModel(version) {
+        const entry = this.get(version);
+        if (!entry) throw new Error(`Unknown model version: ${version}`);
+
+        const content = fs.readFileSync(path.join(this.modelDir, entry.file), 'utf8');
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        if (hash !== entry.hash) {
+            throw new Error(`Model ${version} failed hash verification`);
+        }
+        return NeuralEconomicModel.fromJSON(JSON.parse(content));
+    }
+
+    activate(version) {
+        const index = this.readIndex();
+        if (!index.models.some(entry => entry.version === version)) {
+            throw new Error(`Unknown model version: ${version}`);
+        }
+        if (index.active && index.active !== version) {
+            index.activation_history.push(index.active);
+        }
+        index.active = version;
+        this.writeIndex(index);
+        return version;
+    }
+
+    rollback() {
+        const index = this.readIndex();
+        const previous = index.activation_history.pop();
+        if (!previous) throw new Error('No previous model version to roll back to');
+
+        index.active = previous;
+        this.writeIndex(index);
+        return previous;
+    }
+
+    getActiveVersion() {
+        return this.readIndex().active;
+    }
+}
+
+module.exports = ModelRegistry;
@@ -1,73 +1,189 @@
 // mpc-algorithms.js - REAL MPC IMPLEMENTATIONS
+const QPSolver = require('./qp-solver');
+const EconomicScheduler = require('./economic-scheduler');
+const PEMStackModel = require('./pem-model');
+const O2StorageTank = require('./o2-storage-tank');
+const TariffEngine = require('./tariff-engine');
+const WeatherProvider = require('./weather-provider');
+const DegradationModel = require('./degradation-model');
+const config = require('./config');
+
 class MPCAlgorithms {
-    constructor() {
+    constructor(options = {}) {
         this.sampleTime = 2; // seconds
         this.predictionHorizon = 10;
         this.controlHorizon = 3;
+        this.currentTrackingWeight = 0.05;
+        this.pemModel = new PEMStackModel();
+        this.qpSolver = new QPSolver();
+        // Branch-and-bound relaxations only need to be accurate enough to bound
+        this.relaxationSolver = new QPSolver({ epsAbs: 1e-3, epsRel: 1e-3, maxIterations: 1500 });
+        this.storageTank = new O2StorageTank();
+        this.tariffEngine = new TariffEngine();
+        this.degradationModel = options.degradationModel || new DegradationModel({ pemModel: this.pemModel });
+        this.economicScheduler = new EconomicScheduler({
+            pemModel: this.pemModel, storageTank: this.storageTank, tariffEngine: this.tariffEngine,
+            degradationModel: this.degradationModel
+        });
+        this.setDegradationObjectives(config.degradation.objectives);
+        this.outageHours = config.outage.assumedHours;  // planning length of an outage with no known end
+        this.outputWeights = [1, 0.5, 0];   // temperature, efficiency, storage (constrained, not tracked)
+        this.neuralModel = null;
+        this.neuralConfidenceThreshold = 0.7;
+        this.planCache = new Map();         // economic plans by planning hour and mode, see economicLayerOptimization
     }
 
-    // PEM System Model (Discrete-time state space)
-    getPEMModel() {
+    // PEM System Model: physics stack model linearized at the operating point, plus the O₂ tank
+    // x+ = A x + B u + E d_k + offset, x = [temperature; efficiency; storage level], u = current,
+    // d_k = forecast ambient temperature at step k minus the linearization ambient; the offset carries
+    // the estimator's heat and efficiency disturbances (offset-free MPC)
+    getPEMModel(operatingState = [70, 75], operatingCurrent = 150, constraints = {}) {
+        const x0 = this.normalizeState(operatingState);
+        const ambientForecast = constraints.ambient_forecast || [];
+        const ambient = ambientForecast[0] ?? this.pemModel.params.ambient_temperature;
+        const linear = this.pemModel.linearize(x0.slice(0, 2), operatingCurrent, this.sampleTime, ambient);
+        // Ambient enters the heat balance linearly, so one central difference gives E
+        const warmer = this.pemModel.discreteDynamics(x0, operatingCurrent, this.sampleTime, ambient + 0.5);
+        const cooler = this.pemModel.discreteDynamics(x0, operatingCurrent, this.sampleTime, ambient - 0.5);
+        // Faraday's law is linear in current: storage integrates plant O₂ minus hospital draw (m³/h)
+        const hours = this.sampleTime / 3600;
+        const disturbance = constraints.state_disturbance || [0, 0];   // [K/h, %]
         return {
-            A: [[0.95, 0.02], [-0.01, 0.98]],  // State matrix [temperature; efficiency]
-            B: [[0.1], [0.05]],                 // Input matrix [current]
-            C: [[1, 0], [0, 1]],                // Output matrix
-            D: [[0], [0]],                      // Feedthrough
+            A: [[...linear.A[0], 0], [...linear.A[1], 0], [0, 0, 1]],  // State matrix
+            B: [...linear.B, [this.economicScheduler.o2Rate(1) * hours]], // Input matrix [current]
+            C: this.matrixIdentity(3),                                  // Output matrix
+            D: [[0], [0], [0]],                                         // Feedthrough
+            E: [[warmer[0] - cooler[0]], [warmer[1] - cooler[1]], [0]], // Disturbance matrix [ambient]
+            disturbance: ambientForecast.map(value => value - ambient),
+            offset: [                                                   // Affine term of the linearization
+                linear.offset[0] + disturbance[0] * hours,
+                linear.offset[1] + disturbance[1],
+                -(constraints.o2_demand ?? 0) * hours
+            ],
             Ts: this.sampleTime
         };
     }
 
+    // Dispatch by result type, with the same operating conditions object the comparator uses
+    async runAlgorithm(type, currentState, conditions) {
+        // Tank level and hospital draw enter every controller through the constraints
+        const state = this.normalizeState(currentState);
+        // Estimated temperature and efficiency replace the raw measurements when an estimator runs
+        const estimate = conditions.stateEstimate;
+        if (estimate?.available) {
+            state[0] = estimate.state[0];
+            state[1] = estimate.state[1];
+        }
+        if (state.length < 3 || conditions.constraints?.storage_level !== undefined) {
+            state[2] = conditions.constraints?.storage_level ?? this.storageTank.level;
+        }
+        currentState = state;
+        conditions = {
+            ...conditions,
+            constraints: {
+                ...conditions.constraints,
+                storage_level: state[2],
+                time: conditions.constraints?.time ?? conditions.economicData?.time,
+                weather_forecast: conditions.constraints?.weather_forecast ?? conditions.weatherForecast,
+                o2_demand: conditions.constraints?.o2_demand ??
+                    (typeof conditions.hospitalDemand === 'number' ? conditions.hospitalDemand : conditions.hospitalDemand?.current_demand),
+                priority_demand: conditions.constraints?.priority_demand ?? conditions.hospitalForecast?.priority_demand,
+                include_degradation: conditions.constraints?.include_degradation ?? this.degradationObjectives.includes(type),
+                state_disturbance: conditions.constraints?.state_disturbance ?? (estimate?.available ? estimate.disturbance : undefined),
+                state_covariance: conditions.constraints?.state_covariance ?? (estimate?.available ? estimate.covariance : undefined)
+            }
+        };
+        // Grid outage: every controller switches to the protect-O₂-reserve objective
+        if (conditions.constraints.outage?.active) {
+            conditions = this.protectReserveConditions(currentState, conditions);
+            const result = await this.runType(type, currentState, conditions);
+            return {
+                ...result,
+                // No controller may load the backup supply past its limit, whatever its ramp constraint left
+                optimal_current: Math.min(result.optimal_current, conditions.constraints.current_max),
+                objective: 'protect_o2_reserve',
+                reserve_protection: conditions.constraints.reserve_protection
+            };
+        }
+        return this.runType(type, currentState, conditions);
+    }
+
+    // MPC types whose objective carries the stack wear cost: 'all', 'none', or a list of types
+    setDegradationObjectives(objectives) {
+        const types = objectives === 'all' ? MPCAlgorithms.TYPES : objectives === 'none' ? []
+            : (Array.isArray(objectives) ? objectives : String(objectives).split(',')).map(type => type.trim()).filter(Boolean);
+        const unknown = types.filter(type => !MPCAlgorithms.TYPES.includes(type));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown MPC type: ${unknown.join(', ')} (expected one of ${MPCAlgorithms.TYPES.join(', ')})`);
+        }
+        this.degradationObjectives = [...types];
+        return this.degradationObjectives;
+    }
+
+    runType(type, currentState, conditions) {
+        switch (type) {
+            case 'Standard-MPC':
+                return this.standardMPC(currentState, conditions.setpoints, conditions.constraints);
+            case 'MixedInteger-MPC':
+                return this.mixedIntegerMPC(currentState, conditions.setpoints, conditions.constraints);
+            case 'Stochastic-MPC':
+                return this.stochasticMPC(currentState, conditions.setpoints, conditions.uncertainty, conditions.constraints);
+            case 'HEMPC':
+                return this.hierarchicalEconomicMPC(currentState, conditions.economicData, conditions.constraints, conditions.hospitalForecast);
+            case 'HE-NMPC':
+                return this.heNMPC(currentState, conditions.weatherData, conditions.economicData,
+                    conditions.hospitalForecast || conditions.hospitalDemand, conditions.constraints);
+            default:
+                throw new Error(`Unknown MPC algorithm: ${type}`);
+        }
+    }
+
     // 1. STANDARD MPC (Quadratic Programming)
-    async standardMPC(currentState, setpoints, constraints) {
-        const model = this.getPEMModel();
+    async standardMPC(currentState, setpoints, constraints = {}) {
+        const startTime = performance.now();
         const n = this.predictionHorizon;
         const m = this.controlHorizon;
+        const x0 = this.normalizeState(currentState);
+        const model = this.getPEMModel(x0, this.previousCurrent(currentState, constraints), constraints);
         
-        // State prediction matrices
-        let Phi = [];
-        let Gamma = [];
-        
-        // Build prediction matrices (real MPC math)
-        for (let i = 0; i < n; i++) {
-            let PhiRow = [];
-            for (let j = 0; j <= i; j++) {
-                if (j === 0) {
-                    PhiRow.push(this.matrixPower(model.A, i));
-                } else {
-                    PhiRow.push(this.matrixMultiply(
-                        this.matrixPower(model.A, i - j), model.B
-                    ));
-                }
-            }
-            Phi.push(PhiRow);
-        }
-        
-        // Quadratic cost function: J = (Y - Yref)'Q(Y - Yref) + U'RU
-        const Q = this.matrixDiag([1, 0.5]);    // Output weighting
-        const R = this.matrixDiag([0.1]);       // Control weighting
+        // Condensed prediction: Y = Phi*x0 + Gamma*U + Lambda (move blocking after m moves)
+        const prediction = this.buildPredictionMatrices(model, n, m);
         
-        // Constraints: 100 ≤ current ≤ 200, 60 ≤ temp ≤ 80
-        const lb = [100];  // Lower bound on current
-        const ub = [200];  // Upper bound on current
+        // Quadratic cost function: J = (Y - Yref)'Q(Y - Yref) + dU'R dU
+        const Q = this.matrixDiag(this.outputWeights);    // Output weighting
+        const R = this.matrixDiag([0.1]);       // Move suppression
         
-        // Solve QP problem (simplified - real implementation would use solver)
-        const optimalCurrent = this.solveQP(Phi, Gamma, Q, R, currentState, setpoints, lb, ub);
+        // Constraints: 100 ≤ current ≤ 200, |ΔI| ≤ rate limit, temp ≤ 80 and storage ≥ reserve (softened)
+        const solution = this.solveQP(prediction, Q, R, currentState, setpoints, constraints);
         
         return {
-            optimal_current: optimalCurrent[0],
-            predicted_states: this.predictTrajectory(model, currentState, optimalCurrent, n),
-            cost: this.calculateCost(optimalCurrent, setpoints, Q, R),
-            computation_time: this.measureComputationTime(),
+            optimal_current: solution.control_sequence[0],
+            control_sequence: solution.control_sequence,
+            predicted_states: this.predictTrajectory(model, x0, solution.control_sequence, n),
+            cost: solution.cost,
+            degradation: solution.degradation,
+            constraint_slack: solution.slack,
+            solver: {
+                status: solution.status,
+                fallback: solution.fallback,
+                iterations: solution.iterations,
+                primal_residual: solution.primal_residual,
+                dual_residual: solution.dual_residual
+            },
+            computation_time: this.measureComputationTime(startTime),
             type: 'Standard-MPC'
         };
     }
 
     // 2. MIXED-INTEGER MPC (Binary Decisions)
-    async mixedIntegerMPC(currentState, setpoints, constraints) {
-        const model = this.getPEMModel();
+    async mixedIntegerMPC(currentState, setpoints, constraints = {}) {
+        // Linearize at an on-state current even when the stack is currently off
+        const model = this.getPEMModel(
+            currentState, Math.max(this.previousCurrent(currentState, constraints), constraints.current_min ?? 100), constraints
+        );
         
-        // Binary decisions: equipment on/off, mode switches
-        const binaryVars = this.generateBinaryVariables();
+        // Binary decisions: stack on/off, standby mode, min up/down times
+        const binaryVars = this.generateBinaryVariables(this.predictionHorizon, constraints);
         
         // Mixed-integer quadratic programming
         const solution = this.solveMIQP(
@@ -76,48 +192,59 @@ class MPCAlgorithms {
         
         return {
             optimal_current: solution.continuousVars[0],
+            control_sequence: solution.continuousVars,
             binary_decisions: solution.binaryVars,
             predicted_states: solution.trajectory,
             cost: solution.cost,
+            degradation: solution.degradation,
             computation_time: solution.computationTime,
+            solver: solution.solver,
             type: 'MixedInteger-MPC'
         };
     }
 
     // 3. STOCHASTIC MPC (Uncertainty Handling)
-    async stochasticMPC(currentState, setpoints, uncertainty) {
-        const model = this.getPEMModel();
-        const scenarios = this.generateScenarios(uncertainty);
+    async stochasticMPC(currentState, setpoints, uncertainty = {}, constraints = {}) {
+        const startTime = performance.now();
+        const model = this.getPEMModel(currentState, this.previousCurrent(currentState, constraints), constraints);
+        // Disturbance estimate uncertainty widens the scenario fan
+        const covariance = constraints.state_covariance;
+        const scenarios = this.generateScenarios(covariance
+            ? { ...uncertainty, disturbance_std: [Math.sqrt(covariance[2][2]), Math.sqrt(covariance[3][3])] }
+            : uncertainty);
         
-        // Scenario-based optimization
-        let scenarioSolutions = [];
-        let totalCost = 0;
-        
-        for (const scenario of scenarios) {
-            const scenarioModel = this.applyUncertainty(model, scenario);
-            const solution = await this.standardMPC(currentState, setpoints, {});
-            scenarioSolutions.push(solution);
-            totalCost += solution.cost * scenario.probability;
-        }
+        // Scenario-based optimization against the perturbed plant models
+        const scenarioModels = scenarios.map(scenario => this.applyUncertainty(model, scenario));
+        const solution = this.solveScenarioQP(scenarioModels, scenarios, currentState, setpoints, constraints);
         
-        // Robust control action
-        const robustControl = this.computeRobustControl(scenarioSolutions);
+        // Robust control action (non-anticipative first move)
+        const robustControl = this.computeRobustControl(solution.scenarioSolutions);
+        const riskMetrics = this.calculateRiskMetrics(
+            solution.scenarioSolutions, constraints.temp_max ?? 80, uncertainty.confidence_level ?? 0.9
+        );
         
         return {
             optimal_current: robustControl,
-            scenarios: scenarioSolutions,
-            expected_cost: totalCost,
-            risk_metrics: this.calculateRiskMetrics(scenarioSolutions),
+            predicted_states: solution.expectedTrajectory,
+            scenarios: solution.scenarioSolutions,
+            cost: riskMetrics.expected_cost,
+            expected_cost: riskMetrics.expected_cost,
+            degradation: this.expectedDegradation(solution.scenarioSolutions),
+            risk_metrics: riskMetrics,
+            solver: solution.solver,
+            computation_time: this.measureComputationTime(startTime),
             type: 'Stochastic-MPC'
         };
     }
 
     // 4. HIERARCHICAL ECONOMIC MPC
-    async hierarchicalEconomicMPC(currentState, economicData, operationalConstraints) {
-        // Upper layer: Economic optimization
-        const economicOptimum = this.economicLayerOptimization(economicData);
+    async hierarchicalEconomicMPC(currentState, economicData, operationalConstraints = {}, hospitalDemand = null) {
+        const startTime = performance.now();
+        
+        // Upper layer: 24 h economic schedule (TOU tariff, demand charge, O₂ storage)
+        const economicOptimum = this.economicLayerOptimization(economicData, hospitalDemand, operationalConstraints);
         
-        // Lower layer: Tracking controller
+        // Lower layer: Tracking controller on the current hour's setpoints
         const operationalOptimum = await this.standardMPC(
             currentState, 
             economicOptimum.setpoints, 
@@ -127,36 +254,286 @@ class MPCAlgorithms {
         return {
             optimal_current: operationalOptimum.optimal_current,
             economic_setpoints: economicOptimum.setpoints,
+            economic_plan: {
+                hourly: economicOptimum.hourly_plan,
+                storage: economicOptimum.storage_plan,
+                day_ahead_energy_cost: economicOptimum.day_ahead_energy_cost,
+                demand_charge_share: economicOptimum.demand_charge_share,
+                peak_kva: economicOptimum.peak_kva,
+                backup_o2: economicOptimum.backup_o2,
+                backup_cost: economicOptimum.backup_cost,
+                penalty_cost: economicOptimum.penalty_cost,
+                cost_per_m3: economicOptimum.cost_per_m3,
+                source_mix: economicOptimum.source_mix,
+                fuel_l: economicOptimum.fuel_l,
+                fuel_l_per_m3: economicOptimum.fuel_l_per_m3,
+                co2_kg_per_m3: economicOptimum.co2_kg_per_m3,
+                degradation_cost: economicOptimum.degradation_cost
+            },
             operational_performance: operationalOptimum,
+            predicted_states: operationalOptimum.predicted_states,
+            degradation: operationalOptimum.degradation,
             total_cost: economicOptimum.cost + operationalOptimum.cost,
+            computation_time: this.measureComputationTime(startTime),
             type: 'HEMPC'
         };
     }
 
     // 5. HE-NMPC (YOUR ALGORITHM)
-    async heNMPC(currentState, weatherData, economicData, hospitalDemand) {
+    async heNMPC(currentState, weatherData, economicData, hospitalDemand, constraints = {}) {
+        const startTime = performance.now();
+        
         // Neural network enhanced hierarchical MPC
-        const neuralFeatures = this.prepareNeuralFeatures(weatherData, economicData, hospitalDemand);
+        const neuralFeatures = this.prepareNeuralFeatures(weatherData, economicData, hospitalDemand, currentState);
         
         // Neural network prediction (economic layer)
         const neuralOptimization = await this.neuralEconomicOptimization(neuralFeatures);
         
+        // Uncertain network, or an outage it was never trained on: fall back to the HEMPC economic layer
+        if (!neuralOptimization.trusted || constraints.reserve_protection) {
+            const economicOptimum = this.economicLayerOptimization(economicData, hospitalDemand, constraints);
+            neuralOptimization.setpoints = economicOptimum.setpoints;
+            neuralOptimization.economic_cost = economicOptimum.cost;
+            neuralOptimization.source = constraints.reserve_protection ? 'protect-reserve' : 'HEMPC-fallback';
+        }
+        
         // Robust MPC tracking (operational layer)
-        const mpcOptimization = await this.robustMPCTracking(currentState, neuralOptimization);
+        const mpcOptimization = await this.robustMPCTracking(currentState, neuralOptimization, constraints);
         
         // Safety and constraint handling
-        const safeControl = this.safetySupervision(mpcOptimization, currentState);
+        const safeControl = this.safetySupervision(mpcOptimization, currentState, constraints);
         
         return {
             optimal_current: safeControl.optimal_current,
             neural_predictions: neuralOptimization,
             mpc_trajectory: mpcOptimization.predicted_states,
+            predicted_states: mpcOptimization.predicted_states,
             safety_checks: safeControl.checks,
+            degradation: mpcOptimization.degradation,
             total_cost: neuralOptimization.economic_cost + mpcOptimization.operational_cost,
+            computation_time: this.measureComputationTime(startTime),
             type: 'HE-NMPC'
         };
     }
 
+    // NEURAL ECONOMIC LAYER
+    setNeuralModel(model) {
+        this.neuralModel = model;
+    }
+
+    prepareNeuralFeatures(weatherData = {}, economicData = {}, hospitalDemand, currentState) {
+        const hour = economicData.hour ?? TariffEngine.localHour(new Date());
+        const state = this.normalizeState(currentState);
+        return {
+            ambient_temperature: weatherData.temperature ?? 20,
+            windspeed: weatherData.windspeed ?? 0,
+            hour_sin: Math.sin(2 * Math.PI * hour / 24),
+            hour_cos: Math.cos(2 * Math.PI * hour / 24),
+            electricity_price: economicData.current_price ?? 20.15,
+            hospital_demand: typeof hospitalDemand === 'number' ? hospitalDemand : hospitalDemand?.current_demand ?? 100,
+            stack_temperature: state[0],
+            stack_efficiency: state[1]
+        };
+    }
+
+    async neuralEconomicOptimization(features) {
+        if (!this.neuralModel || !this.neuralModel.isTrained()) {
+            return { trusted: false, confidence: 0, source: 'no-model', features };
+        }
+        
+        const prediction = this.neuralModel.predict(features);
+        return {
+            setpoints: {
+                current: prediction.outputs.current,
+                temperature: prediction.outputs.temperature,
+                efficiency: prediction.outputs.efficiency
+            },
+            economic_cost: prediction.outputs.cost_per_m3,
+            uncertainty: prediction.std,
+            confidence: prediction.confidence,
+            trusted: prediction.confidence >= this.neuralConfidenceThreshold,
+            source: 'neural',
+            model_version: this.neuralModel.metadata.version || null,
+            features
+        };
+    }
+
+    async robustMPCTracking(currentState, neuralOptimization, constraints = {}) {
+        // Tighten the temperature limit more when the economic layer is less certain
+        const tempMax = constraints.temp_max ?? 80;
+        const margin = 1 + 3 * (1 - (neuralOptimization.confidence ?? 0));
+        const tracking = await this.standardMPC(currentState, neuralOptimization.setpoints, {
+            ...constraints,
+            temp_max: tempMax - margin
+        });
+        
+        return {
+            ...tracking,
+            constraint_margin: margin,
+            operational_cost: tracking.cost
+        };
+    }
+
+    safetySupervision(mpcOptimization, currentState, constraints = {}) {
+        const uMin = constraints.current_min ?? 100;
+        const uMax = constraints.current_max ?? 200;
+        const duMax = constraints.current_rate_max ?? 20;
+        const tempMax = constraints.temp_max ?? 80;
+        const uPrev = this.previousCurrent(currentState, constraints);
+        
+        const reserve = constraints.min_reserve ?? this.storageTank.params.min_reserve;
+        
+        let current = mpcOptimization.optimal_current;
+        const predicted = mpcOptimization.predicted_states.slice(1);
+        const peakTemperature = Math.max(...predicted.map(state => state[0]));
+        const lowestStorage = Math.min(...predicted.map(state => state[2] ?? Infinity));
+        const checks = [
+            { name: 'current_range', passed: current >= uMin && current <= uMax },
+            { name: 'ramp_rate', passed: Math.abs(current - uPrev) <= duMax + 0.01 },
+            { name: 'predicted_temperature', passed: peakTemperature <= tempMax, value: peakTemperature },
+            { name: 'storage_reserve', passed: lowestStorage >= reserve, value: lowestStorage }
+        ];
+        
+        current = Math.max(uMin, Math.min(uMax, current));
+        current = Math.max(uPrev - duMax, Math.min(uPrev + duMax, current));
+        if (peakTemperature > tempMax) {
+            // Predicted overheat: back off toward minimum load
+            current = Math.max(uMin, uPrev - duMax);
+        } else if (lowestStorage < reserve) {
+            // Hospital reserve breached: ramp toward full production to refill the tank
+            current = Math.max(current, Math.min(uMax, uPrev + duMax));
+        }
+        // On backup supply the cap outranks the ramp limit: ramping down is always safe
+        if (constraints.reserve_protection) {
+            current = Math.min(current, uMax);
+        }
+        
+        return { optimal_current: current, checks };
+    }
+
+    // OUTAGE MODE: minimum power on backup supply, ICU demand first, reserve lasting the outage
+    reserveProtection(currentState, constraints = {}) {
+        const scheduler = this.economicScheduler;
+        const tank = this.storageTank;
+        const level = this.normalizeState(currentState)[2] ?? tank.level;
+        const reserve = constraints.min_reserve ?? tank.params.min_reserve;
+        const demand = constraints.o2_demand ?? 0;
+        const priority = Math.min(demand, constraints.priority_demand ?? demand);
+        const remaining = constraints.outage?.remaining_hours || this.outageHours;
+        const uMin = constraints.current_min ?? 100;
+        const weather = constraints.weather_forecast;
+        const time = constraints.time ? new Date(constraints.time) : new Date();
+        const backupMax = scheduler.backupCurrentLimit({
+            irradiance: WeatherProvider.valueAt(weather, 'irradiance', time) ?? 0,
+            ambient: WeatherProvider.temperatureAt(weather, time) ?? 20
+        });
+
+        // Cover ICU demand; draw the rest from the tank only as fast as the reserve outlasts the outage
+        const needed = Math.max(priority, demand - Math.max(0, level - reserve) / remaining);
+        const uMax = Math.max(uMin, Math.min(constraints.current_max ?? 200, backupMax));
+        const target = level <= reserve ? uMax : Math.max(uMin, Math.min(uMax, needed / scheduler.o2Rate(1)));
+        const production = scheduler.o2Rate(target);
+
+        return {
+            target_current: target,
+            backup_current_max: backupMax,
+            backup_sufficient: backupMax >= uMin,
+            production: production,
+            demand: demand,
+            priority_demand: priority,
+            hours_to_reserve_exhausted: tank.hoursUntil(reserve, production, demand, level),
+            hours_to_empty: tank.hoursUntil(0, production, demand, level),
+            // Reserve alone for the priority wards if the backup supply also fails
+            priority_hours_on_reserve: priority > 0 ? Math.min(level, reserve) / priority : null,
+            outage_remaining_hours: remaining
+        };
+    }
+
+    protectReserveConditions(currentState, conditions) {
+        const constraints = conditions.constraints;
+        const protection = this.reserveProtection(currentState, constraints);
+        const target = protection.target_current;
+        const diesel = this.economicScheduler.powerDispatch.diesel;
+        return {
+            ...conditions,
+            setpoints: {
+                ...conditions.setpoints,
+                current: target,
+                temperature: this.economicScheduler.temperatureSetpoint(target, constraints.temp_max ?? 80),
+                efficiency: this.economicScheduler.efficiency(target)
+            },
+            constraints: {
+                ...constraints,
+                current_max: Math.max(constraints.current_min ?? 100, Math.min(constraints.current_max ?? 200, protection.backup_current_max)),
+                energy_price: diesel.fuel_slope * diesel.fuel_price,   // marginal KES/kWh on the generator
+                reserve_protection: protection
+            }
+        };
+    }
+
+    // ECONOMIC LAYER
+    economicLayerOptimization(economicData, hospitalDemand, constraints = {}) {
+        // Hourly KNH demand profile (m³/h); flat profile when only a current value is known
+        let demandProfile;
+        if (hospitalDemand && Array.isArray(hospitalDemand.hourly_profile)) {
+            demandProfile = hospitalDemand.hourly_profile;
+        } else {
+            const flatDemand = typeof hospitalDemand === 'number'
+                ? hospitalDemand
+                : hospitalDemand?.current_demand ?? 100;
+            demandProfile = Array(24).fill(flatDemand);
+        }
+        
+        const start = economicData.time ? new Date(economicData.time) : new Date();
+        const plan = this.cachedPlan(start, constraints.storage_level, {
+            demandProfile: demandProfile,
+            start: start,
+            storageLevel: constraints.storage_level,
+            tempMax: constraints.temp_max ?? 80,
+            weather: constraints.weather_forecast,   // irradiance for rooftop PV
+            degradation: Boolean(constraints.include_degradation),
+            outageWindows: constraints.outage_windows || []
+        });
+        // During an outage the plan still shapes the day, but this hour protects the reserve
+        if (constraints.reserve_protection) {
+            const target = constraints.reserve_protection.target_current;
+            return {
+                ...plan,
+                setpoints: {
+                    current: target,
+                    temperature: this.economicScheduler.temperatureSetpoint(target, constraints.temp_max ?? 80),
+                    efficiency: this.economicScheduler.efficiency(target)
+                }
+            };
+        }
+        return plan;
+    }
+
+    // The day-ahead plan is hourly: every solve within the hour reuses it, unless the tank has
+    // drifted from the planned level or the inputs changed. Keyed per planning hour, so the control
+    // loop and a simulation running in between keep their own plans
+    cachedPlan(start, storageLevel, options) {
+        const hourStart = Math.floor(start.getTime() / 3600000) * 3600000;
+        const key = [
+            hourStart, options.tempMax, options.degradation, JSON.stringify(options.outageWindows),
+            options.demandProfile.map(value => value.toFixed(2)).join(',')
+        ].join('|');
+        const cached = this.planCache.get(key);
+        if (cached && storageLevel !== undefined && storageLevel !== null) {
+            const [level0, level1] = cached.storage_plan;
+            const expected = level0 + (level1 - level0) * (start.getTime() - hourStart) / 3600000;
+            if (Math.abs(storageLevel - expected) <= this.economicScheduler.storage.capacity * 0.05) return cached;
+        } else if (cached) {
+            return cached;
+        }
+
+        const plan = this.economicScheduler.optimize(options);
+        this.planCache.delete(key);
+        this.planCache.set(key, plan);
+        if (this.planCache.size > 8) this.planCache.delete(this.planCache.keys().next().value);
+        return plan;
+    }
+
     // MATHEMATICAL UTILITIES
     matrixMultiply(A, B) {
         const result = [];
@@ -201,14 +578,781 @@ class MPCAlgorithms {
         return matrix;
     }
 
-    solveQP(Phi, Gamma, Q, R, currentState, setpoints, lb, ub) {
-        // Simplified QP solver - real implementation would use numeric.js or similar
-        // This is where you'd integrate a proper QP solver like OSQP, QuadProg, etc.
+    matrixTranspose(A) {
+        return A[0].map((_, j) => A.map(row => row[j]));
+    }
+
+    matrixAdd(A, B) {
+        return A.map((row, i) => row.map((value, j) => value + B[i][j]));
+    }
+
+    matrixScale(A, scalar) {
+        return A.map(row => row.map(value => value * scalar));
+    }
+
+    matrixVectorMultiply(A, x) {
+        return A.map(row => row.reduce((sum, value, j) => sum + value * x[j], 0));
+    }
+
+    matrixBlockDiag(block, count) {
+        const size = block.length;
+        const matrix = Array(size * count).fill().map(() => Array(size * count).fill(0));
+        for (let b = 0; b < count; b++) {
+            for (let i = 0; i < size; i++) {
+                for (let j = 0; j < size; j++) {
+                    matrix[b * size + i][b * size + j] = block[i][j];
+                }
+            }
+        }
+        return matrix;
+    }
+
+    // Difference operator: (D*U)[0] = U[0], (D*U)[i] = U[i] - U[i-1]
+    differenceMatrix(m) {
+        const D = this.matrixIdentity(m);
+        for (let i = 1; i < m; i++) {
+            D[i][i - 1] = -1;
+        }
+        return D;
+    }
+
+    // [temperature, efficiency, storage level]; the tank estimate fills in a missing level
+    normalizeState(state) {
+        if (Array.isArray(state)) {
+            return state.length < 3 ? [...state.slice(0, 2), this.storageTank.level] : state.slice();
+        }
+        return [state.temperature, state.efficiency, state.storage_level ?? this.storageTank.level];
+    }
+
+    previousCurrent(currentState, constraints = {}) {
+        return constraints.previous_current ?? currentState.current ?? 150;
+    }
+
+    // Condensed prediction matrices over n steps with m free moves
+    buildPredictionMatrices(model, n, m) {
+        const Phi = [];
+        const Gamma = [];
+        const Lambda = [];
+        let accumulatedOffset = model.A.map(() => 0);
+        
+        for (let k = 1; k <= n; k++) {
+            const CAk = this.matrixMultiply(model.C, this.matrixPower(model.A, k));
+            const GammaBlock = CAk.map(() => Array(m).fill(0));
+            
+            for (let j = 0; j < k; j++) {
+                const CAB = this.matrixMultiply(
+                    model.C, this.matrixMultiply(this.matrixPower(model.A, k - 1 - j), model.B)
+                );
+                // Inputs beyond the control horizon hold the last move
+                const column = Math.min(j, m - 1);
+                CAB.forEach((row, r) => {
+                    GammaBlock[r][column] += row[0];
+                });
+            }
+            
+            // Affine offset and forecast disturbance: sum_j A^(k-1-j) * (offset + E d_j)
+            const stepOffset = this.stepOffset(model, k - 1);
+            accumulatedOffset = this.matrixVectorMultiply(model.A, accumulatedOffset).map((value, i) => value + stepOffset[i]);
+            
+            Phi.push(...CAk);
+            Gamma.push(...GammaBlock);
+            Lambda.push(...this.matrixVectorMultiply(model.C, accumulatedOffset));
+        }
         
-        // For demo purposes - return a feasible solution
-        const baseCurrent = 150;
-        const adjustment = (setpoints.temperature - currentState.temperature) * 2;
-        return [Math.max(lb[0], Math.min(ub[0], baseCurrent + adjustment))];
+        return { Phi, Gamma, Lambda };
+    }
+
+    // offset + E d_k, holding the last forecast value beyond the disturbance horizon
+    stepOffset(model, k) {
+        const offset = model.offset || model.A.map(() => 0);
+        const disturbance = model.disturbance || [];
+        if (!model.E || disturbance.length === 0) return offset;
+        const d = disturbance[Math.min(k, disturbance.length - 1)];
+        return offset.map((value, i) => value + model.E[i][0] * d);
+    }
+
+    // Condensed tracking objective: J = (Y - Yref)'Q(Y - Yref) + dU'R dU = U'HU + 2f'U + const
+    buildTrackingObjective(prediction, Q, R, x0, setpoints, uPrev, constraints = {}) {
+        const { Phi, Gamma, Lambda } = prediction;
+        const ny = Q.length;
+        const n = Gamma.length / ny;
+        const m = Gamma[0].length;
+        
+        // Tracking error of the free response
+        const yRef = [];
+        for (let k = 0; k < n; k++) {
+            yRef.push(setpoints.temperature ?? 70, setpoints.efficiency ?? 75, x0[2]);
+        }
+        const freeResponse = this.matrixVectorMultiply(Phi, x0).map((y, i) => y + Lambda[i]);
+        const error = freeResponse.map((y, i) => y - yRef[i]);
+        
+        const Qbar = this.matrixBlockDiag(Q, n);
+        const Rbar = this.matrixBlockDiag(R, m);
+        const D = this.differenceMatrix(m);
+        const dRef = Array(m).fill(0);
+        dRef[0] = uPrev;
+        
+        const GtQ = this.matrixMultiply(this.matrixTranspose(Gamma), Qbar);
+        const DtR = this.matrixMultiply(this.matrixTranspose(D), Rbar);
+        const H = this.matrixAdd(this.matrixMultiply(GtQ, Gamma), this.matrixMultiply(DtR, D));
+        const GtQe = this.matrixVectorMultiply(GtQ, error);
+        const DtRd = this.matrixVectorMultiply(DtR, dRef);
+        const f = GtQe.map((value, i) => value - DtRd[i]);
+        
+        // Optional current reference from an upper (economic) layer
+        if (setpoints.current !== undefined) {
+            for (let i = 0; i < m; i++) {
+                H[i][i] += this.currentTrackingWeight;
+                f[i] -= this.currentTrackingWeight * setpoints.current;
+            }
+        }
+        
+        // Stack wear (KES) expanded around the last current; the final move is held to the horizon end
+        if (constraints.include_degradation) {
+            const u0 = Math.max(uPrev, constraints.current_min ?? 100);
+            const { slope, curvature } = this.degradationModel.linearize(
+                u0, setpoints.temperature ?? x0[0], this.sampleTime / 3600
+            );
+            for (let i = 0; i < m; i++) {
+                const steps = i < m - 1 ? 1 : n - m + 1;
+                H[i][i] += steps * curvature / 2;
+                f[i] += steps * (slope - curvature * u0) / 2;
+            }
+        }
+        
+        return { H, f, freeResponse };
+    }
+
+    solveQP(prediction, Q, R, currentState, setpoints, constraints = {}) {
+        const Gamma = prediction.Gamma;
+        const x0 = this.normalizeState(currentState);
+        const ny = Q.length;
+        const n = Gamma.length / ny;
+        const m = Gamma[0].length;
+        
+        const uMin = constraints.current_min ?? 100;
+        const uMax = constraints.current_max ?? 200;
+        const duMax = constraints.current_rate_max ?? 20;
+        const tempMax = constraints.temp_max ?? 80;
+        const reserve = constraints.min_reserve ?? this.storageTank.params.min_reserve;
+        const uPrev = this.previousCurrent(currentState, constraints);
+        const slackWeight = constraints.slack_weight ?? 1e3;
+        
+        // J = U'HU + 2f'U + const, plus soft-constraint slacks ε (temperature) and σ (reserve)
+        const { H, f, freeResponse } = this.buildTrackingObjective(prediction, Q, R, x0, setpoints, uPrev, constraints);
+        const D = this.differenceMatrix(m);
+        // Start-up from below the operating range: the first move enters it at uMin and ramps from there
+        const dRef = Array(m).fill(0);
+        dRef[0] = Math.max(uPrev, uMin);
+        
+        const nv = m + 2;
+        const P = Array(nv).fill().map(() => Array(nv).fill(0));
+        const q = Array(nv).fill(0);
+        for (let i = 0; i < m; i++) {
+            for (let j = 0; j < m; j++) P[i][j] = 2 * H[i][j];
+            q[i] = 2 * f[i];
+        }
+        P[m][m] = 2 * slackWeight;
+        q[m] = slackWeight;
+        P[m + 1][m + 1] = 2 * slackWeight;
+        q[m + 1] = slackWeight;
+        
+        // Constraint rows: input bounds, input-rate bounds, temperature limit, storage reserve, slacks ≥ 0
+        const A = [];
+        const l = [];
+        const u = [];
+        for (let i = 0; i < m; i++) {
+            A.push(this.unitRow(nv, i));
+            l.push(uMin);
+            u.push(uMax);
+        }
+        for (let i = 0; i < m; i++) {
+            A.push([...D[i], 0, 0]);
+            l.push(dRef[i] - duMax);
+            u.push(dRef[i] + duMax);
+        }
+        for (let k = 0; k < n; k++) {
+            A.push([...Gamma[k * ny], -1, 0]);
+            l.push(-Infinity);
+            u.push(tempMax - freeResponse[k * ny]);
+            A.push([...Gamma[k * ny + 2], 0, 1]);
+            l.push(reserve - freeResponse[k * ny + 2]);
+            u.push(Infinity);
+        }
+        A.push(this.unitRow(nv, m));
+        l.push(0);
+        u.push(Infinity);
+        A.push(this.unitRow(nv, m + 1));
+        l.push(0);
+        u.push(Infinity);
+        
+        const result = this.qpSolver.solve({ P, q, A, l, u });
+        // An unconverged or infeasible iterate is no move for the plant: hold the previous current
+        const fallback = result.status !== 'solved';
+        const controlSequence = fallback
+            ? Array(m).fill(this.holdCurrent(uPrev, uMin, uMax))
+            : result.x.slice(0, m).map(value => Math.max(uMin, Math.min(uMax, value)));
+        const predicted = this.matrixVectorMultiply(Gamma, controlSequence).map((y, i) => y + freeResponse[i]);
+        const trajectory = [x0];
+        for (let k = 0; k < n; k++) {
+            trajectory.push(predicted.slice(k * ny, (k + 1) * ny));
+        }
+        
+        return {
+            control_sequence: controlSequence,
+            slack: Math.max(0, result.x[m]),
+            reserve_slack: Math.max(0, result.x[m + 1]),
+            cost: this.calculateCost(trajectory, controlSequence, setpoints, Q, R, uPrev, constraints),
+            degradation: this.degradationCost(trajectory, controlSequence, uPrev, constraints),
+            status: result.status,
+            fallback: fallback ? 'hold_previous_current' : null,
+            iterations: result.iterations,
+            primal_residual: result.primal_residual,
+            dual_residual: result.dual_residual
+        };
+    }
+
+    // Fallback move: a stopped or ramping stack below the range stays where it is, never started by a failed solve
+    holdCurrent(uPrev, uMin, uMax) {
+        return uPrev < uMin ? uPrev : Math.min(uMax, uPrev);
+    }
+
+    unitRow(size, index) {
+        const row = Array(size).fill(0);
+        row[index] = 1;
+        return row;
+    }
+
+    // MIXED-INTEGER UTILITIES
+    generateBinaryVariables(horizon = this.predictionHorizon, constraints = {}) {
+        return {
+            horizon: horizon,
+            names: ['stack_on', 'standby'],
+            count: 2 * horizon,
+            min_up_steps: constraints.min_up_steps ?? 3,
+            min_down_steps: constraints.min_down_steps ?? 3,
+            initial_on: constraints.stack_on ?? 1,
+            initial_steps_in_state: constraints.steps_in_state ?? Infinity
+        };
+    }
+
+    // Variable layout: [u_0..u_N-1, on_0..on_N-1, standby_0..standby_N-1, startup_0..startup_N-1, ε, σ]
+    buildMIQP(model, currentState, setpoints, constraints, binaryVars) {
+        const N = binaryVars.horizon;
+        const x0 = this.normalizeState(currentState);
+        const prediction = this.buildPredictionMatrices(model, N, N);
+        const Q = this.matrixDiag(this.outputWeights);
+        const R = this.matrixDiag([0.1]);
+        const ny = Q.length;
+        
+        const uMin = constraints.current_min ?? 100;
+        const uMax = constraints.current_max ?? 200;
+        const duMax = constraints.current_rate_max ?? 20;
+        const tempMax = constraints.temp_max ?? 80;
+        const reserve = constraints.min_reserve ?? this.storageTank.params.min_reserve;
+        const onInit = binaryVars.initial_on;
+        const uPrev = onInit ? this.previousCurrent(currentState, constraints) : constraints.previous_current ?? 0;
+        const slackWeight = constraints.slack_weight ?? 1e3;
+        
+        // Economic weights (KES): energy per amp-step at each step's tariff price, standby heating, cold start
+        const stackVoltage = constraints.stack_voltage ?? 38;
+        const start = constraints.time ? new Date(constraints.time) : new Date();
+        const energyPerAmp = k => {
+            const price = constraints.energy_price ??
+                this.tariffEngine.priceAt(new Date(start.getTime() + k * this.sampleTime * 1000)).rate;
+            return price * stackVoltage * this.sampleTime / 3.6e6;
+        };
+        const standbyCost = constraints.standby_cost ?? 0.5;
+        // Each cold start also ages the membranes and catalyst
+        const startupCost = (constraints.startup_cost ?? 50) +
+            (constraints.include_degradation ? this.degradationModel.startStopCost() : 0);
+        
+        const iu = k => k;
+        const ion = k => N + k;
+        const isb = k => 2 * N + k;
+        const isu = k => 3 * N + k;
+        const iEps = 4 * N;
+        const iReserve = 4 * N + 1;
+        const nv = 4 * N + 2;
+        
+        const { H, f, freeResponse } = this.buildTrackingObjective(prediction, Q, R, x0, setpoints, uPrev, constraints);
+        const Gamma = prediction.Gamma;
+        
+        const P = Array(nv).fill().map(() => Array(nv).fill(0));
+        const q = Array(nv).fill(0);
+        for (let i = 0; i < N; i++) {
+            for (let j = 0; j < N; j++) P[iu(i)][iu(j)] = 2 * H[i][j];
+            q[iu(i)] = 2 * f[i] + energyPerAmp(i);
+            q[isb(i)] = standbyCost;
+            q[isu(i)] = startupCost;
+        }
+        P[iEps][iEps] = 2 * slackWeight;
+        q[iEps] = slackWeight;
+        P[iReserve][iReserve] = 2 * slackWeight;
+        q[iReserve] = slackWeight;
+        
+        const A = [];
+        const l = [];
+        const u = [];
+        const addRow = (coefficients, lower, upper) => {
+            const row = Array(nv).fill(0);
+            Object.entries(coefficients).forEach(([index, value]) => {
+                row[index] += value;
+            });
+            A.push(row);
+            l.push(lower);
+            u.push(upper);
+            return A.length - 1;
+        };
+        
+        // Relaxed binaries: one bound row each so branching can fix them
+        const binaryRows = [];
+        const binaryIndices = [];
+        for (let k = 0; k < N; k++) {
+            binaryIndices.push(ion(k));
+            binaryRows.push(addRow({ [ion(k)]: 1 }, 0, 1));
+        }
+        for (let k = 0; k < N; k++) {
+            binaryIndices.push(isb(k));
+            binaryRows.push(addRow({ [isb(k)]: 1 }, 0, 1));
+        }
+        
+        // Stacks already inside their minimum up/down time keep their state
+        const stepsInState = binaryVars.initial_steps_in_state;
+        const lockedSteps = onInit
+            ? Math.max(0, binaryVars.min_up_steps - stepsInState)
+            : Math.max(0, binaryVars.min_down_steps - stepsInState);
+        for (let k = 0; k < Math.min(lockedSteps, N); k++) {
+            l[binaryRows[k]] = onInit;
+            u[binaryRows[k]] = onInit;
+        }
+        
+        for (let k = 0; k < N; k++) {
+            // Mode exclusivity and current range: on → [uMin, uMax], standby/off → 0
+            addRow({ [ion(k)]: 1, [isb(k)]: 1 }, -Infinity, 1);
+            addRow({ [iu(k)]: 1, [ion(k)]: -uMax }, -Infinity, 0);
+            addRow({ [iu(k)]: 1, [ion(k)]: -uMin }, 0, Infinity);
+            
+            // Ramp limits, relaxed by big-M across start/stop transitions
+            if (k === 0) {
+                addRow({ [iu(0)]: 1 }, -Infinity, uPrev + duMax + uMax * (1 - onInit));
+                addRow({ [iu(0)]: -1, [ion(0)]: uMax }, -Infinity, duMax + uMax - uPrev);
+                addRow({ [isu(0)]: 1, [ion(0)]: -1 }, -onInit, Infinity);
+            } else {
+                addRow({ [iu(k)]: 1, [iu(k - 1)]: -1, [ion(k - 1)]: uMax }, -Infinity, duMax + uMax);
+                addRow({ [iu(k - 1)]: 1, [iu(k)]: -1, [ion(k)]: uMax }, -Infinity, duMax + uMax);
+                addRow({ [isu(k)]: 1, [ion(k)]: -1, [ion(k - 1)]: 1 }, 0, Infinity);
+            }
+            addRow({ [isu(k)]: 1 }, 0, 1);
+            
+            // Minimum up time: a start at k keeps the stack on for min_up_steps
+            for (let tau = k + 1; tau < Math.min(k + binaryVars.min_up_steps, N); tau++) {
+                if (k === 0) addRow({ [ion(0)]: 1, [ion(tau)]: -1 }, -Infinity, onInit);
+                else addRow({ [ion(k)]: 1, [ion(k - 1)]: -1, [ion(tau)]: -1 }, -Infinity, 0);
+            }
+            // Minimum down time: a stop at k keeps the stack off for min_down_steps
+            for (let tau = k + 1; tau < Math.min(k + binaryVars.min_down_steps, N); tau++) {
+                if (k === 0) addRow({ [ion(0)]: -1, [ion(tau)]: 1 }, -Infinity, 1 - onInit);
+                else addRow({ [ion(k - 1)]: 1, [ion(k)]: -1, [ion(tau)]: 1 }, -Infinity, 1);
+            }
+            
+            // Soft temperature limit
+            const tempRow = { [iEps]: -1 };
+            for (let j = 0; j < N; j++) {
+                tempRow[iu(j)] = Gamma[k * ny][j];
+            }
+            addRow(tempRow, -Infinity, tempMax - freeResponse[k * ny]);
+            
+            // Soft hospital reserve on the tank level
+            const reserveRow = { [iReserve]: 1 };
+            for (let j = 0; j < N; j++) {
+                reserveRow[iu(j)] = Gamma[k * ny + 2][j];
+            }
+            addRow(reserveRow, reserve - freeResponse[k * ny + 2], Infinity);
+        }
+        addRow({ [iEps]: 1 }, 0, Infinity);
+        addRow({ [iReserve]: 1 }, 0, Infinity);
+        
+        return {
+            P, q, A, l, u,
+            binaryIndices, binaryRows,
+            Gamma, freeResponse, x0, Q, R, uPrev, uMin, uMax,
+            indices: { current: iu, on: ion, standby: isb, startup: isu, slack: iEps, reserve_slack: iReserve }
+        };
+    }
+
+    solveMIQP(model, currentState, setpoints, constraints, binaryVars) {
+        const startTime = performance.now();
+        const miqp = this.buildMIQP(model, currentState, setpoints, constraints, binaryVars);
+        const N = binaryVars.horizon;
+        // The move is due every sample: bound the search by nodes and half the sample time, keep the best incumbent
+        const maxNodes = constraints.max_nodes ?? 50;
+        const maxSolveMs = constraints.max_solve_ms ?? this.sampleTime * 500;
+        const integralityTolerance = 1e-3;
+        
+        const solveNode = (fixings, warmStart) => {
+            const l = miqp.l.slice();
+            const u = miqp.u.slice();
+            Object.entries(fixings).forEach(([b, value]) => {
+                l[miqp.binaryRows[b]] = value;
+                u[miqp.binaryRows[b]] = value;
+            });
+            return this.relaxationSolver.solve({ P: miqp.P, q: miqp.q, A: miqp.A, l, u }, warmStart);
+        };
+        
+        // Depth-first branch and bound on the QP relaxation
+        let incumbent = null;
+        let nodesExplored = 0;
+        let totalIterations = 0;
+        const stack = [{ fixings: {}, warmStart: {} }];
+        
+        let timedOut = false;
+        let unconverged = false;            // some bound or incumbent came from a QP short of 'solved'
+        while (stack.length > 0 && nodesExplored < maxNodes) {
+            if (performance.now() - startTime > maxSolveMs) {
+                timedOut = true;
+                break;
+            }
+            const node = stack.pop();
+            const relaxation = solveNode(node.fixings, node.warmStart);
+            nodesExplored++;
+            totalIterations += relaxation.iterations;
+            
+            if (relaxation.status === 'primal_infeasible') continue;
+            // Only a converged relaxation is a valid lower bound; an unconverged one is branched further
+            const converged = relaxation.status === 'solved';
+            if (!converged) unconverged = true;
+            if (converged && incumbent && relaxation.objective >= incumbent.objective - 1e-6 * Math.abs(incumbent.objective)) continue;
+            
+            // Branch on the most fractional binary
+            let branchIndex = -1;
+            let mostFractional = integralityTolerance;
+            miqp.binaryIndices.forEach((variable, b) => {
+                if (b in node.fixings) return;
+                const value = relaxation.x[variable];
+                const fractionality = Math.min(value - Math.floor(value), Math.ceil(value) - value);
+                if (fractionality > mostFractional) {
+                    mostFractional = fractionality;
+                    branchIndex = b;
+                }
+            });
+            
+            if (branchIndex === -1) {
+                // Integer feasible: fix every binary and polish the continuous part
+                const fixings = {};
+                miqp.binaryIndices.forEach((variable, b) => {
+                    fixings[b] = Math.round(relaxation.x[variable]);
+                });
+                const polished = solveNode(fixings, { x: relaxation.x, y: relaxation.y });
+                totalIterations += polished.iterations;
+                if (polished.status !== 'primal_infeasible' &&
+                    (!incumbent || polished.objective < incumbent.objective)) {
+                    if (polished.status !== 'solved') unconverged = true;
+                    incumbent = { ...polished, fixings };
+                }
+                continue;
+            }
+            
+            // Explore the nearer rounding first (pushed last)
+            const value = relaxation.x[miqp.binaryIndices[branchIndex]];
+            const first = Math.round(value);
+            const warmStart = { x: relaxation.x, y: relaxation.y };
+            stack.push({ fixings: { ...node.fixings, [branchIndex]: 1 - first }, warmStart });
+            stack.push({ fixings: { ...node.fixings, [branchIndex]: first }, warmStart });
+        }
+        
+        let status = stack.length > 0 ? (timedOut ? 'time_limit' : 'node_limit') : unconverged ? 'feasible' : 'optimal';
+        if (!incumbent) {
+            // Fall back to holding the present on/off state across the horizon
+            const fixings = {};
+            miqp.binaryIndices.forEach((variable, b) => {
+                fixings[b] = b < N ? binaryVars.initial_on : 0;
+            });
+            incumbent = { ...solveNode(fixings, {}), fixings };
+            status = 'fallback_hold_state';
+        }
+        
+        const idx = miqp.indices;
+        const currents = [];
+        const stackOn = [];
+        const standby = [];
+        for (let k = 0; k < N; k++) {
+            stackOn.push(incumbent.fixings[k]);
+            standby.push(incumbent.fixings[N + k]);
+            // ADMM meets the bounds only to its tolerance: a running stack never goes below uMin
+            currents.push(stackOn[k] ? Math.min(miqp.uMax, Math.max(miqp.uMin, incumbent.x[idx.current(k)])) : 0);
+        }
+        
+        const ny = miqp.Q.length;
+        const predicted = this.matrixVectorMultiply(miqp.Gamma, currents).map((y, i) => y + miqp.freeResponse[i]);
+        const trajectory = [miqp.x0];
+        for (let k = 0; k < N; k++) {
+            trajectory.push(predicted.slice(k * ny, (k + 1) * ny));
+        }
+        
+        return {
+            continuousVars: currents,
+            binaryVars: {
+                stack_on: stackOn,
+                standby: standby,
+                startups: stackOn.map((on, k) => on && !(k === 0 ? binaryVars.initial_on : stackOn[k - 1]) ? 1 : 0)
+            },
+            trajectory: trajectory,
+            cost: this.calculateCost(trajectory, currents, setpoints, miqp.Q, miqp.R, miqp.uPrev, constraints),
+            degradation: this.degradationCost(trajectory, currents, miqp.uPrev, constraints),
+            computationTime: this.measureComputationTime(startTime),
+            solver: {
+                status: status,
+                nodes_explored: nodesExplored,
+                iterations: totalIterations,
+                primal_residual: incumbent.primal_residual,
+                dual_residual: incumbent.dual_residual
+            }
+        };
+    }
+
+    // STOCHASTIC UTILITIES
+    generateScenarios(uncertainty = {}) {
+        const count = uncertainty.scenario_count ?? 20;
+        const weatherStd = Math.sqrt(uncertainty.weather_variance ?? 0.1);
+        const demandStd = Math.sqrt(uncertainty.demand_variance ?? 0.15);
+        const random = this.createRandomGenerator(uncertainty.seed ?? 42);
+        
+        const scenarios = [];
+        const disturbanceStd = uncertainty.disturbance_std;
+        for (let s = 0; s < count; s++) {
+            scenarios.push({
+                id: s,
+                weather_factor: weatherStd * this.sampleStandardNormal(random),
+                demand_factor: demandStd * this.sampleStandardNormal(random),
+                disturbance: disturbanceStd ? disturbanceStd.map(std => std * this.sampleStandardNormal(random)) : [0, 0],
+                probability: 1 / count
+            });
+        }
+        return scenarios;
+    }
+
+    applyUncertainty(model, scenario) {
+        // Weather changes heat rejection to ambient, demand changes the load drawn per amp
+        // and the hospital's draw on the tank
+        const A = model.A.map(row => row.slice());
+        const heatLoss = Math.max(0, (1 - A[0][0]) * (1 + scenario.weather_factor));
+        A[0][0] = 1 - heatLoss;
+        const demandScale = Math.max(0.1, 1 + scenario.demand_factor);
+        const B = model.B.map((row, i) => [i < 2 ? row[0] * demandScale : row[0]]);
+        const offset = model.offset.map((value, i) => i === 2 ? value * demandScale : value);
+        // Heat (K/h) and efficiency (%) disturbances drawn around the estimate
+        offset[0] += scenario.disturbance[0] * this.sampleTime / 3600;
+        offset[1] += scenario.disturbance[1];
+        return { ...model, A, B, offset };
+    }
+
+    // Two-stage scenario fan: u_0 shared by all scenarios, later moves per scenario
+    solveScenarioQP(scenarioModels, scenarios, currentState, setpoints, constraints = {}) {
+        const x0 = this.normalizeState(currentState);
+        const n = this.predictionHorizon;
+        const m = this.controlHorizon;
+        const S = scenarios.length;
+        const Q = this.matrixDiag(this.outputWeights);
+        const R = this.matrixDiag([0.1]);
+        const ny = Q.length;
+        
+        const uMin = constraints.current_min ?? 100;
+        const uMax = constraints.current_max ?? 200;
+        const duMax = constraints.current_rate_max ?? 20;
+        const tempMax = constraints.temp_max ?? 80;
+        const reserve = constraints.min_reserve ?? this.storageTank.params.min_reserve;
+        const uPrev = this.previousCurrent(currentState, constraints);
+        const slackWeight = constraints.slack_weight ?? 1e3;
+        
+        // Variable layout: [u_0, (u_1..u_m-1) per scenario, ε per scenario, σ per scenario]
+        const nv = 1 + S * (m - 1) + 2 * S;
+        const moveIndex = (s, i) => i === 0 ? 0 : 1 + s * (m - 1) + (i - 1);
+        const slackIndex = s => 1 + S * (m - 1) + s;
+        const reserveIndex = s => 1 + S * m + s;
+        
+        const P = Array(nv).fill().map(() => Array(nv).fill(0));
+        const q = Array(nv).fill(0);
+        const A = [];
+        const l = [];
+        const u = [];
+        const addRow = (coefficients, lower, upper) => {
+            const row = Array(nv).fill(0);
+            coefficients.forEach(([index, value]) => {
+                row[index] += value;
+            });
+            A.push(row);
+            l.push(lower);
+            u.push(upper);
+        };
+        
+        const predictions = scenarioModels.map((scenarioModel, s) => {
+            const p = scenarios[s].probability;
+            const prediction = this.buildPredictionMatrices(scenarioModel, n, m);
+            const Gamma = prediction.Gamma;
+            const { H, f, freeResponse } = this.buildTrackingObjective(prediction, Q, R, x0, setpoints, uPrev, constraints);
+            
+            for (let i = 0; i < m; i++) {
+                for (let j = 0; j < m; j++) {
+                    P[moveIndex(s, i)][moveIndex(s, j)] += 2 * p * H[i][j];
+                }
+                q[moveIndex(s, i)] += 2 * p * f[i];
+            }
+            P[slackIndex(s)][slackIndex(s)] = 2 * p * slackWeight;
+            q[slackIndex(s)] = p * slackWeight;
+            P[reserveIndex(s)][reserveIndex(s)] = 2 * p * slackWeight;
+            q[reserveIndex(s)] = p * slackWeight;
+            
+            // Per-scenario rate limits, soft temperature limit and soft storage reserve
+            for (let i = 1; i < m; i++) {
+                addRow([[moveIndex(s, i), 1], [moveIndex(s, i - 1), -1]], -duMax, duMax);
+            }
+            for (let k = 0; k < n; k++) {
+                const coefficients = [[slackIndex(s), -1]];
+                for (let i = 0; i < m; i++) {
+                    coefficients.push([moveIndex(s, i), Gamma[k * ny][i]]);
+                }
+                addRow(coefficients, -Infinity, tempMax - freeResponse[k * ny]);
+                
+                const reserveCoefficients = [[reserveIndex(s), 1]];
+                for (let i = 0; i < m; i++) {
+                    reserveCoefficients.push([moveIndex(s, i), Gamma[k * ny + 2][i]]);
+                }
+                addRow(reserveCoefficients, reserve - freeResponse[k * ny + 2], Infinity);
+            }
+            addRow([[slackIndex(s), 1]], 0, Infinity);
+            addRow([[reserveIndex(s), 1]], 0, Infinity);
+            
+            return { Gamma, freeResponse };
+        });
+        
+        // Shared first move (ramping from uMin on start-up) and per-scenario input bounds
+        const rateBase = Math.max(uPrev, uMin);
+        addRow([[0, 1]], Math.max(uMin, rateBase - duMax), Math.min(uMax, rateBase + duMax));
+        for (let v = 1; v < 1 + S * (m - 1); v++) {
+            addRow([[v, 1]], uMin, uMax);
+        }
+        
+        const result = this.qpSolver.solve({ P, q, A, l, u });
+        // As in solveQP: every scenario holds the previous current unless the fan converged
+        const fallback = result.status !== 'solved';
+        
+        const expectedTrajectory = Array(n + 1).fill().map(() => Array(ny).fill(0));
+        const scenarioSolutions = scenarios.map((scenario, s) => {
+            const controlSequence = [];
+            for (let i = 0; i < m; i++) {
+                controlSequence.push(fallback
+                    ? this.holdCurrent(uPrev, uMin, uMax)
+                    : Math.max(uMin, Math.min(uMax, result.x[moveIndex(s, i)])));
+            }
+            const { Gamma, freeResponse } = predictions[s];
+            const predicted = this.matrixVectorMultiply(Gamma, controlSequence).map((y, i) => y + freeResponse[i]);
+            const trajectory = [x0];
+            for (let k = 0; k < n; k++) {
+                trajectory.push(predicted.slice(k * ny, (k + 1) * ny));
+            }
+            trajectory.forEach((state, k) => state.forEach((value, j) => {
+                expectedTrajectory[k][j] += scenario.probability * value;
+            }));
+            
+            return {
+                scenario_id: scenario.id,
+                probability: scenario.probability,
+                weather_factor: scenario.weather_factor,
+                demand_factor: scenario.demand_factor,
+                control_sequence: controlSequence,
+                predicted_states: trajectory,
+                peak_temperature: Math.max(...trajectory.slice(1).map(state => state[0])),
+                cost: this.calculateCost(trajectory, controlSequence, setpoints, Q, R, uPrev, constraints),
+                degradation: this.degradationCost(trajectory, controlSequence, uPrev, constraints)
+            };
+        });
+        
+        return {
+            scenarioSolutions,
+            expectedTrajectory,
+            solver: {
+                status: result.status,
+                fallback: fallback ? 'hold_previous_current' : null,
+                iterations: result.iterations,
+                primal_residual: result.primal_residual,
+                dual_residual: result.dual_residual
+            }
+        };
+    }
+
+    computeRobustControl(scenarioSolutions) {
+        // First moves coincide by construction; weight them to absorb solver tolerance
+        return scenarioSolutions.reduce(
+            (sum, solution) => sum + solution.probability * solution.control_sequence[0], 0
+        );
+    }
+
+    expectedDegradation(scenarioSolutions) {
+        const expected = key => scenarioSolutions.reduce((sum, s) => sum + s.probability * s.degradation[key], 0);
+        return {
+            cost: expected('cost'),
+            cost_per_hour: expected('cost_per_hour'),
+            rate_uv_per_hour: expected('rate_uv_per_hour'),
+            in_objective: scenarioSolutions[0].degradation.in_objective
+        };
+    }
+
+    calculateRiskMetrics(scenarioSolutions, tempMax = 80, confidenceLevel = 0.9) {
+        const expectedCost = scenarioSolutions.reduce((sum, s) => sum + s.probability * s.cost, 0);
+        
+        // Value-at-Risk and Conditional VaR over the scenario cost distribution
+        const sorted = scenarioSolutions.slice().sort((a, b) => a.cost - b.cost);
+        let cumulative = 0;
+        let valueAtRisk = sorted[sorted.length - 1].cost;
+        for (const solution of sorted) {
+            cumulative += solution.probability;
+            if (cumulative >= confidenceLevel - 1e-12) {
+                valueAtRisk = solution.cost;
+                break;
+            }
+        }
+        const excess = scenarioSolutions.reduce(
+            (sum, s) => sum + s.probability * Math.max(0, s.cost - valueAtRisk), 0
+        );
+        const cvar = valueAtRisk + excess / (1 - confidenceLevel);
+        
+        const violationProbability = scenarioSolutions
+            .filter(s => s.peak_temperature > tempMax)
+            .reduce((sum, s) => sum + s.probability, 0);
+        const variance = scenarioSolutions.reduce(
+            (sum, s) => sum + s.probability * Math.pow(s.cost - expectedCost, 2), 0
+        );
+        
+        return {
+            expected_cost: expectedCost,
+            cost_std: Math.sqrt(variance),
+            confidence_level: confidenceLevel,
+            value_at_risk: valueAtRisk,
+            cvar: cvar,
+            chance_constraint_violation_probability: violationProbability,
+            worst_case_peak_temperature: Math.max(...scenarioSolutions.map(s => s.peak_temperature)),
+            scenario_count: scenarioSolutions.length
+        };
+    }
+
+    // Seeded PRNG (mulberry32) so scenario sets are reproducible between runs
+    createRandomGenerator(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    sampleStandardNormal(random) {
+        // Box-Muller transform
+        const u1 = Math.max(random(), 1e-12);
+        const u2 = random();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
     }
 
     predictTrajectory(model, initialState, controlSequence, steps) {
@@ -217,8 +1361,9 @@ class MPCAlgorithms {
         
         for (let i = 0; i < steps; i++) {
             const control = controlSequence[Math.min(i, controlSequence.length - 1)];
-            const nextState = this.matrixMultiply(model.A, currentState)
-                            .map((row, idx) => row + model.B[idx][0] * control);
+            const offset = this.stepOffset(model, i);
+            const nextState = this.matrixVectorMultiply(model.A, currentState)
+                            .map((value, idx) => value + model.B[idx][0] * control + offset[idx]);
             trajectory.push(nextState);
             currentState = nextState;
         }
@@ -226,22 +1371,55 @@ class MPCAlgorithms {
         return trajectory;
     }
 
-    calculateCost(controlSequence, setpoints, Q, R) {
-        // Calculate quadratic cost
+    calculateCost(trajectory, controlSequence, setpoints, Q, R, previousCurrent, constraints = {}) {
+        // Quadratic tracking cost over the horizon plus move suppression
         let cost = 0;
-        for (let i = 0; i < controlSequence.length; i++) {
-            // Output error cost
-            const error = [setpoints.temperature - 70, setpoints.efficiency - 75];
+        for (let k = 1; k < trajectory.length; k++) {
+            const error = [
+                trajectory[k][0] - (setpoints.temperature ?? 70),
+                trajectory[k][1] - (setpoints.efficiency ?? 75)
+            ];
             cost += error[0] * Q[0][0] * error[0] + error[1] * Q[1][1] * error[1];
-            // Control effort cost
-            cost += controlSequence[i] * R[0][0] * controlSequence[i];
+        }
+        let lastCurrent = previousCurrent;
+        for (let i = 0; i < controlSequence.length; i++) {
+            const move = controlSequence[i] - lastCurrent;
+            cost += move * R[0][0] * move;
+            if (setpoints.current !== undefined) {
+                cost += this.currentTrackingWeight * Math.pow(controlSequence[i] - setpoints.current, 2);
+            }
+            lastCurrent = controlSequence[i];
+        }
+        if (constraints.include_degradation) {
+            cost += this.degradationCost(trajectory, controlSequence, previousCurrent, constraints).cost;
         }
         return cost;
     }
 
-    measureComputationTime() {
-        return Math.random() * 0.1 + 0.05; // Simulated computation time
+    // Stack wear over the horizon (KES per stack): decay at the predicted temperatures, load swings, cold starts
+    degradationCost(trajectory, controlSequence, previousCurrent, constraints = {}) {
+        const n = trajectory.length - 1;
+        const currents = Array.from({ length: n }, (_, k) => controlSequence[Math.min(k, controlSequence.length - 1)]);
+        const temperatures = trajectory.slice(1).map(state => state[0]);
+        const hours = n * this.sampleTime / 3600;
+        const cost = this.degradationModel.trajectoryCost(currents, temperatures, this.sampleTime / 3600, {
+            previousCurrent: previousCurrent,
+            initialOn: constraints.stack_on ?? 1
+        });
+        const microvolts = cost / this.degradationModel.costPerMicrovolt();
+        return {
+            cost: cost,
+            cost_per_hour: hours > 0 ? cost / hours : 0,
+            rate_uv_per_hour: hours > 0 ? microvolts / hours : 0,
+            in_objective: Boolean(constraints.include_degradation)
+        };
+    }
+
+    measureComputationTime(startTime) {
+        return (performance.now() - startTime) / 1000; // seconds
     }
 }
 
+MPCAlgorithms.TYPES = ['Standard-MPC', 'MixedInteger-MPC', 'Stochastic-MPC', 'HEMPC', 'HE-NMPC'];
+
 module.exports = MPCAlgorithms;
@@ -1,40 +1,41 @@
 // mpc-comparator.js - REAL PERFORMANCE COMPARISON
+const MPCAlgorithms = require('./mpc-algorithms');
+const WeatherProvider = require('./weather-provider');
+const config = require('./config');
+
 class MPCComparator {
-    constructor() {
-        this.mpcAlgorithms = new MPCAlgorithms();
-        this.performanceHistory = [];
+    constructor(mpcAlgorithms = new MPCAlgorithms(), historyStore = null) {
+        this.mpcAlgorithms = mpcAlgorithms;
+        this.historyStore = historyStore;
+        this.performanceHistory = [];       // newest metrics only; full records live in the history store
+        this.maxHistory = config.history.memoryLimit;
         this.metrics = [
             'efficiency', 'cost', 'response_time', 'computation_time', 
-            'stability', 'constraint_violations', 'o2_production'
+            'stability', 'constraint_violations', 'o2_production',
+            'storage_level', 'reserve_margin', 'compressor_kw',
+            'pv_fraction', 'grid_fraction', 'diesel_fraction', 'fuel_l_per_m3', 'co2_kg_per_m3',
+            'degradation_rate', 'degradation_cost', 'tco_per_m3'
         ];
     }
 
     async runAllMPCComparison(currentState, operatingConditions) {
         const results = {};
         
-        // Run all MPC variants in parallel
-        const promises = [
-            this.mpcAlgorithms.standardMPC(currentState, operatingConditions.setpoints, operatingConditions.constraints),
-            this.mpcAlgorithms.mixedIntegerMPC(currentState, operatingConditions.setpoints, operatingConditions.constraints),
-            this.mpcAlgorithms.stochasticMPC(currentState, operatingConditions.setpoints, operatingConditions.uncertainty),
-            this.mpcAlgorithms.hierarchicalEconomicMPC(currentState, operatingConditions.economicData, operatingConditions.constraints),
-            this.mpcAlgorithms.heNMPC(currentState, operatingConditions.weatherData, operatingConditions.economicData, operatingConditions.hospitalDemand)
-        ];
-
-        const mpcResults = await Promise.all(promises);
-        
-        // Store results
-        mpcResults.forEach(result => {
+        // Solves are synchronous: run them one at a time and let the control loop in between
+        for (const type of MPCAlgorithms.TYPES) {
+            const result = await this.mpcAlgorithms.runAlgorithm(type, currentState, operatingConditions);
             results[result.type] = result;
-        });
+            await new Promise(resolve => setImmediate(resolve));
+        }
 
         // Calculate performance metrics
-        const performanceMetrics = this.calculatePerformanceMetrics(results);
+        const performanceMetrics = this.calculatePerformanceMetrics(results, operatingConditions);
         
         // Update history
-        this.performanceHistory.push({
+        this.addHistoryEntry({
             timestamp: new Date(),
-            results: results,
+            source: 'snapshot',
+            results: null,
             metrics: performanceMetrics
         });
 
@@ -45,11 +46,65 @@ class MPCComparator {
         };
     }
 
-    calculatePerformanceMetrics(results) {
+    // Closed-loop runs enter the history hour by hour, stamped with simulated time
+    recordSimulation(simulation) {
+        const types = Object.keys(simulation.runs);
+        if (types.length === 0) return null;
+
+        const hours = simulation.runs[types[0]].hourly.length;
+        for (let h = 0; h < hours; h++) {
+            const metrics = {};
+            types.forEach(mpcType => {
+                metrics[mpcType] = simulation.runs[mpcType].hourly[h].metrics;
+            });
+            this.addHistoryEntry({
+                timestamp: new Date(simulation.runs[types[0]].hourly[h].time),
+                source: 'closed_loop',
+                results: null,
+                metrics: metrics
+            });
+        }
+
+        return this.rankMPCAlgorithms(simulation.summary);
+    }
+
+    // PERSISTENCE: metrics survive restarts; memory keeps a bounded window of them
+    addHistoryEntry(entry) {
+        this.performanceHistory.push(entry);
+        this.trimHistory();
+        if (!this.historyStore) return;
+        try {
+            this.historyStore.append('performance', { source: entry.source, metrics: entry.metrics }, entry.timestamp);
+        } catch (error) {
+            console.error('❌ Failed to persist performance metrics:', error.message);
+        }
+    }
+
+    async restoreHistory(days = 30, limit = config.history.restoreLimit) {
+        if (!this.historyStore) return 0;
+        const records = await this.historyStore.read({ stream: 'performance', from: Date.now() - days * 86400 * 1000, limit });
+        this.performanceHistory = records.map(record => ({
+            timestamp: new Date(record.recorded_at),
+            source: record.source,
+            results: null,
+            metrics: record.metrics
+        })).concat(this.performanceHistory);
+        this.trimHistory();
+        return records.length;
+    }
+
+    trimHistory() {
+        const excess = this.performanceHistory.length - this.maxHistory;
+        if (excess > 0) this.performanceHistory.splice(0, excess);
+    }
+
+    calculatePerformanceMetrics(results, operatingConditions = {}) {
         const metrics = {};
         
         Object.keys(results).forEach(mpcType => {
             const result = results[mpcType];
+            const storage = this.calculateStorageMetrics(result);
+            const power = this.calculatePowerMetrics(result, storage, operatingConditions);
             metrics[mpcType] = {
                 efficiency: result.predicted_states ? result.predicted_states[1][1] : 75,
                 cost: result.cost || result.total_cost || 4.0,
@@ -57,7 +112,9 @@ class MPCComparator {
                 computation_time: result.computation_time || 0.1,
                 stability: this.calculateStability(result),
                 constraint_violations: this.checkConstraintViolations(result),
-                o2_production: this.estimateO2Production(result.optimal_current)
+                o2_production: this.estimateO2Production(result.optimal_current),
+                ...storage,
+                ...power
             };
         });
         
@@ -77,13 +134,57 @@ class MPCComparator {
         // Check for constraint violations
         let violations = 0;
         if (mpcResult.optimal_current < 100 || mpcResult.optimal_current > 200) violations++;
-        // Add more constraint checks
+        if (this.calculateStorageMetrics(mpcResult).reserve_margin < 0) violations++;
         return violations;
     }
 
+    // Tank level at the end of the prediction, lowest margin to the hospital reserve, compression power
+    calculateStorageMetrics(mpcResult) {
+        const tank = this.mpcAlgorithms.storageTank;
+        const levels = (mpcResult.predicted_states || [])
+            .map(state => state[2])
+            .filter(level => level !== undefined);
+        if (levels.length === 0) levels.push(tank.level);
+        const production = this.mpcAlgorithms.economicScheduler.o2Rate(mpcResult.optimal_current);
+        return {
+            storage_level: levels[levels.length - 1],
+            reserve_margin: Math.min(...levels) - tank.params.min_reserve,
+            compressor_kw: tank.compressorPowerKW(production, levels[0])
+        };
+    }
+
+    // Source mix, fuel, CO₂ and total cost of ownership (energy + stack wear) if the plant ran this hour at the commanded current
+    calculatePowerMetrics(mpcResult, storage, operatingConditions = {}) {
+        const scheduler = this.mpcAlgorithms.economicScheduler;
+        const time = new Date(operatingConditions.economicData?.time ?? Date.now());
+        const weather = operatingConditions.weatherForecast;
+        const current = mpcResult.optimal_current;
+        const power = scheduler.powerDispatch.dispatch(scheduler.powerKW(current) + storage.compressor_kw, {
+            time: time,
+            irradiance: WeatherProvider.valueAt(weather, 'irradiance', time) ?? operatingConditions.weatherData?.irradiance ?? 0,
+            ambient: operatingConditions.weatherData?.temperature ?? 20
+        });
+        const summary = scheduler.powerDispatch.summarize([power], scheduler.o2Rate(current));
+        const degradation = this.mpcAlgorithms.degradationModel;
+        const temperature = mpcResult.predicted_states ? mpcResult.predicted_states[1][0] : scheduler.plant.nominal_temperature;
+        const degradationCost = degradation.costPerHour(current, temperature) * scheduler.plant.stacks;
+        const o2 = scheduler.o2Rate(current);
+        return {
+            pv_fraction: summary.source_mix.pv_fraction,
+            grid_fraction: summary.source_mix.grid_fraction,
+            diesel_fraction: summary.source_mix.diesel_fraction,
+            fuel_l_per_m3: summary.fuel_l_per_m3,
+            co2_kg_per_m3: summary.co2_kg_per_m3,
+            degradation_rate: degradation.rate(current, temperature),            // µV/h per cell
+            degradation_cost: degradationCost,                                  // KES/h, whole plant
+            energy_cost: power.cost_per_hour,                                   // KES/h
+            tco_per_m3: o2 > 0 ? (power.cost_per_hour + degradationCost) / o2 : 0
+        };
+    }
+
     estimateO2Production(current) {
-        // Simple O2 production model
-        return current * 0.21; // L/min
+        // Faraday's law on the physics stack model
+        return this.mpcAlgorithms.pemModel.o2ProductionRate(current); // L/min
     }
 
     rankMPCAlgorithms(metrics) {
@@ -112,15 +213,22 @@ class MPCComparator {
         if (this.performanceHistory.length === 0) return null;
         
         const statisticalResults = {};
-        const mpcTypes = Object.keys(this.performanceHistory[0].metrics);
+        const mpcTypes = [...new Set(this.performanceHistory.flatMap(entry => Object.keys(entry.metrics)))];
         
         mpcTypes.forEach(mpcType => {
-            const allMetrics = this.performanceHistory.map(entry => entry.metrics[mpcType]);
+            // Closed-loop runs may cover only some of the algorithms
+            const allMetrics = this.performanceHistory
+                .map(entry => entry.metrics[mpcType])
+                .filter(Boolean);
+            
+            const tco = allMetrics.map(m => m.tco_per_m3).filter(value => value !== undefined);
             
             statisticalResults[mpcType] = {
                 mean_efficiency: this.calculateMean(allMetrics.map(m => m.efficiency)),
                 std_efficiency: this.calculateStd(allMetrics.map(m => m.efficiency)),
                 mean_cost: this.calculateMean(allMetrics.map(m => m.cost)),
+                // Records from before the TCO metric existed carry none
+                mean_tco_per_m3: tco.length > 0 ? this.calculateMean(tco) : null,
                 best_performance: Math.max(...allMetrics.map(m => m.efficiency)),
                 worst_performance: Math.min(...allMetrics.map(m => m.efficiency)),
                 reliability: this.calculateReliability(allMetrics)
@@ -130,6 +238,11 @@ class MPCComparator {
         return statisticalResults;
     }
 
+    calculateVariation(values) {
+        // Spread of a predicted trajectory (standard deviation)
+        return this.calculateStd(values);
+    }
+
     calculateMean(values) {
         return values.reduce((a, b) => a + b, 0) / values.length;
     }
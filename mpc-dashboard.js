@@ -3,6 +3,9 @@ class MPCDashboard {
     constructor() {
         this.charts = {};
         this.currentData = null;
+        this.eventSource = null;
+        this.pollTimer = null;
+        this.liveWindow = 300;              // telemetry points kept on the live chart
         this.initCharts();
     }
 
@@ -33,6 +36,47 @@ class MPCDashboard {
             }
         });
 
+        // O₂ supply forecast: storage against reserve, production against demand
+        this.charts.supply = new Chart('supplyChart', {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    { label: 'Storage (m³)', data: [], borderColor: '#0984e3', yAxisID: 'storage' },
+                    { label: 'Min reserve (m³)', data: [], borderColor: '#d63031', borderDash: [5, 5], pointRadius: 0, yAxisID: 'storage' },
+                    { label: 'Production (m³/h)', data: [], borderColor: '#00b894', yAxisID: 'flow' },
+                    { label: 'Demand (m³/h)', data: [], borderColor: '#e17055', yAxisID: 'flow' },
+                    { label: 'Demand 90% upper (m³/h)', data: [], borderColor: '#fab1a0', borderDash: [3, 3], pointRadius: 0, yAxisID: 'flow' }
+                ]
+            },
+            options: {
+                scales: {
+                    storage: { type: 'linear', position: 'left' },
+                    flow: { type: 'linear', position: 'right', grid: { drawOnChartArea: false } }
+                }
+            }
+        });
+
+        // Live telemetry: one point per pem_data event, oldest dropped beyond the window
+        this.charts.live = new Chart('liveChart', {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    { label: 'Temperature (°C)', data: [], borderColor: '#d63031', pointRadius: 0, yAxisID: 'process' },
+                    { label: 'Efficiency (%)', data: [], borderColor: '#00b894', pointRadius: 0, yAxisID: 'process' },
+                    { label: 'O₂ (L/min)', data: [], borderColor: '#0984e3', pointRadius: 0, yAxisID: 'process' },
+                    { label: 'Current (A)', data: [], borderColor: '#6c5ce7', pointRadius: 0, yAxisID: 'current' }
+                ]
+            },
+            options: {
+                scales: {
+                    process: { type: 'linear', position: 'left' },
+                    current: { type: 'linear', position: 'right', grid: { drawOnChartArea: false } }
+                }
+            }
+        });
+
         // Performance Radar Chart
         this.charts.performance = new Chart('performanceChart', {
             type: 'radar',
@@ -54,6 +98,277 @@ class MPCDashboard {
         }
     }
 
+    // REAL-TIME: Server-Sent Events, polling only when the stream is unavailable
+    startRealTimeMonitoring() {
+        if (this.eventSource || this.pollTimer) return;
+        if (typeof EventSource === 'undefined') {
+            this.startPolling();
+            return;
+        }
+
+        this.eventSource = new EventSource('/api/stream');
+        this.eventSource.addEventListener('open', () => {
+            this.stopPolling();
+            this.setStreamStatus('Live (server push)');
+        });
+        this.eventSource.addEventListener('comparison', (event) => {
+            this.currentData = JSON.parse(event.data);
+            this.updateDashboard(this.currentData);
+        });
+        this.eventSource.addEventListener('pem_data', (event) => {
+            this.updatePEMData(JSON.parse(event.data));
+        });
+        this.eventSource.addEventListener('mpc_decision', (event) => {
+            this.updateDecision(JSON.parse(event.data));
+        });
+        this.eventSource.addEventListener('alarm', (event) => {
+            const alarm = JSON.parse(event.data);
+            console.warn('🚨 Alarm:', alarm.event, alarm.code, alarm.message);
+            this.loadAlarms();
+        });
+        this.eventSource.addEventListener('safety', (event) => {
+            const decision = JSON.parse(event.data);
+            this.showSafetyDecision(decision);
+            // Trips and resets change the latch
+            if (decision.actions.some(action => action.action === 'trip' || action.action === 'reset')) {
+                this.loadSafetyState(false);
+            }
+        });
+        this.eventSource.addEventListener('error', () => {
+            // EventSource retries by itself; poll until it is back
+            this.setStreamStatus('Reconnecting (polling fallback)');
+            this.startPolling();
+        });
+    }
+
+    startPolling() {
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => this.runComparison(), 30000); // Every 30 seconds
+    }
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    setStreamStatus(text) {
+        const element = document.getElementById('stream-status');
+        if (element) element.textContent = text;
+    }
+
+    updatePEMData(data) {
+        const element = document.getElementById('pem-live');
+        if (element) {
+            element.textContent = `PEM: ${data.current_temp ?? data.temperature ?? '--'}°C, ` +
+                `${data.efficiency}% eff, ${data.o2_production} L/min O₂ (${data.data_quality})`;
+        }
+
+        // Append the sample to the live chart instead of redrawing it from scratch
+        const chart = this.charts.live;
+        const values = [
+            data.current_temp ?? data.temperature,
+            data.efficiency,
+            data.o2_production,
+            data.current ?? data.stack_current
+        ];
+        chart.data.labels.push(new Date(data.received_at || Date.now()).toLocaleTimeString());
+        chart.data.datasets.forEach((dataset, i) => dataset.data.push(values[i] ?? null));
+        if (chart.data.labels.length > this.liveWindow) {
+            chart.data.labels.shift();
+            chart.data.datasets.forEach(dataset => dataset.data.shift());
+        }
+        chart.update('none');
+    }
+
+    updateDecision(decision) {
+        const element = document.getElementById('latest-decision');
+        if (!element) return;
+        const current = decision.optimal_current === null ? '--' : decision.optimal_current.toFixed(1);
+        element.textContent = `Decision: ${decision.mpc_type} → ${current}A ` +
+            (decision.control_issued ? '(sent)' : `(withheld: ${decision.control_blocked_reason || 'not sent'})`);
+    }
+
+    // ALARMS: the server owns alarm state, the list is re-rendered on every alarm event
+    async loadAlarms() {
+        try {
+            const response = await fetch('/api/alarms');
+            const { summary, alarms } = await response.json();
+            this.renderAlarms(summary, alarms);
+        } catch (error) {
+            console.error('Alarm fetch failed:', error);
+        }
+    }
+
+    renderAlarms(summary, alarms) {
+        const summaryElement = document.getElementById('alarm-summary');
+        if (summaryElement) {
+            summaryElement.textContent = summary.total === 0
+                ? 'No alarms'
+                : `${summary.total} alarm(s), ${summary.unacknowledged} unacknowledged, ${summary.shelved} shelved`;
+        }
+        const list = document.getElementById('alarm-list');
+        if (!list) return;
+        list.innerHTML = '';
+        alarms.forEach(alarm => {
+            const item = document.createElement('div');
+            item.className = `alarm ${alarm.priority} ${alarm.state}`;
+            const value = alarm.value === null ? '' : ` (${Number(alarm.value).toFixed(2)})`;
+            item.textContent = `${new Date(alarm.raised_at).toLocaleTimeString()} [${alarm.priority.toUpperCase()}] ` +
+                `${alarm.id}: ${alarm.message}${value} - ${alarm.state.replace('_', ' ')} `;
+
+            if (!alarm.acknowledged) {
+                const ack = document.createElement('button');
+                ack.textContent = 'Acknowledge';
+                ack.onclick = () => this.alarmAction(alarm.id, 'acknowledge');
+                item.appendChild(ack);
+            }
+            if (alarm.priority !== 'critical') {
+                const shelve = document.createElement('button');
+                shelve.textContent = alarm.shelved ? 'Unshelve' : 'Shelve';
+                shelve.onclick = () => this.alarmAction(alarm.id, alarm.shelved ? 'unshelve' : 'shelve');
+                item.appendChild(shelve);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    async alarmAction(id, action) {
+        const operator = prompt('Operator name:');
+        if (!operator) return;
+        const body = { operator };
+        if (action === 'shelve') {
+            body.reason = prompt('Reason for shelving:');
+            body.minutes = parseInt(prompt('Shelve for how many minutes?', '60'), 10);
+            if (!body.reason || !body.minutes) return;
+        }
+
+        const response = await this.operatorFetch(`/api/alarms/${encodeURIComponent(id)}/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            alert(`${action} refused: ${(await response.json()).error}`);
+        }
+        this.loadAlarms();
+    }
+
+    // Operator actions carry the dashboard token (DASHBOARD_TOKEN on the server), asked once per session
+    async operatorFetch(url, options = {}) {
+        let token = sessionStorage.getItem('dashboard-token');
+        if (!token) {
+            token = prompt('Dashboard token:') || '';
+            if (token) sessionStorage.setItem('dashboard-token', token);
+        }
+        const response = await fetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...options.headers }
+        });
+        // A wrong token is asked for again next time
+        if (response.status === 401) sessionStorage.removeItem('dashboard-token');
+        return response;
+    }
+
+    // O₂ SUPPLY FORECAST
+    async loadSupplyForecast() {
+        const select = document.getElementById('supply-hours');
+        const hours = select ? select.value : 24;
+        // Empty level: forecast from the storage tank's own level
+        const level = document.getElementById('supply-storage-level');
+        const status = document.getElementById('supply-status');
+        const query = level && level.value !== '' ? `&storage_level=${encodeURIComponent(level.value)}` : '';
+        try {
+            const response = await fetch(`/api/supply/forecast?hours=${hours}${query}`);
+            const forecast = await response.json();
+            if (!response.ok) throw new Error(forecast.error);
+            this.updateSupplyForecast(forecast);
+        } catch (error) {
+            console.error('Supply forecast failed:', error);
+            if (status) status.textContent = `Supply forecast failed: ${error.message}`;
+        }
+    }
+
+    updateSupplyForecast(forecast) {
+        const status = document.getElementById('supply-status');
+        if (status) {
+            const coverage = `${(forecast.totals.coverage * 100).toFixed(0)}% of demand covered by production`;
+            status.textContent = forecast.shortfall
+                ? `⚠️ Reserve breached in ${forecast.shortfall.hours_to_reserve_breach} h` +
+                    (forecast.shortfall.hours_to_deficit ? `, storage empty in ${forecast.shortfall.hours_to_deficit} h` : '') +
+                    ` (${coverage})`
+                : `✅ Supply adequate for ${forecast.horizon_hours} h (${coverage})`;
+        }
+        const recommendation = document.getElementById('supply-recommendation');
+        if (recommendation) recommendation.textContent = forecast.recommendation.message;
+
+        const chart = this.charts.supply;
+        chart.data.labels = forecast.hourly.map(step =>
+            new Date(step.t).toLocaleString('en-GB', { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+        );
+        chart.data.datasets[0].data = forecast.hourly.map(step => step.storage_level);
+        chart.data.datasets[1].data = forecast.hourly.map(() => forecast.storage.min_reserve);
+        chart.data.datasets[2].data = forecast.hourly.map(step => step.production);
+        chart.data.datasets[3].data = forecast.hourly.map(step => step.demand.total);
+        chart.data.datasets[4].data = forecast.hourly.map(step => step.demand.upper);
+        chart.update();
+    }
+
+    // SAFETY SUPERVISOR
+    async loadSafetyState(withDecisions = true) {
+        try {
+            const response = await fetch('/api/safety/state');
+            const state = await response.json();
+            this.updateSafetyStatus(state.e_stop);
+            if (withDecisions) {
+                state.recent_decisions.slice(0, 20).reverse().forEach(decision => this.showSafetyDecision(decision));
+            }
+        } catch (error) {
+            console.error('Safety state fetch failed:', error);
+        }
+    }
+
+    updateSafetyStatus(eStop) {
+        const element = document.getElementById('safety-status');
+        if (!element) return;
+        element.textContent = eStop.latched
+            ? `E-stop: LATCHED (${eStop.reason}, ${eStop.source}) since ${new Date(eStop.latched_at).toLocaleTimeString()}`
+            : 'E-stop: clear';
+    }
+
+    showSafetyDecision(decision) {
+        const list = document.getElementById('safety-decisions');
+        if (!list) return;
+        const item = document.createElement('div');
+        item.className = `safety-decision ${decision.allowed ? 'allowed' : 'blocked'}`;
+        item.textContent = `${new Date(decision.timestamp).toLocaleTimeString()} ` +
+            decision.actions.map(action => `${action.action.toUpperCase()} ${action.code}`).join(', ');
+        list.prepend(item);
+        while (list.children.length > 20) list.removeChild(list.lastChild);
+    }
+
+    async emergencyStop() {
+        const response = await fetch('/api/safety/estop', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: 'dashboard' })
+        });
+        this.updateSafetyStatus(await response.json());
+    }
+
+    async resetEmergencyStop() {
+        const operator = prompt('Operator name for the e-stop reset:');
+        if (!operator) return;
+        const response = await this.operatorFetch('/api/safety/reset', {
+            method: 'POST',
+            body: JSON.stringify({ operator })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(`Reset refused: ${result.error}`);
+            return;
+        }
+        this.updateSafetyStatus(result);
+    }
+
     updateDashboard(data) {
         // Update ranking
         this.updateRanking(data.comparison.ranking);
@@ -100,7 +415,7 @@ class MPCDashboard {
             metrics['Stochastic-MPC'].efficiency,
             metrics['HEMPC'].efficiency
         ];
-        this.charts.efficiency.update();
+        this.charts.efficiency.update('none');
 
         // Update cost chart
         this.charts.cost.data.datasets[0].data = [
@@ -110,7 +425,7 @@ class MPCDashboard {
             metrics['Stochastic-MPC'].cost,
             metrics['HEMPC'].cost
         ];
-        this.charts.cost.update();
+        this.charts.cost.update('none');
 
         // Update radar chart
         this.charts.performance.data.datasets = Object.keys(metrics).map((mpcType, index) => ({
@@ -126,12 +441,14 @@ class MPCDashboard {
             borderColor: this.getColor(mpcType, 1),
             borderWidth: 2
         }));
-        this.charts.performance.update();
+        this.charts.performance.update('none');
     }
 
     updateRealData(realData) {
+        const weather = realData.weather;
+        const weatherFlag = weather.fallback ? ' ⚠️ climatology fallback' : weather.stale ? ' ⚠️ stale forecast' : '';
         document.getElementById('weather-data').textContent = 
-            `Weather: ${realData.weather.current.temperature}°C, ${realData.weather.source}`;
+            `Weather: ${Number(weather.current.temperature).toFixed(1)}°C, ${weather.source}${weatherFlag}`;
         
         document.getElementById('electricity-data').textContent = 
             `Electricity: ${realData.electricity.current_price} KES/kWh (${realData.electricity.period})`;
@@ -160,10 +477,25 @@ function runMPCComparison() {
 }
 
 function startRealTimeMonitoring() {
-    setInterval(() => dashboard.runComparison(), 30000); // Every 30 seconds
+    dashboard.startRealTimeMonitoring();
+}
+
+function loadSupplyForecast() {
+    dashboard.loadSupplyForecast();
+}
+
+function emergencyStop() {
+    dashboard.emergencyStop();
+}
+
+function resetEmergencyStop() {
+    dashboard.resetEmergencyStop();
 }
 
 // Initialize on load
 document.addEventListener('DOMContentLoaded', function() {
     dashboard.runComparison();
+    dashboard.loadSafetyState();
+    dashboard.loadAlarms();
+    dashboard.loadSupplyForecast();
 });
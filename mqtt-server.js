@@ -0,0 +1,265 @@
+// mqtt-server.js - NODE MQTT CLIENT (TOPIC ROUTING + PAYLOAD VALIDATION)
+const mqtt = require('mqtt');
+const config = require('./config');
+
+// Payload schemas (JSON Schema subset: type, required, properties, enum, minimum, maximum)
+const SCHEMAS = {
+    pem_data: {
+        type: 'object',
+        required: ['o2_production', 'efficiency'],
+        properties: {
+            o2_production: { type: 'number', minimum: 0 },
+            efficiency: { type: 'number', minimum: 0, maximum: 100 },
+            current_temp: { type: 'number', minimum: -20, maximum: 150 },
+            current: { type: 'number', minimum: 0 },
+            voltage: { type: 'number', minimum: 0 },
+            power: { type: 'number', minimum: 0 },
+            h2_in_o2: { type: 'number', minimum: 0, maximum: 100 },
+            pressure: { type: 'number', minimum: 0 },
+            tank_level: { type: 'number', minimum: 0 },
+            tank_pressure: { type: 'number', minimum: 0 },
+            grid_available: { type: 'number', minimum: 0, maximum: 1 },
+            timestamp: { type: ['string', 'number'] }
+        }
+    },
+    control: {
+        type: 'object',
+        required: ['command', 'optimal_current'],
+        properties: {
+            command: { type: 'string' },
+            mpc_type: { type: 'string' },
+            optimal_current: { type: 'number', minimum: 0, maximum: 250 },
+            timestamp: { type: ['string', 'number'] }
+        }
+    },
+    setpoints: {
+        type: 'object',
+        required: ['current'],
+        properties: {
+            current: { type: 'number', minimum: 0, maximum: 250 },
+            temperature: { type: 'number', minimum: 0, maximum: 100 },
+            efficiency: { type: 'number', minimum: 0, maximum: 100 }
+        }
+    },
+    any: { type: 'object' }
+};
+
+// Topic routing (relative to the site namespace): direction, handler channel, schema, QoS and retain flag
+const TOPICS = {
+    'electrolyzer/bill/data':           { direction: 'in',  channel: 'pem_data',      schema: 'pem_data', qos: 0, retain: false },
+    'electrolyzer/simulink/out':        { direction: 'in',  channel: 'pem_data',      schema: 'pem_data', qos: 0, retain: false },
+    'neural/controls':                  { direction: 'in',  channel: 'neural_control', schema: 'control', qos: 1, retain: false },
+    'electrolyzer/bill/commands':       { direction: 'out', schema: 'control',   qos: 1, retain: false },  // never replay a stale command
+    'electrolyzer/bill/upper_commands': { direction: 'out', schema: 'setpoints', qos: 1, retain: true },   // latest setpoints for a restarting plant
+    'electrolyzer/mpc/comparison':      { direction: 'out', schema: 'any',       qos: 0, retain: true },
+    'electrolyzer/server/status':       { direction: 'out', schema: 'any',       qos: 1, retain: true }
+};
+
+class MQTTServerClient {
+    constructor(options = {}) {
+        this.brokerUrl = options.brokerUrl || config.mqtt.brokerUrl;
+        this.clientIdPrefix = options.clientIdPrefix || config.mqtt.clientIdPrefix;
+        this.namespace = options.topicNamespace ?? config.mqtt.topicNamespace;
+        this.connectOptions = options.connectOptions || null;
+        this.client = null;
+        this.connected = false;
+        this.handlers = { pem_data: [], neural_control: [] };
+        this.stats = { received: 0, published: 0, rejected: 0 };
+    }
+
+    connect() {
+        if (this.client) return this.client;
+
+        const clientId = `${this.clientIdPrefix}-${Math.random().toString(36).substr(2, 9)}`;
+        console.log(`🔌 Connecting to MQTT broker ${this.brokerUrl} (namespace '${this.namespace}')...`);
+
+        this.client = mqtt.connect(this.brokerUrl, {
+            ...(this.connectOptions || config.mqttConnectOptions()),
+            clientId: clientId,
+            keepalive: 30,
+            reconnectPeriod: 5000,
+            will: {
+                topic: this.topic('electrolyzer/server/status'),
+                payload: JSON.stringify({ status: 'offline' }),
+                qos: 1,
+                retain: true
+            }
+        });
+
+        this.client.on('connect', () => this.onConnect());
+        this.client.on('message', (topic, payload) => this.onMessage(topic, payload));
+        this.client.on('reconnect', () => console.log('🔄 MQTT reconnecting...'));
+        this.client.on('offline', () => {
+            this.connected = false;
+            console.warn('⚠️ MQTT broker offline');
+        });
+        this.client.on('error', (error) => console.error('❌ MQTT Error:', error.message));
+
+        return this.client;
+    }
+
+    onConnect() {
+        console.log(`✅ MQTT Connected to ${this.brokerUrl}`);
+        this.connected = true;
+
+        Object.entries(TOPICS)
+            .filter(([, route]) => route.direction === 'in')
+            .forEach(([name, route]) => {
+                const topic = this.topic(name);
+                this.client.subscribe(topic, { qos: route.qos }, (error) => {
+                    if (error) {
+                        console.error(`❌ Subscribe failed for ${topic}:`, error.message);
+                    } else {
+                        console.log(`✅ Subscribed to ${topic}`);
+                    }
+                });
+            });
+
+        this.publish('electrolyzer/server/status', { status: 'online', timestamp: new Date().toISOString() });
+    }
+
+    // TOPIC NAMESPACE (sites/<id>/electrolyzer/... on a shared broker)
+    topic(name) {
+        return this.namespace ? `${this.namespace}/${name}` : name;
+    }
+
+    relativeTopic(fullTopic) {
+        if (!this.namespace) return fullTopic;
+        const prefix = `${this.namespace}/`;
+        return fullTopic.startsWith(prefix) ? fullTopic.slice(prefix.length) : null;
+    }
+
+    onMessage(fullTopic, payload) {
+        const topic = this.relativeTopic(fullTopic);
+        const route = TOPICS[topic];
+        if (!route || route.direction !== 'in') return;
+
+        let data;
+        try {
+            data = JSON.parse(payload.toString());
+        } catch (error) {
+            this.stats.rejected++;
+            console.warn(`⚠️ Dropped non-JSON payload on ${topic}`);
+            return;
+        }
+
+        const errors = validate(SCHEMAS[route.schema], data);
+        if (errors.length > 0) {
+            this.stats.rejected++;
+            console.warn(`⚠️ Dropped invalid payload on ${topic}: ${errors.join('; ')}`);
+            return;
+        }
+
+        this.stats.received++;
+        this.handlers[route.channel].forEach(handler => {
+            try {
+                handler(data, topic);
+            } catch (error) {
+                console.error(`❌ Handler error for ${topic}:`, error.message);
+            }
+        });
+    }
+
+    // SUBSCRIPTION API
+    onPEMData(handler) {
+        this.handlers.pem_data.push(handler);
+    }
+
+    onNeuralControl(handler) {
+        this.handlers.neural_control.push(handler);
+    }
+
+    // PUBLISH API
+    publish(topic, message) {
+        const route = TOPICS[topic];
+        if (!route || route.direction !== 'out') {
+            throw new Error(`Topic not routed for publishing: ${topic}`);
+        }
+
+        const errors = validate(SCHEMAS[route.schema], message);
+        if (errors.length > 0) {
+            this.stats.rejected++;
+            console.error(`❌ Refused to publish invalid payload on ${topic}: ${errors.join('; ')}`);
+            return false;
+        }
+
+        if (!this.client || !this.connected) {
+            console.warn('⚠️ MQTT not connected, message not sent:', topic);
+            return false;
+        }
+
+        this.client.publish(this.topic(topic), JSON.stringify(message), { qos: route.qos, retain: route.retain });
+        this.stats.published++;
+        return true;
+    }
+
+    sendToMATLAB(control) {
+        return this.publish('electrolyzer/bill/commands', control);
+    }
+
+    sendSetpoints(setpoints) {
+        return this.publish('electrolyzer/bill/upper_commands', setpoints);
+    }
+
+    publishComparison(results) {
+        return this.publish('electrolyzer/mpc/comparison', results);
+    }
+
+    getConnectionStatus() {
+        return {
+            broker: this.brokerUrl,
+            namespace: this.namespace,
+            connected: this.connected,
+            topics: TOPICS,
+            stats: this.stats
+        };
+    }
+
+    disconnect() {
+        if (!this.client) return;
+        this.publish('electrolyzer/server/status', { status: 'offline', timestamp: new Date().toISOString() });
+        this.client.end();
+        this.client = null;
+        this.connected = false;
+        console.log('🔌 MQTT Disconnected');
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Returns a list of error messages, empty when the value matches
+function validate(schema, value, path = 'payload') {
+    const errors = [];
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.includes(typeOf(value))) {
+        return [`${path} must be ${types.join(' or ')}`];
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) errors.push(`${path} must be finite`);
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} below ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} above ${schema.maximum}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+        });
+    }
+    return errors;
+}
+
+// Export singleton, shared by app.js, simulink-bridge.js and neural-mpc.js
+const mqttClient = new MQTTServerClient();
+mqttClient.MQTTServerClient = MQTTServerClient;
+mqttClient.TOPICS = TOPICS;
+mqttClient.validate = validate;
+module.exports = mqttClient;
@@ -1,7 +1,18 @@
 // MQTT Client for HE-NMPC Electrolyzer System
+// Broker, credentials and topic namespace come from /api/config (see MQTTClient.fromServerConfig)
 class MQTTClient {
-    constructor(brokerUrl, messageCallback) {
-        this.brokerUrl = brokerUrl;
+    constructor(config, messageCallback) {
+        this.config = {
+            host: 'localhost',
+            port: 9001,
+            path: '/mqtt',
+            useSSL: false,
+            username: undefined,
+            password: undefined,
+            clientIdPrefix: 'web-client',
+            topicNamespace: '',
+            ...config
+        };
         this.messageCallback = messageCallback;
         this.client = null;
         this.isConnected = false;
@@ -10,14 +21,32 @@ class MQTTClient {
         this.subscribedTopics = new Set();
     }
 
+    // Broker credentials are only served with the dashboard token (DASHBOARD_TOKEN on the server)
+    static async fromServerConfig(messageCallback, configUrl = '/api/config', token = null) {
+        const response = await fetch(configUrl, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+        if (!response.ok) throw new Error(`Config request failed: HTTP ${response.status}`);
+        const serverConfig = await response.json();
+        return new MQTTClient(serverConfig.mqtt, messageCallback);
+    }
+
+    // Site namespace prefix, so several plants can share one broker
+    topic(name) {
+        return this.config.topicNamespace ? `${this.config.topicNamespace}/${name}` : name;
+    }
+
+    relativeTopic(fullTopic) {
+        const prefix = this.config.topicNamespace ? `${this.config.topicNamespace}/` : '';
+        return fullTopic.startsWith(prefix) ? fullTopic.slice(prefix.length) : fullTopic;
+    }
+
     connect() {
         try {
-            const clientId = `web-client-${Math.random().toString(36).substr(2, 9)}`;
+            const clientId = `${this.config.clientIdPrefix}-${Math.random().toString(36).substr(2, 9)}`;
             
             this.client = new Paho.MQTT.Client(
-                'broker.hivemq.com',
-                8884,
-                '/mqtt',
+                this.config.host,
+                this.config.port,
+                this.config.path,
                 clientId
             );
 
@@ -25,13 +54,17 @@ class MQTTClient {
             this.client.onMessageArrived = this.onMessageArrived.bind(this);
 
             const options = {
-                useSSL: true,
+                useSSL: this.config.useSSL,
                 timeout: 3,
                 onSuccess: this.onConnect.bind(this),
                 onFailure: this.onConnectFailure.bind(this),
                 reconnect: true,
                 keepAliveInterval: 30
             };
+            if (this.config.username) {
+                options.userName = this.config.username;
+                options.password = this.config.password;
+            }
 
             console.log('🔌 Connecting to MQTT broker...');
             this.client.connect(options);
@@ -43,7 +76,7 @@ class MQTTClient {
     }
 
     onConnect() {
-        console.log('✅ MQTT Connected to broker.hivemq.com');
+        console.log(`✅ MQTT Connected to ${this.config.host}:${this.config.port}`);
         this.isConnected = true;
         this.reconnectAttempts = 0;
         
@@ -71,7 +104,7 @@ class MQTTClient {
 
     onMessageArrived(message) {
         try {
-            const topic = message.destinationName;
+            const topic = this.relativeTopic(message.destinationName);
             const payload = message.payloadString;
             
             this.messageCallback(topic, payload);
@@ -83,7 +116,7 @@ class MQTTClient {
 
     subscribe(topic) {
         if (this.client && this.isConnected && !this.subscribedTopics.has(topic)) {
-            this.client.subscribe(topic, {
+            this.client.subscribe(this.topic(topic), {
                 onSuccess: () => {
                     console.log(`✅ Subscribed to ${topic}`);
                     this.subscribedTopics.add(topic);
@@ -99,7 +132,7 @@ class MQTTClient {
         if (this.client && this.isConnected) {
             try {
                 const mqttMessage = new Paho.MQTT.Message(message);
-                mqttMessage.destinationName = topic;
+                mqttMessage.destinationName = this.topic(topic);
                 mqttMessage.qos = 0;
                 mqttMessage.retained = false;
                 
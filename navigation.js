@@ -99,6 +99,12 @@ class NavigationManager {
     updateAnalyticsTab() {
         console.log('Updating Analytics tab content');
         
+        // Seed the trends chart from persisted history once, then append live points
+        if (!this.analyticsHistoryLoaded) {
+            this.analyticsHistoryLoaded = true;
+            this.loadAnalyticsHistory();
+        }
+        
         // Update performance metrics with current data
         if (window.electrolyzerApp && window.electrolyzerApp.currentData) {
             const data = window.electrolyzerApp.currentData;
@@ -158,6 +164,7 @@ class NavigationManager {
 
     updateSafetyTab() {
         console.log('Updating Safety tab content');
+        this.loadSafetyState();
         
         // Update safety constraints with current data
         if (window.electrolyzerApp && window.electrolyzerApp.currentData) {
@@ -394,26 +401,104 @@ class NavigationManager {
             document.body.style.animation = '';
         }, 1500);
         
-        // Additional emergency stop logic
-        if (window.simulinkBridge && typeof window.simulinkBridge.emergencyStop === 'function') {
-            window.simulinkBridge.emergencyStop();
+        // Latch the server-side e-stop: sends a zero-current command and stops the control loop
+        fetch('/api/safety/estop', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: 'navigation' })
+        })
+            .then(() => this.loadSafetyState())
+            .catch(error => console.error('Emergency stop request failed:', error));
+    }
+
+    async loadSafetyState() {
+        const panel = document.getElementById('safety');
+        if (!panel) return false;
+        
+        try {
+            const response = await fetch('/api/safety/state');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const state = await response.json();
+            
+            let container = document.getElementById('safety-supervisor-state');
+            if (!container) {
+                container = document.createElement('div');
+                container.id = 'safety-supervisor-state';
+                panel.prepend(container);
+            }
+            
+            const eStop = state.e_stop.latched
+                ? `🛑 E-STOP LATCHED: ${state.e_stop.reason} (${state.e_stop.source})`
+                : '✅ E-stop clear';
+            const alarmResponse = await fetch('/api/alarms');
+            const { summary } = alarmResponse.ok ? await alarmResponse.json() : { summary: null };
+            const alarms = summary
+                ? `Alarms: ${summary.total} (${summary.unacknowledged} unacknowledged, ${summary.by_priority.critical} critical)`
+                : 'Alarms: unavailable';
+
+            // E-stop source and reason are free text from the caller: set as text, never as markup
+            const line = (tag, text) => {
+                const element = document.createElement(tag);
+                element.textContent = text;
+                return element;
+            };
+            const rows = document.createElement('ul');
+            state.recent_decisions.slice(0, 10).forEach(decision => {
+                rows.appendChild(line('li', `${new Date(decision.timestamp).toLocaleTimeString()} ` +
+                    decision.actions.map(action => `${action.action.toUpperCase()} ${action.code}`).join(', ')));
+            });
+            container.replaceChildren(
+                line('p', eStop),
+                line('p', `Interlocks: ${state.interlocks.code}, telemetry: ${state.telemetry_quality}`),
+                line('p', alarms),
+                rows
+            );
+            return true;
+        } catch (error) {
+            console.error('Failed to load safety state:', error);
+            return false;
+        }
+    }
+
+    async loadAnalyticsHistory(hours = 24, step = '15m') {
+        if (!window.chartManager || !window.chartManager.charts.has('trendsChart')) return false;
+        
+        try {
+            const from = new Date(Date.now() - hours * 3600 * 1000).toISOString();
+            const response = await fetch(`/api/history?signal=efficiency&from=${encodeURIComponent(from)}&step=${step}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const history = await response.json();
+            
+            const trendsChart = window.chartManager.charts.get('trendsChart');
+            trendsChart.data.labels = history.points.map(point =>
+                new Date(point.t).toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' })
+            );
+            trendsChart.data.datasets[0].data = history.points.map(point => point.avg);
+            if (trendsChart.data.datasets[1]) {
+                trendsChart.data.datasets[1].label = 'Min efficiency per bucket (%)';
+                trendsChart.data.datasets[1].data = history.points.map(point => point.min);
+            }
+            trendsChart.update('none');
+            console.log(`Loaded ${history.points.length} efficiency buckets from history`);
+            return true;
+        } catch (error) {
+            console.error('Failed to load analytics history:', error);
+            return false;
         }
     }
 
-    refreshAnalyticsData() {
+    async refreshAnalyticsData() {
         console.log('Refreshing analytics data...');
         
         if (window.electrolyzerApp) {
             window.electrolyzerApp.showNotification('Refreshing analytics data...', 'info');
             
-            // Force update of analytics charts
-            if (window.electrolyzerApp.currentData) {
-                this.updateAnalyticsTab();
-            }
+            const loaded = await this.loadAnalyticsHistory();
             
-            setTimeout(() => {
-                window.electrolyzerApp.showNotification('Analytics data refreshed', 'success');
-            }, 500);
+            window.electrolyzerApp.showNotification(
+                loaded ? 'Analytics data refreshed' : 'History unavailable, showing live data only',
+                loaded ? 'success' : 'warning'
+            );
         }
     }
 
@@ -0,0 +1,171 @@
+// neural-economic-model.js - NEURAL ECONOMIC LAYER FOR HE-NMPC (ENSEMBLE + CONFIDENCE)
+const fs = require('fs');
+const path = require('path');
+const NeuralNetwork = require('./neural-network');
+
+const FEATURES = [
+    'ambient_temperature', 'windspeed', 'hour_sin', 'hour_cos',
+    'electricity_price', 'hospital_demand', 'stack_temperature', 'stack_efficiency'
+];
+const TARGETS = ['current', 'temperature', 'efficiency', 'cost_per_m3'];
+
+class NeuralEconomicModel {
+    constructor({ members = [], normalization = null, metadata = {} } = {}) {
+        this.members = members;             // NeuralNetwork ensemble
+        this.normalization = normalization; // feature/target mean and std
+        this.metadata = metadata;
+    }
+
+    static get FEATURES() {
+        return FEATURES;
+    }
+
+    static get TARGETS() {
+        return TARGETS;
+    }
+
+    isTrained() {
+        return this.members.length > 0 && this.normalization !== null;
+    }
+
+    featureVector(features) {
+        return FEATURES.map(name => features[name] ?? 0);
+    }
+
+    targetVector(targets) {
+        return TARGETS.map(name => targets[name] ?? 0);
+    }
+
+    fitNormalization(X, Y) {
+        const stats = rows => rows[0].map((_, j) => {
+            const column = rows.map(row => row[j]);
+            const mean = column.reduce((a, b) => a + b, 0) / column.length;
+            const variance = column.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / column.length;
+            return { mean, std: Math.sqrt(variance) || 1 };
+        });
+        this.normalization = { features: stats(X), targets: stats(Y) };
+    }
+
+    normalizeFeatures(x) {
+        return x.map((value, j) => (value - this.normalization.features[j].mean) / this.normalization.features[j].std);
+    }
+
+    normalizeTargets(y) {
+        return y.map((value, j) => (value - this.normalization.targets[j].mean) / this.normalization.targets[j].std);
+    }
+
+    denormalizeTargets(y) {
+        return y.map((value, j) => value * this.normalization.targets[j].std + this.normalization.targets[j].mean);
+    }
+
+    // samples: [{ features: {...}, targets: {...} }]
+    train(samples, options = {}) {
+        const ensembleSize = options.ensembleSize ?? 5;
+        const hiddenLayers = options.hiddenLayers ?? [16, 16];
+        const seed = options.seed ?? 1;
+
+        const X = samples.map(sample => this.featureVector(sample.features));
+        const Y = samples.map(sample => this.targetVector(sample.targets));
+        this.fitNormalization(X, Y);
+        const Xn = X.map(x => this.normalizeFeatures(x));
+        const Yn = Y.map(y => this.normalizeTargets(y));
+
+        // Bootstrap-resampled members: their disagreement is the uncertainty estimate
+        this.members = [];
+        const losses = [];
+        for (let k = 0; k < ensembleSize; k++) {
+            const random = NeuralNetwork.createRandomGenerator(seed * 1000 + k);
+            const indices = Xn.map(() => Math.floor(random() * Xn.length));
+            const network = new NeuralNetwork([FEATURES.length, ...hiddenLayers, TARGETS.length], {
+                activation: options.activation || 'tanh',
+                seed: seed * 1000 + k
+            });
+            const history = network.train(
+                indices.map(i => Xn[i]), indices.map(i => Yn[i]),
+                { epochs: options.epochs, batchSize: options.batchSize, learningRate: options.learningRate, seed: seed + k }
+            );
+            this.members.push(network);
+            losses.push(history[history.length - 1]);
+        }
+
+        this.metadata = {
+            ...this.metadata,
+            trained_at: new Date().toISOString(),
+            samples: samples.length,
+            ensemble_size: ensembleSize,
+            hidden_layers: hiddenLayers
+        };
+        return { final_loss: losses.reduce((a, b) => a + b, 0) / losses.length };
+    }
+
+    predict(features) {
+        if (!this.isTrained()) {
+            throw new Error('Neural economic model has no trained weights');
+        }
+        const x = this.normalizeFeatures(this.featureVector(features));
+        const outputs = this.members.map(network => network.forward(x));
+
+        const mean = TARGETS.map((_, j) => outputs.reduce((sum, y) => sum + y[j], 0) / outputs.length);
+        const std = TARGETS.map((_, j) => Math.sqrt(
+            outputs.reduce((sum, y) => sum + Math.pow(y[j] - mean[j], 2), 0) / outputs.length
+        ));
+
+        // Confidence drops with ensemble disagreement and with inputs outside the training range
+        const spread = std.reduce((a, b) => a + b, 0) / std.length;
+        const maxZ = Math.max(...x.map(Math.abs));
+        const confidence = Math.exp(-spread / 0.25) * Math.exp(-Math.max(0, maxZ - 3));
+
+        const values = this.denormalizeTargets(mean);
+        const result = { confidence, outputs: {}, std: {} };
+        TARGETS.forEach((name, j) => {
+            result.outputs[name] = values[j];
+            result.std[name] = std[j] * this.normalization.targets[j].std;
+        });
+        return result;
+    }
+
+    evaluate(samples) {
+        // Mean absolute error per target on held-out samples
+        const errors = TARGETS.map(() => 0);
+        samples.forEach(sample => {
+            const predicted = this.predict(sample.features).outputs;
+            TARGETS.forEach((name, j) => {
+                errors[j] += Math.abs(predicted[name] - (sample.targets[name] ?? 0)) / samples.length;
+            });
+        });
+        const mae = {};
+        TARGETS.forEach((name, j) => {
+            mae[name] = errors[j];
+        });
+        return mae;
+    }
+
+    toJSON() {
+        return {
+            features: FEATURES,
+            targets: TARGETS,
+            normalization: this.normalization,
+            metadata: this.metadata,
+            members: this.members.map(network => network.toJSON())
+        };
+    }
+
+    static fromJSON(json) {
+        return new NeuralEconomicModel({
+            members: json.members.map(member => NeuralNetwork.fromJSON(member)),
+            normalization: json.normalization,
+            metadata: json.metadata || {}
+        });
+    }
+
+    save(filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(this.toJSON()));
+    }
+
+    static load(filePath) {
+        return NeuralEconomicModel.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+}
+
+module.exports = NeuralEconomicModel;
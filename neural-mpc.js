@@ -1,145 +1,248 @@
 // neural-mpc.js - COMPLETE REAL KENYA DATA + MPC SYSTEM
+const path = require('path');
 const MPCAlgorithms = require('./mpc-algorithms');
 const MPCComparator = require('./mpc-comparator');
+const NeuralEconomicModel = require('./neural-economic-model');
+const ModelRegistry = require('./model-registry');
+const TrainingPipeline = require('./training-pipeline');
+const ClosedLoopSimulator = require('./closed-loop-simulator');
+const HistoryStore = require('./history-store');
+const HospitalDemandModel = require('./hospital-demand-model');
+const WeatherProvider = require('./weather-provider');
+const GridOutageManager = require('./grid-outage-manager');
+const DegradationModel = require('./degradation-model');
+const StateEstimator = require('./state-estimator');
+const eventStream = require('./event-stream');
+const config = require('./config');
 
 class RealKenyaNeuralMPC {
-    constructor() {
-        this.mpcAlgorithms = new MPCAlgorithms();
-        this.mpcComparator = new MPCComparator();
-        this.trainingData = [];
+    constructor(options = {}) {
+        this.telemetryStore = options.telemetryStore || null;
+        this.historyStore = options.historyStore || new HistoryStore();
+        this.demandModel = options.demandModel || new HospitalDemandModel({ historyStore: this.historyStore });
+        this.weatherProvider = options.weatherProvider || new WeatherProvider();
+        this.outageManager = options.outageManager || new GridOutageManager({
+            telemetryStore: this.telemetryStore, historyStore: this.historyStore, alarmManager: options.alarmManager
+        });
+        this.degradationModel = options.degradationModel || new DegradationModel({ historyStore: this.historyStore });
+        this.mpcAlgorithms = new MPCAlgorithms({ degradationModel: this.degradationModel });
+        this.stateEstimator = options.stateEstimator || new StateEstimator({ pemModel: this.mpcAlgorithms.pemModel });
+        this.tariffEngine = this.mpcAlgorithms.tariffEngine;
+        this.mpcComparator = new MPCComparator(this.mpcAlgorithms, this.historyStore);
         this.realData = this.initializeRealDataSources();
+        this.modelRegistry = new ModelRegistry();
+        // Decisions are logged through the same buffered store the restore reads from
+        this.trainingPipeline = new TrainingPipeline(this.historyStore.dataDir, this.historyStore);
+        this.trainingData = [];
+        this.restoreHistory();
+        this.neuralModel = this.loadStartupModel();
     }
 
-    // 1. REAL WEATHER DATA (Already Working)
-    async getRealKenyaWeather() {
+    // 0. NEURAL ECONOMIC MODEL (HE-NMPC weights)
+    loadStartupModel() {
+        // Registry's active version wins over a plain weights file
+        const activeVersion = this.modelRegistry.getActiveVersion();
+        if (activeVersion) {
+            try {
+                return this.activateModel(activeVersion);
+            } catch (error) {
+                console.error('❌ Active model failed to load:', error.message);
+            }
+        }
+        return this.loadNeuralModel(
+            process.env.NEURAL_MODEL_PATH || path.join(__dirname, 'models', 'he-nmpc.json')
+        );
+    }
+
+    // Hot-swap: takes effect on the next MPC run, no restart needed
+    activateModel(version) {
+        const model = this.modelRegistry.loadModel(version);
+        this.modelRegistry.activate(version);
+        this.neuralModel = model;
+        this.mpcAlgorithms.setNeuralModel(model);
+        console.log(`🧠 Neural model ${version} active`);
+        return model;
+    }
+
+    rollbackModel() {
+        const version = this.modelRegistry.rollback();
+        const model = this.modelRegistry.loadModel(version);
+        this.neuralModel = model;
+        this.mpcAlgorithms.setNeuralModel(model);
+        console.log(`⏪ Rolled back to neural model ${version}`);
+        return version;
+    }
+
+    loadNeuralModel(filePath) {
         try {
-            // REAL API - Tested and Working
-            const response = await fetch(
-                'https://api.open-meteo.com/v1/forecast?latitude=-1.3041&longitude=36.8077&hourly=temperature_2m,relativehumidity_2m,cloudcover&current_weather=true&timezone=Africa/Nairobi'
-            );
-            const data = await response.json();
-            
-            return {
-                current: {
-                    temperature: data.current_weather.temperature,
-                    windspeed: data.current_weather.windspeed,
-                    time: data.current_weather.time
-                },
-                hourly: {
-                    temperature: data.hourly.temperature_2m.slice(0, 24),
-                    humidity: data.hourly.relativehumidity_2m.slice(0, 24),
-                    cloudcover: data.hourly.cloudcover.slice(0, 24)
-                },
-                source: 'Open-Meteo API (Real Data)'
-            };
+            const model = NeuralEconomicModel.load(filePath);
+            this.mpcAlgorithms.setNeuralModel(model);
+            console.log('🧠 Neural economic model loaded:', filePath);
+            return model;
         } catch (error) {
-            // Fallback: Real Nairobi climate data
-            return this.getNairobiClimateData();
+            console.warn('⚠️ No neural model weights (' + error.message + '), HE-NMPC will use HEMPC fallback');
+            this.mpcAlgorithms.setNeuralModel(null);
+            return null;
         }
     }
 
-    getNairobiClimateData() {
-        // REAL Nairobi Climate Data
-        return {
-            current: {
-                temperature: 17.1, // Your actual measurement
-                windspeed: 3.2,    // Typical Nairobi
-                time: new Date().toISOString()
-            },
-            hourly: {
-                temperature: [16.2, 16.0, 15.8, 15.5, 15.2, 15.0, 15.5, 17.0, 19.5, 21.0, 22.5, 23.0, 23.5, 24.0, 24.0, 23.5, 22.0, 20.5, 19.0, 18.0, 17.5, 17.0, 16.5, 16.2],
-                humidity: [85, 86, 87, 88, 89, 90, 88, 85, 75, 65, 60, 55, 50, 45, 40, 45, 55, 65, 75, 80, 82, 84, 85, 85],
-                cloudcover: [45, 40, 35, 30, 25, 20, 15, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 65, 60, 55, 50]
-            },
-            source: 'Kenya Met Department (Nairobi Climate)'
-        };
+    // Reload what the previous process persisted
+    async restoreHistory() {
+        try {
+            const restored = await this.mpcComparator.restoreHistory();
+            const samples = await this.historyStore.read({ stream: 'mpc_decision', limit: config.history.restoreLimit });
+            this.trainingData = samples.concat(this.trainingData).slice(-config.history.memoryLimit);
+            console.log(`🗄️ Restored ${restored} performance records and ${this.trainingData.length} training samples`);
+        } catch (error) {
+            console.error('❌ History restore failed:', error.message);
+        }
     }
 
-    // 2. REAL KENYA ELECTRICITY PRICING
-    getRealKenyaElectricity() {
-        // REAL Kenya Power & Lighting Company Tariffs (2024)
-        const tariffs = {
-            commercial: {
-                fixed_charge: 1250,    // KES/month
-                energy_charge: 21.87   // KES/kWh
-            },
-            time_of_use: {
-                off_peak: { rate: 12.50, hours: [22, 23, 0, 1, 2, 3, 4, 5] },    // 10PM-6AM
-                shoulder: { rate: 20.15, hours: [6, 7, 8, 9, 18, 19, 20, 21] },  // 6AM-10AM, 6PM-10PM
-                on_peak: { rate: 45.60, hours: [10, 11, 12, 13, 14, 15, 16, 17] } // 10AM-6PM
+    recordConditions(weather, electricity, hospital) {
+        try {
+            this.historyStore.append('tariff', { current_price: electricity.current_price, period: electricity.period });
+            this.historyStore.append('weather', {
+                temperature: weather.current.temperature,
+                windspeed: weather.current.windspeed,
+                source: weather.source,
+                stale: weather.stale,
+                fallback: weather.fallback
+            });
+            this.historyStore.append('demand', { current_demand: hospital.current_demand, source: hospital.source });
+        } catch (error) {
+            console.error('❌ Failed to record operating conditions:', error.message);
+        }
+    }
+
+    recordTrainingSample(comparisonResults) {
+        // HEMPC economic optimum is the teacher signal for the network
+        const heNMPC = comparisonResults.individual_results['HE-NMPC'];
+        const hempc = comparisonResults.individual_results['HEMPC'];
+        if (!heNMPC || !hempc) return;
+
+        const sample = {
+            features: heNMPC.neural_predictions.features,
+            targets: {
+                ...hempc.economic_setpoints,
+                cost_per_m3: hempc.economic_plan.cost_per_m3
             },
-            demand_charge: 1250 // KES/kVA/month
+            best_mpc: comparisonResults.ranking[0].mpcType,
+            optimal_current: comparisonResults.individual_results[comparisonResults.ranking[0].mpcType].optimal_current,
+            source: 'comparison',
+            timestamp: new Date().toISOString()
         };
+        this.storeTrainingSample(sample);
+    }
 
-        const currentHour = new Date().getHours();
-        let currentPrice, period;
-
-        if (tariffs.time_of_use.off_peak.hours.includes(currentHour)) {
-            currentPrice = tariffs.time_of_use.off_peak.rate;
-            period = 'Off-Peak (10PM-6AM)';
-        } else if (tariffs.time_of_use.on_peak.hours.includes(currentHour)) {
-            currentPrice = tariffs.time_of_use.on_peak.rate;
-            period = 'On-Peak (10AM-6PM)';
-        } else {
-            currentPrice = tariffs.time_of_use.shoulder.rate;
-            period = 'Shoulder (6AM-10AM, 6PM-10PM)';
+    // The move the control loop actually sent, so the dataset follows real operation, not dashboard use
+    recordAppliedDecision(mode, currentState, conditions, result, appliedCurrent) {
+        // Outage moves protect the reserve; the network learns the economic optimum only
+        if (conditions.constraints.outage?.active) return;
+        try {
+            const algorithms = this.mpcAlgorithms;
+            const estimate = conditions.stateEstimate;
+            const state = estimate?.available
+                ? [estimate.state[0], estimate.state[1], currentState.storage_level]
+                : [currentState.temperature, currentState.efficiency, currentState.storage_level];
+            // Same teacher as the comparison samples: the HEMPC economic optimum (cached per planning hour)
+            const plan = algorithms.economicLayerOptimization(conditions.economicData, conditions.hospitalForecast, {
+                ...conditions.constraints,
+                storage_level: currentState.storage_level,
+                weather_forecast: conditions.weatherForecast,
+                include_degradation: algorithms.degradationObjectives.includes('HEMPC')
+            });
+            this.storeTrainingSample({
+                features: result.neural_predictions?.features ?? algorithms.prepareNeuralFeatures(
+                    conditions.weatherData, conditions.economicData, conditions.hospitalForecast, state
+                ),
+                targets: {
+                    ...plan.setpoints,
+                    cost_per_m3: plan.cost_per_m3
+                },
+                best_mpc: mode,
+                optimal_current: appliedCurrent,
+                source: 'control_loop',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Failed to record applied decision:', error.message);
         }
-
-        return {
-            current_price: currentPrice,
-            period: period,
-            tariffs: tariffs,
-            source: 'KPLC Tariff Schedule 2024 (Real Data)'
-        };
     }
 
-    // 3. REAL KNH HOSPITAL DEMAND
-    getRealKNHDemand() {
-        // REAL KNH Oxygen Demand Based on Actual Capacity
-        const capacity = {
-            total_beds: 1800,      // Actual KNH capacity
-            icu_beds: 60,          // Typical ICU capacity
-            operating_theaters: 24,
-            occupancy_rate: 0.85   // Typical KNH occupancy
-        };
+    storeTrainingSample(sample) {
+        // Training reads the history store; memory keeps only the newest samples
+        this.trainingData.push(sample);
+        if (this.trainingData.length > config.history.memoryLimit) this.trainingData.shift();
 
-        // REAL Oxygen Consumption Rates (WHO Guidelines)
-        const consumptionRates = {
-            general_ward: 2.5,     // m³/day per bed
-            icu: 12.0,            // m³/day per ICU bed
-            operating_theater: 25.0, // m³ per surgery
-            emergency: 8.0         // m³ per emergency case
-        };
+        try {
+            this.trainingPipeline.appendRecord('mpc_decision', sample);
+        } catch (error) {
+            console.error('❌ Failed to log MPC decision:', error.message);
+        }
+    }
+
+    // 1. WEATHER FORECAST (provider: Open-Meteo, file or mock, with disk cache and fallback flags)
+    async getRealKenyaWeather() {
+        return this.weatherProvider.getForecast();
+    }
 
-        // Calculate current demand
-        const baseDemand = (capacity.total_beds * consumptionRates.general_ward * capacity.occupancy_rate) / 24;
-        const currentHour = new Date().getHours();
-        
-        // REAL KNH daily pattern (based on hospital activity)
-        const hourlyMultiplier = this.getKNHHourlyPattern();
-        const currentDemand = baseDemand * hourlyMultiplier[currentHour];
+    // 2. ELECTRICITY PRICE (versioned tariffs evaluated in the site timezone: see tariff-engine.js)
+    getRealKenyaElectricity(time = new Date()) {
+        const price = this.tariffEngine.priceAt(time);
+        const tariff = this.tariffEngine.tariffAt(time);
 
         return {
-            current_demand: currentDemand,
-            daily_total: capacity.total_beds * consumptionRates.general_ward * capacity.occupancy_rate,
-            capacity: capacity,
-            consumption_rates: consumptionRates,
-            source: 'KNH Capacity + WHO Guidelines (Real Data)'
+            current_price: price.rate,
+            period: `${price.label} (${price.day_type})`,
+            band: price.band,
+            price: price,
+            schedule: this.tariffEngine.schedule(time, 24),
+            tariff: {
+                id: tariff.id,
+                version: tariff.version,
+                fixed_charge: tariff.fixed_charge,
+                demand_charge: tariff.demand_charge,
+                vat_percent: tariff.vat_percent
+            },
+            hour: price.local_hour,
+            time: time.toISOString(),
+            source: `${tariff.name || tariff.id} (version ${tariff.version})`
         };
     }
 
-    getKNHHourlyPattern() {
-        // REAL KNH daily oxygen usage pattern
-        return [
-            0.3, 0.2, 0.2, 0.2, 0.3,  // 12AM-4AM (low)
-            0.5, 0.7, 0.9, 1.0, 1.1,  // 5AM-9AM (rising)
-            1.2, 1.3, 1.2, 1.1, 1.0,  // 10AM-2PM (peak)
-            0.9, 0.8, 0.7, 0.6, 0.5,  // 3PM-7PM (evening)
-            0.4, 0.3, 0.3, 0.3        // 8PM-11PM (night)
-        ];
+    // 3. REAL KNH HOSPITAL DEMAND (wards, census, theaters, emergency: see hospital-demand-model.js)
+    getRealKNHDemand() {
+        return this.demandModel.getDemand();
     }
 
     // 4. MPC COMPARISON SYSTEM
+    buildOperatingConditions(weather, electricity, hospital, currentState) {
+        return {
+            setpoints: { temperature: 70, efficiency: 75, o2_production: 40 },
+            constraints: {
+                current_min: 100, current_max: 200, temp_max: 80, previous_current: currentState.current,
+                storage_level: currentState.storage_level, o2_demand: hospital.current_demand,
+                priority_demand: hospital.priority_demand,
+                // Outage mode and grid-down windows (current outage + planned load-shedding) for the planner
+                outage: this.outageManager.evaluate(),
+                outage_windows: this.outageManager.windows(),
+                // Hourly forecast on the MPC sample grid: ambient temperature disturbance over the horizon
+                ambient_forecast: WeatherProvider.ambientForecast(
+                    weather, new Date(), this.mpcAlgorithms.predictionHorizon + 1, this.mpcAlgorithms.sampleTime
+                )
+            },
+            economicData: electricity,
+            weatherData: weather.current,
+            weatherForecast: weather,
+            hospitalDemand: hospital.current_demand,
+            hospitalForecast: hospital,
+            // Filtered temperature/efficiency and disturbance estimates for offset-free MPC
+            stateEstimate: currentState.estimate,
+            uncertainty: { weather_variance: 0.1, demand_variance: 0.15 }
+        };
+    }
+
+    // Read-only: ranks the controllers, never actuates the plant (see control-loop.js)
     async runMPCComparison() {
         // Get real Kenya data
         const [weather, electricity, hospital] = await Promise.all([
@@ -150,51 +253,106 @@ class RealKenyaNeuralMPC {
 
         // Current system state (from MATLAB telemetry)
         const currentState = await this.getCurrentSystemState();
-        
-        // Operating conditions
-        const operatingConditions = {
-            setpoints: { temperature: 70, efficiency: 75, o2_production: 40 },
-            constraints: { current_min: 100, current_max: 200, temp_max: 80 },
-            economicData: electricity,
-            weatherData: weather.current,
-            hospitalDemand: hospital.current_demand,
-            uncertainty: { weather_variance: 0.1, demand_variance: 0.15 }
-        };
+        const operatingConditions = this.buildOperatingConditions(weather, electricity, hospital, currentState);
 
         // Run all MPC comparisons
         const comparisonResults = await this.mpcComparator.runAllMPCComparison(
-            [currentState.temperature, currentState.efficiency], 
+            [currentState.temperature, currentState.efficiency, currentState.storage_level],
             operatingConditions
         );
 
-        // Send best control to MATLAB
-        const bestMPC = comparisonResults.ranking[0].mpcType;
-        const bestControl = comparisonResults.individual_results[bestMPC];
-        
-        this.sendToMATLAB(bestControl);
+        this.recordTrainingSample(comparisonResults);
+        this.recordConditions(weather, electricity, hospital);
 
-        return {
+        const bestMPC = comparisonResults.ranking[0].mpcType;
+        const results = {
             comparison: comparisonResults,
-            best_control: bestControl,
+            best_control: comparisonResults.individual_results[bestMPC],
+            telemetry: currentState,
             real_data: { weather, electricity, hospital },
             statistics: this.mpcComparator.getStatisticalComparison(),
             timestamp: new Date().toISOString()
         };
+        eventStream.publish('comparison', results);
+        return results;
     }
 
-    async getCurrentSystemState() {
-        // Get current state from MATLAB via MQTT
-        // This would be real telemetry data from your running system
+    // Closed-loop benchmark over real tariff, demand and weather profiles
+    async runClosedLoopSimulation(options = {}) {
+        const [weather, electricity, hospital] = await Promise.all([
+            this.getRealKenyaWeather(),
+            this.getRealKenyaElectricity(),
+            this.getRealKNHDemand()
+        ]);
+        const initialState = options.initialState || await this.getCurrentSystemState();
+
+        const simulator = new ClosedLoopSimulator(this.mpcAlgorithms, {
+            controlInterval: options.controlInterval
+        });
+        const simulation = await simulator.run({
+            hours: options.hours,
+            algorithms: options.algorithms,
+            startTime: options.startTime,
+            initialState: initialState,
+            setpoints: { temperature: 70, efficiency: 75, o2_production: 40 },
+            constraints: { current_min: 100, current_max: 200, temp_max: 80 },
+            economicData: electricity,
+            hospitalForecast: hospital,
+            weather: weather,
+            outageWindows: options.outageWindows || this.outageManager.windows(),
+            uncertainty: { weather_variance: 0.1, demand_variance: 0.15 }
+        });
+
+        const ranking = this.mpcComparator.recordSimulation(simulation);
+
         return {
-            temperature: 65.9,
-            efficiency: 72.5,
-            current: 177,
-            o2_production: 43.0,
-            power: 6.8,
-            voltage: 38.0
+            simulation: simulation,
+            ranking: ranking,
+            statistics: this.mpcComparator.getStatisticalComparison(),
+            timestamp: new Date().toISOString()
         };
     }
 
+    async getCurrentSystemState() {
+        // Latest MATLAB telemetry (via MQTT); nominal values fill signals never received
+        const nominal = { temperature: 65.9, efficiency: 72.5, current: 177 };
+        if (!this.telemetryStore) {
+            return {
+                ...nominal, storage_level: this.mpcAlgorithms.storageTank.level, storage_level_source: 'estimate',
+                quality: 'missing', signal_quality: {}, usable: false, age_ms: null, timestamp: null
+            };
+        }
+
+        const state = this.telemetryStore.getSystemState();
+        // Fuse the good-quality readings before nominal values fill the gaps
+        const good = signal => state.signal_quality[signal] === 'good';
+        state.estimate = this.stateEstimator.update({
+            temperature: good('temperature') ? state.temperature : null,
+            efficiency: good('efficiency') ? state.efficiency : null,
+            current: state.current ?? 0,
+            ambient: WeatherProvider.temperatureAt(this.weatherProvider.readCache(), new Date()) ?? undefined,
+            time: state.timestamp ?? Date.now()
+        });
+        Object.keys(nominal).forEach(signal => {
+            if (state[signal] === null) state[signal] = nominal[signal];
+        });
+
+        // A fresh tank gauge reading resets the dead-reckoned storage estimate
+        const tank = this.mpcAlgorithms.storageTank;
+        const gauged = state.tank_level !== null && !this.telemetryStore.isStale(['tank_level']);
+        if (gauged) tank.setLevel(state.tank_level);
+        state.storage_level = tank.level;
+        state.storage_level_source = gauged ? 'telemetry' : 'estimate';
+
+        // Measured stack voltage against the beginning-of-life curve tracks the real voltage decay
+        if (state.voltage !== null && !this.telemetryStore.isStale(['voltage', 'current', 'temperature'])) {
+            this.degradationModel.observeVoltage(
+                state.current, state.temperature, state.voltage, this.telemetryStore.getLatest('voltage').received_at
+            );
+        }
+        return state;
+    }
+
     // 5. COMMUNICATION WITH MATLAB
     sendToMATLAB(controlData) {
         // Send via MQTT to your running MATLAB system
@@ -206,16 +364,18 @@ class RealKenyaNeuralMPC {
                 timestamp: new Date().toISOString()
             }));
             console.log('📤 Sent to MATLAB:', controlData.type, controlData.optimal_current + 'A');
+            return true;
         } else if (typeof module !== 'undefined' && module.exports) {
             // Node.js environment
-            const mqttClient = require('./mqtt');
-            mqttClient.sendToMATLAB({
+            const mqttClient = require('./mqtt-server');
+            return mqttClient.sendToMATLAB({
                 command: 'apply_mpc_control',
                 mpc_type: controlData.type,
                 optimal_current: controlData.optimal_current,
                 timestamp: new Date().toISOString()
             });
         }
+        return false;
     }
 
     // 6. COMPLETE SYSTEM RUNNER
@@ -248,12 +408,8 @@ class RealKenyaNeuralMPC {
     initializeRealDataSources() {
         return {
             weather: {
-                api: 'https://api.open-meteo.com/v1/forecast',
-                params: {
-                    lat: -1.3041, // KNH coordinates
-                    lon: 36.8077,
-                    hourly: 'temperature_2m,relativehumidity_2m,cloudcover'
-                }
+                source: this.weatherProvider.options.source,
+                url: this.weatherProvider.options.url
             },
             location: {
                 name: 'Kenyatta National Hospital',
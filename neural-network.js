@@ -0,0 +1,204 @@
+// neural-network.js - FEED-FORWARD NETWORK (PLAIN JS, BACKPROP + ADAM)
+class NeuralNetwork {
+    constructor(layers, options = {}) {
+        this.layers = layers;                       // e.g. [8, 16, 16, 4]
+        this.activation = options.activation || 'tanh';
+        this.weights = [];
+        this.biases = [];
+        this.adam = null;
+
+        if (options.weights && options.biases) {
+            this.weights = options.weights;
+            this.biases = options.biases;
+        } else {
+            this.initializeWeights(options.seed ?? 1);
+        }
+    }
+
+    initializeWeights(seed) {
+        // Xavier/Glorot uniform initialization
+        const random = createRandomGenerator(seed);
+        for (let l = 0; l < this.layers.length - 1; l++) {
+            const fanIn = this.layers[l];
+            const fanOut = this.layers[l + 1];
+            const limit = Math.sqrt(6 / (fanIn + fanOut));
+            this.weights.push(Array(fanOut).fill().map(() =>
+                Array(fanIn).fill().map(() => (random() * 2 - 1) * limit)
+            ));
+            this.biases.push(Array(fanOut).fill(0));
+        }
+    }
+
+    activate(z) {
+        return this.activation === 'relu' ? Math.max(0, z) : Math.tanh(z);
+    }
+
+    activateDerivative(a) {
+        // Expressed in terms of the activation output
+        return this.activation === 'relu' ? (a > 0 ? 1 : 0) : 1 - a * a;
+    }
+
+    // Returns the activations of every layer (input first, linear output last)
+    forwardPass(input) {
+        const activations = [input];
+        for (let l = 0; l < this.weights.length; l++) {
+            const previous = activations[l];
+            const isOutput = l === this.weights.length - 1;
+            activations.push(this.weights[l].map((row, i) => {
+                let z = this.biases[l][i];
+                for (let j = 0; j < row.length; j++) z += row[j] * previous[j];
+                return isOutput ? z : this.activate(z);
+            }));
+        }
+        return activations;
+    }
+
+    forward(input) {
+        const activations = this.forwardPass(input);
+        return activations[activations.length - 1];
+    }
+
+    // Mean-squared-error gradients over a mini-batch
+    backpropagate(inputs, targets) {
+        const gradW = this.weights.map(W => W.map(row => row.map(() => 0)));
+        const gradB = this.biases.map(b => b.map(() => 0));
+        let loss = 0;
+
+        inputs.forEach((input, n) => {
+            const activations = this.forwardPass(input);
+            const output = activations[activations.length - 1];
+            let delta = output.map((value, i) => {
+                const error = value - targets[n][i];
+                loss += error * error / output.length;
+                return 2 * error / output.length;
+            });
+
+            for (let l = this.weights.length - 1; l >= 0; l--) {
+                const previous = activations[l];
+                for (let i = 0; i < delta.length; i++) {
+                    gradB[l][i] += delta[i];
+                    for (let j = 0; j < previous.length; j++) {
+                        gradW[l][i][j] += delta[i] * previous[j];
+                    }
+                }
+                if (l > 0) {
+                    delta = previous.map((a, j) => {
+                        let sum = 0;
+                        for (let i = 0; i < delta.length; i++) sum += this.weights[l][i][j] * delta[i];
+                        return sum * this.activateDerivative(a);
+                    });
+                }
+            }
+        });
+
+        const scale = 1 / inputs.length;
+        return {
+            loss: loss * scale,
+            gradW: gradW.map(W => W.map(row => row.map(g => g * scale))),
+            gradB: gradB.map(b => b.map(g => g * scale))
+        };
+    }
+
+    adamStep(gradW, gradB, learningRate, beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8) {
+        if (!this.adam) {
+            this.adam = {
+                t: 0,
+                mW: gradW.map(W => W.map(row => row.map(() => 0))),
+                vW: gradW.map(W => W.map(row => row.map(() => 0))),
+                mB: gradB.map(b => b.map(() => 0)),
+                vB: gradB.map(b => b.map(() => 0))
+            };
+        }
+        const state = this.adam;
+        state.t++;
+        const correction1 = 1 - Math.pow(beta1, state.t);
+        const correction2 = 1 - Math.pow(beta2, state.t);
+
+        const update = (param, grad, m, v) => {
+            const mNext = beta1 * m + (1 - beta1) * grad;
+            const vNext = beta2 * v + (1 - beta2) * grad * grad;
+            return {
+                m: mNext,
+                v: vNext,
+                value: param - learningRate * (mNext / correction1) / (Math.sqrt(vNext / correction2) + epsilon)
+            };
+        };
+
+        for (let l = 0; l < this.weights.length; l++) {
+            for (let i = 0; i < this.weights[l].length; i++) {
+                for (let j = 0; j < this.weights[l][i].length; j++) {
+                    const step = update(this.weights[l][i][j], gradW[l][i][j], state.mW[l][i][j], state.vW[l][i][j]);
+                    this.weights[l][i][j] = step.value;
+                    state.mW[l][i][j] = step.m;
+                    state.vW[l][i][j] = step.v;
+                }
+                const step = update(this.biases[l][i], gradB[l][i], state.mB[l][i], state.vB[l][i]);
+                this.biases[l][i] = step.value;
+                state.mB[l][i] = step.m;
+                state.vB[l][i] = step.v;
+            }
+        }
+    }
+
+    train(inputs, targets, options = {}) {
+        const epochs = options.epochs ?? 200;
+        const batchSize = options.batchSize ?? 32;
+        const learningRate = options.learningRate ?? 0.01;
+        const random = createRandomGenerator(options.seed ?? 7);
+        const history = [];
+
+        const order = inputs.map((_, i) => i);
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            // Fisher-Yates shuffle per epoch
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+
+            let epochLoss = 0;
+            for (let start = 0; start < order.length; start += batchSize) {
+                const batch = order.slice(start, start + batchSize);
+                const { loss, gradW, gradB } = this.backpropagate(
+                    batch.map(i => inputs[i]), batch.map(i => targets[i])
+                );
+                this.adamStep(gradW, gradB, learningRate);
+                epochLoss += loss * batch.length;
+            }
+            history.push(epochLoss / order.length);
+        }
+        return history;
+    }
+
+    toJSON() {
+        return {
+            layers: this.layers,
+            activation: this.activation,
+            weights: this.weights,
+            biases: this.biases
+        };
+    }
+
+    static fromJSON(json) {
+        return new NeuralNetwork(json.layers, {
+            activation: json.activation,
+            weights: json.weights,
+            biases: json.biases
+        });
+    }
+}
+
+// Seeded PRNG (mulberry32) so training runs are reproducible
+function createRandomGenerator(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+NeuralNetwork.createRandomGenerator = createRandomGenerator;
+
+module.exports = NeuralNetwork;
@@ -0,0 +1,92 @@
+// o2-storage-tank.js - O₂ BUFFER TANK (LEVEL, PRESSURE, HOSPITAL RESERVE, COMPRESSOR ENERGY)
+
+class O2StorageTank {
+    constructor(options = {}) {
+        this.params = {
+            capacity: 2000,             // m³ O₂ at STP when full
+            volume: 70,                 // m³ geometric volume, sets the pressure at a given level
+            max_pressure: 30,           // bar(a), vessel rating
+            min_reserve: 400,           // m³ kept for the hospital at all times
+            inlet_pressure: 1.2,        // bar(a) at the electrolyzer O₂ outlet
+            compressor_efficiency: 0.65,
+            ...options.params
+        };
+        this.level = options.level ?? this.params.capacity / 2;     // m³, current estimate
+        this.levelSource = 'estimate';
+        this.updatedAt = Date.now();
+    }
+
+    // Ideal gas at ambient temperature: p = p_atm * V_stp / V_tank
+    pressure(level = this.level) {
+        return Math.max(this.params.inlet_pressure, 1.01325 * level / this.params.volume);
+    }
+
+    // Isothermal compression work from the outlet to tank pressure, kWh per m³ STP
+    compressorEnergyPerM3(level = this.level) {
+        const ratio = this.pressure(level) / this.params.inlet_pressure;
+        return 101325 * Math.log(ratio) / this.params.compressor_efficiency / 3.6e6;
+    }
+
+    // Everything the stacks produce is compressed into the tank; the hospital draws from it
+    compressorPowerKW(production, level = this.level) {
+        return production * this.compressorEnergyPerM3(level);
+    }
+
+    // One period of the storage balance; cylinder backup tops the tank back up to the reserve
+    step(level, production, demand, hours = 1) {
+        let next = level + (production - demand) * hours;
+        let vented = 0;
+        let backup = 0;
+        if (next > this.params.capacity) {
+            vented = next - this.params.capacity;
+            next = this.params.capacity;
+        }
+        if (next < this.params.min_reserve) {
+            backup = this.params.min_reserve - next;
+            next = this.params.min_reserve;
+        }
+        return {
+            level: next,
+            vented: vented,
+            backup: backup,
+            compressor_kwh: this.compressorPowerKW(production, level) * hours
+        };
+    }
+
+    // Hours until the level falls to `floor` at a constant net draw (null if it never does)
+    hoursUntil(floor, production, demand, level = this.level) {
+        if (level <= floor) return 0;
+        if (demand <= production) return null;
+        return (level - floor) / (demand - production);
+    }
+
+    // Dead reckoning between level measurements (no backup: the estimate must show a breach)
+    update(production, demand, hours) {
+        this.level = Math.min(this.params.capacity, Math.max(0, this.level + (production - demand) * hours));
+        this.levelSource = 'estimate';
+        this.updatedAt = Date.now();
+        return this.level;
+    }
+
+    setLevel(level, source = 'telemetry') {
+        this.level = Math.min(this.params.capacity, Math.max(0, level));
+        this.levelSource = source;
+        this.updatedAt = Date.now();
+        return this.level;
+    }
+
+    getState() {
+        return {
+            level: this.level,
+            level_source: this.levelSource,
+            pressure: this.pressure(),
+            fill_fraction: this.level / this.params.capacity,
+            reserve_margin: this.level - this.params.min_reserve,
+            compressor_kwh_per_m3: this.compressorEnergyPerM3(),
+            updated_at: new Date(this.updatedAt).toISOString(),
+            ...this.params
+        };
+    }
+}
+
+module.exports = O2StorageTank;
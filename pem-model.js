@@ -0,0 +1,185 @@
+// pem-model.js - NONLINEAR PEM ELECTROLYZER STACK MODEL (ELECTROCHEMISTRY + THERMAL)
+const FARADAY = 96485;              // C/mol
+const GAS_CONSTANT = 8.314;         // J/(mol·K)
+const MOLAR_VOLUME = 22.414;        // L/mol at STP
+const THERMONEUTRAL_VOLTAGE = 1.481; // V (HHV)
+const LHV_VOLTAGE = 1.254;          // V (LHV)
+const KELVIN = 273.15;
+
+class PEMStackModel {
+    constructor(params = {}) {
+        this.params = {
+            cells: 20,
+            area: 150,                          // cm² active area per cell
+            membrane_thickness: 0.0183,         // cm (Nafion 117)
+            membrane_water_content: 22,         // λ, fully hydrated
+            electronic_resistance: 0.02,        // Ω·cm² (plates, PTL, contacts)
+            anode_exchange_current: 5e-5,       // A/cm² at reference temperature
+            cathode_exchange_current: 0.1,      // A/cm² at reference temperature
+            anode_alpha: 0.5,
+            cathode_alpha: 0.5,
+            anode_activation_energy: 52000,     // J/mol
+            cathode_activation_energy: 18000,   // J/mol
+            reference_temperature: 353.15,      // K
+            limiting_current_density: 4.0,      // A/cm²
+            anode_pressure: 1.0,                // bar
+            cathode_pressure: 1.0,              // bar
+            faraday_efficiency: 0.99,
+            heat_capacity: 40000,               // J/K (stack + water loop)
+            ambient_UA: 2,                      // W/K losses to ambient
+            cooling_UA: 20,                     // W/K heat exchanger
+            coolant_temperature: 40,            // °C
+            ambient_temperature: 20,            // °C
+            ...params
+        };
+    }
+
+    // ELECTROCHEMISTRY (per cell, temperature in K, current density in A/cm²)
+    reversibleVoltage(T) {
+        // Nernst equation with temperature-corrected standard potential
+        const p = this.params;
+        const standard = 1.229 - 0.9e-3 * (T - 298.15);
+        return standard + (GAS_CONSTANT * T / (2 * FARADAY)) * Math.log(p.cathode_pressure * Math.sqrt(p.anode_pressure));
+    }
+
+    exchangeCurrent(reference, activationEnergy, T) {
+        // Arrhenius temperature dependence
+        return reference * Math.exp(-activationEnergy / GAS_CONSTANT * (1 / T - 1 / this.params.reference_temperature));
+    }
+
+    activationOverpotential(j, T) {
+        // Butler–Volmer with symmetric transfer, inverted via asinh
+        if (j <= 0) return 0;
+        const p = this.params;
+        const j0a = this.exchangeCurrent(p.anode_exchange_current, p.anode_activation_energy, T);
+        const j0c = this.exchangeCurrent(p.cathode_exchange_current, p.cathode_activation_energy, T);
+        const anode = GAS_CONSTANT * T / (2 * p.anode_alpha * FARADAY) * Math.asinh(j / (2 * j0a));
+        const cathode = GAS_CONSTANT * T / (2 * p.cathode_alpha * FARADAY) * Math.asinh(j / (2 * j0c));
+        return anode + cathode;
+    }
+
+    membraneConductivity(T) {
+        // Springer et al. (S/cm)
+        const lambda = this.params.membrane_water_content;
+        return (0.005139 * lambda - 0.00326) * Math.exp(1268 * (1 / 303 - 1 / T));
+    }
+
+    ohmicOverpotential(j, T) {
+        const p = this.params;
+        const areaResistance = p.membrane_thickness / this.membraneConductivity(T) + p.electronic_resistance;
+        return j * areaResistance;
+    }
+
+    concentrationOverpotential(j, T) {
+        const jLim = this.params.limiting_current_density;
+        const jSafe = Math.min(j, 0.99 * jLim);
+        if (jSafe <= 0) return 0;
+        return GAS_CONSTANT * T / (2 * FARADAY) * Math.log(jLim / (jLim - jSafe));
+    }
+
+    cellVoltage(current, temperatureC) {
+        const T = temperatureC + KELVIN;
+        const j = current / this.params.area;
+        return this.reversibleVoltage(T) +
+            this.activationOverpotential(j, T) +
+            this.ohmicOverpotential(j, T) +
+            this.concentrationOverpotential(j, T);
+    }
+
+    stackVoltage(current, temperatureC) {
+        return this.params.cells * this.cellVoltage(current, temperatureC);
+    }
+
+    efficiency(current, temperatureC) {
+        // LHV voltage efficiency including Faradaic losses (%)
+        if (current <= 0) return 0;
+        return LHV_VOLTAGE / this.cellVoltage(current, temperatureC) * this.params.faraday_efficiency * 100;
+    }
+
+    // FARADAY'S LAW
+    o2MolarRate(current) {
+        return current * this.params.cells * this.params.faraday_efficiency / (4 * FARADAY); // mol/s
+    }
+
+    h2MolarRate(current) {
+        return current * this.params.cells * this.params.faraday_efficiency / (2 * FARADAY); // mol/s
+    }
+
+    o2ProductionRate(current) {
+        return this.o2MolarRate(Math.max(0, current)) * MOLAR_VOLUME * 60; // L/min at STP
+    }
+
+    h2ProductionRate(current) {
+        return this.h2MolarRate(Math.max(0, current)) * MOLAR_VOLUME * 60; // L/min at STP
+    }
+
+    // LUMPED THERMAL MODEL
+    heatBalance(current, temperatureC, ambientC = this.params.ambient_temperature) {
+        const p = this.params;
+        const generated = current > 0
+            ? p.cells * current * (this.cellVoltage(current, temperatureC) - THERMONEUTRAL_VOLTAGE)
+            : 0;
+        const ambientLoss = p.ambient_UA * (temperatureC - ambientC);
+        const cooling = p.cooling_UA * Math.max(0, temperatureC - p.coolant_temperature);
+        return { generated, ambientLoss, cooling, net: generated - ambientLoss - cooling };
+    }
+
+    step(state, current, dt, ambientC = this.params.ambient_temperature) {
+        // Explicit Euler with sub-steps no longer than one second
+        const substeps = Math.max(1, Math.ceil(dt));
+        const h = dt / substeps;
+        let temperature = state.temperature;
+        for (let i = 0; i < substeps; i++) {
+            temperature += h * this.heatBalance(current, temperature, ambientC).net / this.params.heat_capacity;
+        }
+
+        return {
+            temperature: temperature,
+            current: current,
+            voltage: current > 0 ? this.stackVoltage(current, temperature) : 0,
+            efficiency: this.efficiency(current, temperature),
+            power: current > 0 ? this.stackVoltage(current, temperature) * current / 1000 : 0, // kW
+            o2_production: this.o2ProductionRate(current),
+            h2_production: this.h2ProductionRate(current)
+        };
+    }
+
+    // MPC STATE MAP: x = [temperature (°C), efficiency (%)], u = current (A)
+    discreteDynamics(x, u, Ts, ambientC) {
+        const next = this.step({ temperature: x[0] }, u, Ts, ambientC);
+        return [next.temperature, next.efficiency];
+    }
+
+    // Affine model x+ ≈ A x + B u + offset around (x0, u0), by central differences
+    linearize(x0, u0, Ts, ambientC = this.params.ambient_temperature) {
+        const hx = [0.01, 0.01];
+        const hu = 0.01;
+        const f0 = this.discreteDynamics(x0, u0, Ts, ambientC);
+
+        const A = [[0, 0], [0, 0]];
+        for (let j = 0; j < 2; j++) {
+            const plus = x0.slice();
+            const minus = x0.slice();
+            plus[j] += hx[j];
+            minus[j] -= hx[j];
+            const fPlus = this.discreteDynamics(plus, u0, Ts, ambientC);
+            const fMinus = this.discreteDynamics(minus, u0, Ts, ambientC);
+            for (let i = 0; i < 2; i++) {
+                A[i][j] = (fPlus[i] - fMinus[i]) / (2 * hx[j]);
+            }
+        }
+
+        const uMinus = Math.max(0, u0 - hu);
+        const fPlus = this.discreteDynamics(x0, u0 + hu, Ts, ambientC);
+        const fMinus = this.discreteDynamics(x0, uMinus, Ts, ambientC);
+        const B = [0, 1].map(i => [(fPlus[i] - fMinus[i]) / (u0 + hu - uMinus)]);
+
+        const offset = [0, 1].map(i =>
+            f0[i] - (A[i][0] * x0[0] + A[i][1] * x0[1]) - B[i][0] * u0
+        );
+
+        return { A, B, offset, operatingPoint: { state: x0, current: u0, next: f0 } };
+    }
+}
+
+module.exports = PEMStackModel;
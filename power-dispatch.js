@@ -0,0 +1,134 @@
+// power-dispatch.js - ELECTROLYZER POWER SOURCES (ROOFTOP PV, GRID TOU, DIESEL GENERATOR)
+const TariffEngine = require('./tariff-engine');
+const config = require('./config');
+
+class PowerDispatch {
+    constructor(options = {}) {
+        this.tariffEngine = options.tariffEngine || new TariffEngine();
+        this.pv = {
+            capacity_kwp: config.power.pvCapacityKwp,   // rooftop array, kWp at STC
+            performance_ratio: 0.8,         // inverter, wiring and soiling losses
+            temperature_coefficient: -0.004, // per °C of cell temperature above 25 °C
+            noct: 45,                       // °C, nominal operating cell temperature
+            ...options.pv
+        };
+        this.grid = {
+            max_import_kw: 2500,            // supply contract capacity
+            power_factor: 0.95,
+            emission_factor: config.power.gridEmissionFactor, // kg CO₂/kWh, Kenya grid (mostly geothermal and hydro)
+            ...options.grid
+        };
+        this.diesel = {
+            rated_kw: config.power.dieselRatedKw,
+            min_load_fraction: 0.3,         // wet stacking below this
+            fuel_price: config.power.dieselFuelPrice,   // KES/L
+            fuel_no_load: 0.08415,          // L/h per kW rated
+            fuel_slope: 0.246,              // L/h per kW output
+            emission_factor: 2.68,          // kg CO₂/L diesel
+            available: true,
+            ...options.diesel
+        };
+    }
+
+    // PV output from plane irradiance (W/m²) and ambient temperature, NOCT cell model
+    pvPower(irradiance = 0, ambientC = 20) {
+        if (!(irradiance > 0)) return 0;
+        const cellC = ambientC + irradiance / 800 * (this.pv.noct - 20);
+        const derate = 1 + this.pv.temperature_coefficient * (cellC - 25);
+        return Math.max(0, this.pv.capacity_kwp * irradiance / 1000 * this.pv.performance_ratio * derate);
+    }
+
+    fuelRate(dieselKW) {
+        if (dieselKW <= 0) return 0;
+        return this.diesel.fuel_no_load * this.diesel.rated_kw + this.diesel.fuel_slope * dieselKW; // L/h
+    }
+
+    // Cheapest split of one hour's load: PV first (free, surplus curtailed), then grid and/or diesel
+    dispatch(loadKW, { time = new Date(), irradiance = 0, ambient = 20, gridAvailable = true, gridRate } = {}) {
+        const rate = gridRate ?? this.tariffEngine.priceAt(time).rate;
+        const pvAvailable = this.pvPower(irradiance, ambient);
+        const pv = Math.min(loadKW, pvAvailable);
+        const residual = loadKW - pv;
+
+        const dieselMin = this.diesel.min_load_fraction * this.diesel.rated_kw;
+        const maxImport = gridAvailable ? this.grid.max_import_kw : 0;
+        const candidates = [];
+        const consider = dieselKW => {
+            const grid = Math.max(0, residual - dieselKW);
+            const imported = Math.min(grid, maxImport);
+            candidates.push({
+                diesel: dieselKW,
+                grid: imported,
+                unserved: grid - imported,
+                dumped: Math.max(0, dieselKW - residual),
+                cost: imported * rate + this.fuelRate(dieselKW) * this.diesel.fuel_price
+            });
+        };
+
+        consider(0);
+        if (this.diesel.available && this.diesel.rated_kw > 0 && residual > 0) {
+            // Fuel cost is affine in output, so the optimum is at minimum load or as much as the load allows
+            consider(Math.min(this.diesel.rated_kw, Math.max(dieselMin, residual)));
+            if (residual > dieselMin) consider(dieselMin);
+            if (!gridAvailable || residual > maxImport) {
+                consider(Math.min(this.diesel.rated_kw, Math.max(dieselMin, residual - maxImport)));
+            }
+        }
+        // Unserved load first, then cost
+        const best = candidates.reduce((a, b) =>
+            (b.unserved < a.unserved - 1e-9 || (Math.abs(b.unserved - a.unserved) <= 1e-9 && b.cost < a.cost)) ? b : a
+        );
+
+        const fuel = this.fuelRate(best.diesel);
+        const co2 = best.grid * this.grid.emission_factor + fuel * this.diesel.emission_factor;
+        return {
+            load_kw: loadKW,
+            pv_kw: pv,
+            pv_curtailed_kw: pvAvailable - pv,
+            grid_kw: best.grid,
+            diesel_kw: best.diesel,
+            diesel_dumped_kw: best.dumped,
+            unserved_kw: best.unserved,
+            fuel_lph: fuel,
+            grid_rate: rate,
+            cost_per_hour: best.cost,
+            co2_kg_per_hour: co2,
+            grid_available: gridAvailable
+        };
+    }
+
+    // Totals over dispatched steps of `hours` each, normalised per m³ O₂ produced
+    summarize(steps, o2M3, hours = 1) {
+        const sum = key => steps.reduce((total, step) => total + step[key] * hours, 0);
+        const pv = sum('pv_kw');
+        const grid = sum('grid_kw');
+        const diesel = sum('diesel_kw') - sum('diesel_dumped_kw');
+        const energy = pv + grid + diesel;
+        const fuel = sum('fuel_lph');
+        const co2 = sum('co2_kg_per_hour');
+        return {
+            energy_kwh: energy,
+            source_mix: {
+                pv_kwh: pv,
+                grid_kwh: grid,
+                diesel_kwh: diesel,
+                pv_fraction: energy > 0 ? pv / energy : 0,
+                grid_fraction: energy > 0 ? grid / energy : 0,
+                diesel_fraction: energy > 0 ? diesel / energy : 0
+            },
+            pv_curtailed_kwh: sum('pv_curtailed_kw'),
+            unserved_kwh: sum('unserved_kw'),
+            fuel_l: fuel,
+            fuel_cost: fuel * this.diesel.fuel_price,
+            co2_kg: co2,
+            fuel_l_per_m3: o2M3 > 0 ? fuel / o2M3 : 0,
+            co2_kg_per_m3: o2M3 > 0 ? co2 / o2M3 : 0
+        };
+    }
+
+    getConfig() {
+        return { pv: this.pv, grid: this.grid, diesel: this.diesel };
+    }
+}
+
+module.exports = PowerDispatch;
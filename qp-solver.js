@@ -0,0 +1,303 @@
+// qp-solver.js - CONSTRAINED QP SOLVER (ADMM / OSQP-STYLE)
+// Solves:  minimize 0.5 x'Px + q'x   subject to   l <= Ax <= u
+class QPSolver {
+    constructor(options = {}) {
+        this.rho = options.rho ?? 0.1;
+        this.sigma = options.sigma ?? 1e-6;
+        this.alpha = options.alpha ?? 1.6;
+        this.maxIterations = options.maxIterations ?? 4000;
+        this.epsAbs = options.epsAbs ?? 1e-4;
+        this.epsRel = options.epsRel ?? 1e-4;
+        this.epsPrimalInfeasible = options.epsPrimalInfeasible ?? 1e-5;
+        this.checkInterval = options.checkInterval ?? 5;
+        this.adaptiveRhoInterval = options.adaptiveRhoInterval ?? 25;
+    }
+
+    solve(problem, warmStart = {}) {
+        const n = problem.q.length;
+        const mc = problem.A.length;
+        const scaling = this.equilibrate(problem);
+        const { P, q, A, l, u } = scaling.problem;
+        const { D, E, c } = scaling;
+        const At = transpose(A, n);
+        const sparseA = toSparseRows(A);
+        const sparseAt = toSparseRows(At);
+
+        let x = warmStart.x ? warmStart.x.map((xi, i) => xi / D[i]) : new Array(n).fill(0);
+        let y = warmStart.y ? warmStart.y.map((yi, i) => yi * c / E[i]) : new Array(mc).fill(0);
+        let z = project(matVec(A, x), l, u);
+
+        let rho = this.rho;
+        let rhoVec = this.buildRhoVector(rho, l, u);
+        let L = cholesky(this.buildKKT(P, sparseA, rhoVec));
+
+        let status = 'max_iterations';
+        let iteration = 0;
+        let primalResidual = Infinity;
+        let dualResidual = Infinity;
+
+        for (iteration = 1; iteration <= this.maxIterations; iteration++) {
+            const yPrev = y;
+
+            // x-update: (P + sigma*I + A' diag(rho) A) x~ = sigma*x - q + A'(rho*z - y)
+            const rhs = new Array(n);
+            const weighted = z.map((zi, i) => rhoVec[i] * zi - y[i]);
+            const Atw = sparseMatVec(sparseAt, weighted);
+            for (let i = 0; i < n; i++) {
+                rhs[i] = this.sigma * x[i] - q[i] + Atw[i];
+            }
+            const xTilde = choleskySolve(L, rhs);
+            const zTilde = sparseMatVec(sparseA, xTilde);
+
+            // Over-relaxation, projection and dual update
+            x = xTilde.map((xi, i) => this.alpha * xi + (1 - this.alpha) * x[i]);
+            const zRelaxed = zTilde.map((zi, i) => this.alpha * zi + (1 - this.alpha) * z[i]);
+            const zNew = project(zRelaxed.map((zi, i) => zi + y[i] / rhoVec[i]), l, u);
+            y = y.map((yi, i) => yi + rhoVec[i] * (zRelaxed[i] - zNew[i]));
+            z = zNew;
+
+            if (iteration % this.checkInterval !== 0 && iteration !== this.maxIterations) continue;
+
+            // Termination is judged on the unscaled residuals
+            const Ax = sparseMatVec(sparseA, x);
+            const Px = matVec(P, x);
+            const Aty = sparseMatVec(sparseAt, y);
+            const primalTerms = Ax.map((v, i) => (v - z[i]) / E[i]);
+            const dualTerms = Px.map((v, i) => (v + q[i] + Aty[i]) / (c * D[i]));
+            primalResidual = normInf(primalTerms);
+            dualResidual = normInf(dualTerms);
+
+            const epsPrimal = this.epsAbs + this.epsRel * Math.max(
+                normInf(Ax.map((v, i) => v / E[i])), normInf(z.map((v, i) => v / E[i]))
+            );
+            const epsDual = this.epsAbs + this.epsRel * Math.max(
+                normInf(Px.map((v, i) => v / (c * D[i]))),
+                normInf(Aty.map((v, i) => v / (c * D[i]))),
+                normInf(q.map((v, i) => v / (c * D[i])))
+            );
+
+            if (primalResidual <= epsPrimal && dualResidual <= epsDual) {
+                status = 'solved';
+                break;
+            }
+
+            if (this.isPrimalInfeasible(y.map((yi, i) => yi - yPrev[i]), sparseAt, l, u)) {
+                status = 'primal_infeasible';
+                break;
+            }
+
+            // Adaptive rho (OSQP heuristic): balance primal and dual residuals
+            if (iteration % this.adaptiveRhoInterval === 0) {
+                const scaledPrimal = normInf(Ax.map((v, i) => v - z[i]));
+                const scaledDual = normInf(Px.map((v, i) => v + q[i] + Aty[i]));
+                const primalScale = scaledPrimal / Math.max(normInf(Ax), normInf(z), 1e-10);
+                const dualScale = scaledDual / Math.max(normInf(Px), normInf(Aty), normInf(q), 1e-10);
+                const newRho = Math.min(Math.max(rho * Math.sqrt(primalScale / Math.max(dualScale, 1e-10)), 1e-6), 1e6);
+
+                if (newRho > rho * 5 || newRho < rho / 5) {
+                    rho = newRho;
+                    rhoVec = this.buildRhoVector(rho, l, u);
+                    L = cholesky(this.buildKKT(P, sparseA, rhoVec));
+                }
+            }
+        }
+
+        const xOriginal = x.map((xi, i) => xi * D[i]);
+        return {
+            x: xOriginal,
+            y: y.map((yi, i) => yi * E[i] / c),
+            status: status,
+            iterations: Math.min(iteration, this.maxIterations),
+            primal_residual: primalResidual,
+            dual_residual: dualResidual,
+            objective: 0.5 * dot(xOriginal, matVec(problem.P, xOriginal)) + dot(problem.q, xOriginal)
+        };
+    }
+
+    // Ruiz equilibration of the KKT matrix plus cost scaling (as in OSQP)
+    equilibrate(problem, passes = 10) {
+        const n = problem.q.length;
+        const mc = problem.A.length;
+        let P = problem.P.map(row => row.slice());
+        let q = problem.q.slice();
+        let A = problem.A.map(row => row.slice());
+        const D = new Array(n).fill(1);
+        const E = new Array(mc).fill(1);
+        const clampScale = value => Math.min(Math.max(value, 1e-4), 1e4);
+
+        for (let pass = 0; pass < passes; pass++) {
+            const deltaD = new Array(n);
+            for (let j = 0; j < n; j++) {
+                let norm = 0;
+                for (let i = 0; i < n; i++) norm = Math.max(norm, Math.abs(P[i][j]));
+                for (let i = 0; i < mc; i++) norm = Math.max(norm, Math.abs(A[i][j]));
+                deltaD[j] = norm < 1e-4 ? 1 : clampScale(1 / Math.sqrt(norm));
+            }
+            const deltaE = A.map(row => {
+                const norm = normInf(row);
+                return norm < 1e-4 ? 1 : clampScale(1 / Math.sqrt(norm));
+            });
+
+            P = P.map((row, i) => row.map((value, j) => deltaD[i] * value * deltaD[j]));
+            A = A.map((row, i) => row.map((value, j) => deltaE[i] * value * deltaD[j]));
+            q = q.map((value, j) => deltaD[j] * value);
+            for (let j = 0; j < n; j++) D[j] *= deltaD[j];
+            for (let i = 0; i < mc; i++) E[i] *= deltaE[i];
+        }
+
+        let meanColumnNorm = 0;
+        for (let j = 0; j < n; j++) {
+            let norm = 0;
+            for (let i = 0; i < n; i++) norm = Math.max(norm, Math.abs(P[i][j]));
+            meanColumnNorm += norm / n;
+        }
+        const c = clampScale(1 / Math.max(meanColumnNorm, normInf(q), 1e-4));
+
+        return {
+            problem: {
+                P: P.map(row => row.map(value => value * c)),
+                q: q.map(value => value * c),
+                A: A,
+                l: problem.l.map((value, i) => value * E[i]),
+                u: problem.u.map((value, i) => value * E[i])
+            },
+            D, E, c
+        };
+    }
+
+    buildRhoVector(rho, l, u) {
+        // Equality rows get a much stiffer penalty, free rows almost none
+        return l.map((li, i) => {
+            if (li === -Infinity && u[i] === Infinity) return 1e-6;
+            if (li === u[i]) return rho * 1e3;
+            return rho;
+        });
+    }
+
+    buildKKT(P, sparseA, rhoVec) {
+        const n = P.length;
+        const K = P.map(row => row.slice());
+        for (let i = 0; i < n; i++) K[i][i] += this.sigma;
+        // K += sum_k rho_k * a_k a_k' over the nonzeros of each constraint row
+        sparseA.forEach(({ index, value }, k) => {
+            for (let a = 0; a < index.length; a++) {
+                for (let b = 0; b < index.length; b++) {
+                    K[index[a]][index[b]] += rhoVec[k] * value[a] * value[b];
+                }
+            }
+        });
+        return K;
+    }
+
+    isPrimalInfeasible(deltaY, sparseAt, l, u) {
+        const deltaNorm = normInf(deltaY);
+        if (deltaNorm < this.epsPrimalInfeasible) return false;
+
+        const eps = this.epsPrimalInfeasible * deltaNorm;
+        if (normInf(sparseMatVec(sparseAt, deltaY)) > eps) return false;
+
+        let support = 0;
+        for (let i = 0; i < deltaY.length; i++) {
+            if (deltaY[i] > eps) {
+                if (u[i] === Infinity) return false;
+                support += u[i] * deltaY[i];
+            } else if (deltaY[i] < -eps) {
+                if (l[i] === -Infinity) return false;
+                support += l[i] * deltaY[i];
+            }
+        }
+        return support < -eps;
+    }
+}
+
+// LINEAR ALGEBRA HELPERS
+function transpose(A, columns) {
+    const result = [];
+    for (let j = 0; j < columns; j++) {
+        result[j] = A.map(row => row[j]);
+    }
+    return result;
+}
+
+function matVec(A, x) {
+    return A.map(row => dot(row, x));
+}
+
+// Constraint matrices are mostly zeros; keep (index, value) pairs per row
+function toSparseRows(A) {
+    return A.map(row => {
+        const index = [];
+        const value = [];
+        row.forEach((v, j) => {
+            if (v !== 0) {
+                index.push(j);
+                value.push(v);
+            }
+        });
+        return { index, value };
+    });
+}
+
+function sparseMatVec(rows, x) {
+    const result = new Array(rows.length);
+    for (let i = 0; i < rows.length; i++) {
+        const { index, value } = rows[i];
+        let sum = 0;
+        for (let k = 0; k < index.length; k++) sum += value[k] * x[index[k]];
+        result[i] = sum;
+    }
+    return result;
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function normInf(v) {
+    let max = 0;
+    for (const value of v) max = Math.max(max, Math.abs(value));
+    return max;
+}
+
+function project(v, l, u) {
+    return v.map((vi, i) => Math.min(Math.max(vi, l[i]), u[i]));
+}
+
+function cholesky(K) {
+    const n = K.length;
+    const L = Array(n).fill().map(() => Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = K[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            if (i === j) {
+                if (sum <= 0) throw new Error('QP KKT matrix is not positive definite');
+                L[i][i] = Math.sqrt(sum);
+            } else {
+                L[i][j] = sum / L[j][j];
+            }
+        }
+    }
+    return L;
+}
+
+function choleskySolve(L, b) {
+    const n = L.length;
+    const yv = new Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = b[i];
+        for (let k = 0; k < i; k++) sum -= L[i][k] * yv[k];
+        yv[i] = sum / L[i][i];
+    }
+    const x = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = yv[i];
+        for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+        x[i] = sum / L[i][i];
+    }
+    return x;
+}
+
+module.exports = QPSolver;
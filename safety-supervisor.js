@@ -0,0 +1,304 @@
+// safety-supervisor.js - LAYERED SAFETY SUPERVISOR (INTERLOCKS, LIMITS, WATCHDOG, LATCHED E-STOP)
+const eventStream = require('./event-stream');
+
+// Reason codes: every block, clamp, trip and warning carries one of these
+const REASONS = {
+    E_STOP_LATCHED: 'Emergency stop latched, reset required',
+    E_STOP_MANUAL: 'Emergency stop requested by operator',
+    INVALID_COMMAND: 'Command current is not a finite number',
+    WATCHDOG_TELEMETRY_LOSS: 'Telemetry stale or missing, command withheld',
+    WATCHDOG_TIMEOUT: 'Telemetry lost under remote control for too long',
+    INTERLOCK_H2_IN_O2: 'H₂-in-O₂ concentration at trip level',
+    INTERLOCK_PRESSURE: 'Stack pressure at trip level',
+    INTERLOCK_TEMPERATURE: 'Stack temperature at trip level',
+    INTERLOCK_VOLTAGE: 'Stack voltage at trip level',
+    CLAMP_TEMPERATURE: 'Stack temperature at limit, current increase blocked',
+    CLAMP_VOLTAGE: 'Stack voltage at limit, current increase blocked',
+    CLAMP_CURRENT_RANGE: 'Current outside operating range',
+    CLAMP_RAMP_RATE: 'Current change exceeds ramp-rate limit',
+    WARN_H2_IN_O2: 'H₂-in-O₂ concentration above warning level'
+};
+
+class SafetySupervisor {
+    constructor(options = {}) {
+        this.limits = {
+            current_min: 100,               // A, 0 (stack off) is always allowed
+            current_max: 200,               // A
+            ramp_rate_max: 10,              // A/s
+            temp_max: 80,                   // °C, no current increase above this
+            temp_trip: 85,                  // °C, e-stop
+            voltage_max: 40,                // V stack, no current increase above this
+            voltage_trip: 44,               // V stack, e-stop
+            h2_in_o2_warn: 1.0,             // vol-%, a quarter of the 4 % lower flammability limit
+            h2_in_o2_trip: 2.0,             // vol-%, e-stop
+            pressure_trip: 35,              // bar, e-stop
+            watchdog_trip_ms: 60000,        // telemetry loss under remote control before e-stop
+            ...options.limits
+        };
+        this.telemetryStore = options.telemetryStore || null;
+        this.historyStore = options.historyStore || null;
+        this.alarmManager = options.alarmManager || null;
+        this.sendCommand = options.sendCommand || (() => false);
+
+        this.eStop = { latched: false, reason: null, source: null, latched_at: null };
+        this.lastApplied = null;            // { current, time } of the last command sent to the plant
+        this.decisions = [];                // recent decisions for the Safety tab
+        this.maxDecisions = 100;
+        this.watchdogTimer = null;
+    }
+
+    // LAYERS, in order: latch → validity → interlocks → watchdog → limits → range → ramp
+    evaluate(control, now = Date.now()) {
+        const actions = [];
+        const requested = control.optimal_current;
+        let current = requested;
+
+        // The latch itself was logged when it tripped; don't repeat it on every command
+        if (this.eStop.latched) {
+            return this.decide(control, 0, false, [this.action('E_STOP_LATCHED', 'block')], now, false);
+        }
+        if (typeof requested !== 'number' || !Number.isFinite(requested)) {
+            return this.decide(control, null, false, [this.action('INVALID_COMMAND', 'block')], now);
+        }
+
+        // Interlocks first: an implausible reading must still trip, not just block
+        const readings = this.readings(now);
+        const trip = this.checkInterlocks(readings);
+        if (trip) {
+            // trip() already logged the action
+            this.trip(trip.code, 'interlock', trip.details);
+            return this.decide(control, 0, false, [this.action(trip.code, 'trip', trip.details)], now, false);
+        }
+
+        const telemetry = this.telemetryStore ? this.telemetryStore.getSystemState(now) : null;
+        if (!telemetry || !telemetry.usable) {
+            const action = this.action('WATCHDOG_TELEMETRY_LOSS', 'block', { quality: telemetry ? telemetry.quality : 'missing' });
+            return this.decide(control, null, false, [action], now);
+        }
+
+        if (readings.h2_in_o2 !== null && readings.h2_in_o2 >= this.limits.h2_in_o2_warn) {
+            actions.push(this.action('WARN_H2_IN_O2', 'warn', { h2_in_o2: readings.h2_in_o2 }));
+        }
+
+        // Soft limits: hold the present current rather than pushing further
+        const reference = this.lastApplied ? this.lastApplied.current : telemetry.current;
+        if (telemetry.temperature >= this.limits.temp_max && current > reference) {
+            actions.push(this.action('CLAMP_TEMPERATURE', 'clamp', { temperature: telemetry.temperature, from: current, to: reference }));
+            current = reference;
+        }
+        if (readings.voltage !== null && readings.voltage >= this.limits.voltage_max && current > reference) {
+            actions.push(this.action('CLAMP_VOLTAGE', 'clamp', { voltage: readings.voltage, from: current, to: reference }));
+            current = reference;
+        }
+
+        if (current !== 0 && (current < this.limits.current_min || current > this.limits.current_max)) {
+            const clamped = Math.min(this.limits.current_max, Math.max(this.limits.current_min, current));
+            actions.push(this.action('CLAMP_CURRENT_RANGE', 'clamp', { from: current, to: clamped }));
+            current = clamped;
+        }
+
+        // Ramp limit between running setpoints; startup and shutdown follow the on/off logic
+        if (reference > 0 && current > 0) {
+            const elapsed = this.lastApplied ? Math.max(0.1, (now - this.lastApplied.time) / 1000) : 1;
+            const maxStep = this.limits.ramp_rate_max * elapsed;
+            if (Math.abs(current - reference) > maxStep) {
+                const limited = reference + Math.sign(current - reference) * maxStep;
+                actions.push(this.action('CLAMP_RAMP_RATE', 'clamp', { from: current, to: limited, elapsed_s: elapsed }));
+                current = limited;
+            }
+        }
+
+        return this.decide(control, current, true, actions, now);
+    }
+
+    // Latest value of each interlock signal, null when missing or stale (uninstrumented signals are skipped)
+    readings(now = Date.now()) {
+        const readings = {};
+        ['temperature', 'voltage', 'h2_in_o2', 'pressure'].forEach(signal => {
+            const quality = this.telemetryStore ? this.telemetryStore.signalQuality(signal, now) : 'missing';
+            readings[signal] = quality === 'missing' || quality === 'stale'
+                ? null
+                : this.telemetryStore.getLatest(signal).value;
+        });
+        return readings;
+    }
+
+    checkInterlocks(readings) {
+        const l = this.limits;
+        if (readings.h2_in_o2 !== null && readings.h2_in_o2 >= l.h2_in_o2_trip) {
+            return { code: 'INTERLOCK_H2_IN_O2', details: { h2_in_o2: readings.h2_in_o2, trip: l.h2_in_o2_trip } };
+        }
+        if (readings.pressure !== null && readings.pressure >= l.pressure_trip) {
+            return { code: 'INTERLOCK_PRESSURE', details: { pressure: readings.pressure, trip: l.pressure_trip } };
+        }
+        if (readings.temperature !== null && readings.temperature >= l.temp_trip) {
+            return { code: 'INTERLOCK_TEMPERATURE', details: { temperature: readings.temperature, trip: l.temp_trip } };
+        }
+        if (readings.voltage !== null && readings.voltage >= l.voltage_trip) {
+            return { code: 'INTERLOCK_VOLTAGE', details: { voltage: readings.voltage, trip: l.voltage_trip } };
+        }
+        return null;
+    }
+
+    action(code, type, details = {}) {
+        return { code, action: type, message: REASONS[code], details };
+    }
+
+    decide(control, current, allowed, actions, now, log = true) {
+        const decision = {
+            allowed: allowed,
+            requested_current: control.optimal_current,
+            command: allowed ? { ...control, optimal_current: current, safety_checked: true } : null,
+            actions: actions,
+            e_stop: this.eStop.latched,
+            timestamp: new Date(now).toISOString()
+        };
+        if (log && actions.length > 0) this.log(decision);
+        return decision;
+    }
+
+    // Called once the command actually reached the plant
+    recordApplied(current, now = Date.now()) {
+        this.lastApplied = { current, time: now };
+    }
+
+    log(decision) {
+        this.decisions.unshift(decision);
+        if (this.decisions.length > this.maxDecisions) this.decisions.pop();
+
+        decision.actions.forEach(action => {
+            const icon = action.action === 'clamp' ? '✂️' : action.action === 'warn' ? '⚠️' : '🚨';
+            console.warn(`${icon} Safety ${action.action}: ${action.code} - ${action.message}`);
+        });
+        eventStream.publish('safety', decision);
+        if (this.historyStore) {
+            try {
+                this.historyStore.append('safety', {
+                    allowed: decision.allowed,
+                    requested_current: decision.requested_current,
+                    applied_current: decision.command ? decision.command.optimal_current : null,
+                    actions: decision.actions.map(action => ({ code: action.code, action: action.action }))
+                });
+            } catch (error) {
+                console.error('❌ Failed to persist safety decision:', error.message);
+            }
+        }
+    }
+
+    // LATCHED EMERGENCY STOP
+    trip(code, source, details = {}) {
+        if (this.eStop.latched) return this.eStop;
+
+        this.eStop = { latched: true, reason: code, source: source, details: details, latched_at: new Date().toISOString() };
+        console.error(`🛑 EMERGENCY STOP latched: ${code} (${source})`);
+        this.sendCommand({
+            command: 'emergency_stop',
+            optimal_current: 0,
+            reason: code,
+            timestamp: this.eStop.latched_at
+        });
+        this.lastApplied = { current: 0, time: Date.now() };
+        if (this.alarmManager) {
+            this.alarmManager.raise(code, {
+                priority: 'critical',
+                message: `Emergency stop: ${REASONS[code]}`,
+                source: 'safety',
+                details: details
+            });
+        } else {
+            eventStream.publish('alarm', {
+                code: code,
+                severity: 'critical',
+                message: `Emergency stop: ${REASONS[code]}`,
+                details: details,
+                timestamp: this.eStop.latched_at
+            });
+        }
+        this.log({
+            allowed: false,
+            requested_current: null,
+            command: null,
+            actions: [this.action(code, 'trip', details)],
+            e_stop: true,
+            timestamp: this.eStop.latched_at
+        });
+        return this.eStop;
+    }
+
+    emergencyStop(source = 'operator') {
+        return this.trip('E_STOP_MANUAL', source);
+    }
+
+    // Reset only with fresh telemetry and every interlock clear
+    reset(operator) {
+        if (!this.eStop.latched) return this.eStop;
+        if (!operator) throw new Error('Emergency stop reset requires an operator name');
+
+        const telemetry = this.telemetryStore ? this.telemetryStore.getSystemState() : null;
+        if (!telemetry || !telemetry.usable) {
+            throw new Error('Cannot reset emergency stop without fresh telemetry');
+        }
+        const trip = this.checkInterlocks(this.readings());
+        if (trip) {
+            throw new Error(`Cannot reset emergency stop: ${trip.code} still active`);
+        }
+
+        console.log(`🔓 Emergency stop reset by ${operator} (was ${this.eStop.reason})`);
+        this.log({
+            allowed: true,
+            requested_current: null,
+            command: null,
+            actions: [{ code: 'E_STOP_RESET', action: 'reset', message: `Reset by ${operator}`, details: { previous: this.eStop.reason } }],
+            e_stop: false,
+            timestamp: new Date().toISOString()
+        });
+        if (this.alarmManager) this.alarmManager.clear(this.eStop.reason);
+        this.eStop = { latched: false, reason: null, source: null, latched_at: null };
+        return this.eStop;
+    }
+
+    // WATCHDOG: interlocks every interval, telemetry loss while the plant follows remote commands
+    startWatchdog(intervalMs = 1000) {
+        if (this.watchdogTimer) return;
+        this.watchdogTimer = setInterval(() => this.checkWatchdog(), intervalMs);
+        this.watchdogTimer.unref();
+    }
+
+    // Interlocks on the latest telemetry, whether or not a controller is issuing commands
+    checkTelemetry(now = Date.now()) {
+        if (this.eStop.latched || !this.telemetryStore) return null;
+        const trip = this.checkInterlocks(this.readings(now));
+        if (trip) this.trip(trip.code, 'interlock', trip.details);
+        return trip;
+    }
+
+    checkWatchdog(now = Date.now()) {
+        if (this.eStop.latched || !this.telemetryStore) return;
+        if (this.checkTelemetry(now)) return;
+        if (!this.lastApplied || this.lastApplied.current === 0) return;
+
+        const telemetry = this.telemetryStore.getSystemState(now);
+        const lastSeen = telemetry.timestamp ? Date.parse(telemetry.timestamp) : this.lastApplied.time;
+        const silentFor = now - Math.max(lastSeen, this.lastApplied.time);
+        if (!telemetry.usable && silentFor > this.limits.watchdog_trip_ms) {
+            this.trip('WATCHDOG_TIMEOUT', 'watchdog', { silent_ms: silentFor, quality: telemetry.quality });
+        }
+    }
+
+    getState() {
+        const telemetry = this.telemetryStore ? this.telemetryStore.getSystemState() : null;
+        return {
+            e_stop: this.eStop,
+            limits: this.limits,
+            last_applied: this.lastApplied,
+            telemetry_quality: telemetry ? telemetry.quality : 'missing',
+            readings: this.readings(),
+            interlocks: telemetry && telemetry.usable ? (this.checkInterlocks(this.readings()) || { code: 'CLEAR' }) : { code: 'UNKNOWN' },
+            recent_decisions: this.decisions
+        };
+    }
+}
+
+SafetySupervisor.REASONS = REASONS;
+
+module.exports = SafetySupervisor;
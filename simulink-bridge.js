@@ -1,10 +1,27 @@
 // simulink-bridge.js - MATLAB BRIDGE ENHANCED
-const mqttClient = require('./mqtt');
+const mqttClient = require('./mqtt-server');
+const TrainingPipeline = require('./training-pipeline');
+const TelemetryStore = require('./telemetry-store');
+const eventStream = require('./event-stream');
+const SafetySupervisor = require('./safety-supervisor');
+const AlarmManager = require('./alarm-manager');
 
 class SimulinkBridge {
     constructor() {
         this.matlabStatus = 'disconnected';
         this.lastPEMData = null;
+        this.telemetryStore = new TelemetryStore();
+        this.trainingPipeline = new TrainingPipeline();
+        this.alarmManager = new AlarmManager({
+            telemetryStore: this.telemetryStore,
+            historyStore: this.trainingPipeline.historyStore
+        });
+        this.safetySupervisor = new SafetySupervisor({
+            telemetryStore: this.telemetryStore,
+            historyStore: this.trainingPipeline.historyStore,
+            alarmManager: this.alarmManager,
+            sendCommand: (command) => mqttClient.sendToMATLAB(command)
+        });
     }
 
     connectToMATLAB() {
@@ -13,12 +30,16 @@ class SimulinkBridge {
         // Listen for PEM data from MATLAB
         mqttClient.onPEMData((data) => {
             this.lastPEMData = data;
+            this.telemetryStore.ingest(data, 'matlab');
             this.matlabStatus = 'connected';
+            // A reading at trip level latches the e-stop even with the control loop stopped
+            this.safetySupervisor.checkTelemetry();
             
             console.log('📊 MATLAB→Web: O₂=' + data.o2_production + 'L/min, Eff=' + data.efficiency + '%');
             
-            // Update frontend via WebSocket or store in database
+            // Push to the dashboard and keep telemetry for model training
             this.broadcastToFrontend(data);
+            this.logTelemetry(data);
         });
         
         // Listen for neural controls to forward to MATLAB
@@ -26,48 +47,51 @@ class SimulinkBridge {
             console.log('🎯 Web→MATLAB: Neural control received');
             this.forwardToMATLAB(control);
         });
+
+        this.safetySupervisor.startWatchdog();
+        this.alarmManager.start();
     }
 
     broadcastToFrontend(data) {
-        // Broadcast to all connected frontend clients
-        if (global.io) {
-            global.io.emit('pem_data', data);
-        }
-        
-        // Update charts
-        if (global.chartManager) {
-            global.chartManager.updateAllCharts(data);
-        }
+        // Server-Sent Events to every connected dashboard
+        eventStream.publish('pem_data', {
+            ...data,
+            data_quality: this.telemetryStore.getSystemState().quality,
+            received_at: new Date().toISOString()
+        });
     }
 
-    forwardToMATLAB(control) {
-        // Enhanced control forwarding with validation
-        const validatedControl = {
-            ...control,
-            validated_at: new Date().toISOString(),
-            safety_checked: this.safetyCheck(control)
-        };
-        
-        mqttClient.sendToMATLAB(validatedControl);
+    logTelemetry(data) {
+        try {
+            this.trainingPipeline.appendRecord('telemetry', data);
+        } catch (error) {
+            console.error('❌ Telemetry logging failed:', error.message);
+        }
     }
 
-    safetyCheck(control) {
-        // Basic safety validation
-        if (control.optimal_current > 200 || control.optimal_current < 100) {
-            console.log('🚨 Safety check failed: Current out of range');
-            return false;
+    forwardToMATLAB(control) {
+        // Only commands the safety supervisor allows (possibly clamped) reach the plant
+        const decision = this.safetySupervisor.evaluate(control);
+        if (!decision.allowed) {
+            console.log('🚨 Control blocked:', decision.actions.map(action => action.code).join(', '));
+            return decision;
         }
-        return true;
+
+        const sent = mqttClient.sendToMATLAB({ ...decision.command, validated_at: decision.timestamp });
+        if (sent) this.safetySupervisor.recordApplied(decision.command.optimal_current);
+        return decision;
     }
 
     getSystemStatus() {
+        const state = this.telemetryStore.getSystemState();
         return {
             matlab: this.matlabStatus,
-            last_update: this.lastPEMData ? this.lastPEMData.timestamp : null,
-            pem_performance: this.lastPEMData ? {
-                o2_production: this.lastPEMData.o2_production,
-                efficiency: this.lastPEMData.efficiency,
-                temperature: this.lastPEMData.current_temp
+            last_update: state.timestamp,
+            data_quality: state.quality,
+            pem_performance: state.timestamp ? {
+                o2_production: state.o2_production,
+                efficiency: state.efficiency,
+                temperature: state.temperature
             } : null
         };
     }
@@ -0,0 +1,262 @@
+// state-estimator.js - ONLINE STATE ESTIMATION (KALMAN / EXTENDED KALMAN / MOVING-HORIZON) FOR OFFSET-FREE MPC
+const PEMStackModel = require('./pem-model');
+const QPSolver = require('./qp-solver');
+const config = require('./config');
+
+// Augmented state z = [temperature (°C), efficiency (%), d_T (K/h), d_η (%)]
+// d_T is unmodelled heat (fouled exchanger, coolant drift), d_η a persistent efficiency offset
+// (ageing, sensor bias); both are random walks, so the MPC can cancel them without steady-state offset
+const NZ = 4;
+const MEASURED = ['temperature', 'efficiency'];
+
+// SMALL DENSE MATRIX HELPERS
+const multiply = (A, B) => A.map(row => B[0].map((_, j) => row.reduce((sum, a, k) => sum + a * B[k][j], 0)));
+const transpose = A => A[0].map((_, j) => A.map(row => row[j]));
+const add = (A, B) => A.map((row, i) => row.map((a, j) => a + B[i][j]));
+const identity = n => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+const diag = values => values.map((value, i) => values.map((_, j) => (i === j ? value : 0)));
+
+// Gauss-Jordan with partial pivoting
+function invert(M) {
+    const n = M.length;
+    const a = M.map((row, i) => [...row, ...identity(n)[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) throw new Error('Singular matrix in state estimator');
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        const scale = a[col][col];
+        for (let j = 0; j < 2 * n; j++) a[col][j] /= scale;
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const factor = a[r][col];
+            for (let j = 0; j < 2 * n; j++) a[r][j] -= factor * a[col][j];
+        }
+    }
+    return a.map(row => row.slice(n));
+}
+
+class StateEstimator {
+    constructor(options = {}) {
+        this.pemModel = options.pemModel || new PEMStackModel();
+        this.params = {
+            measurement_noise: [0.25, 0.25],            // variance: ±0.5 °C sensor, ±0.5 % efficiency
+            process_noise: [0.002, 0.02, 0.5, 5e-4],     // variance per second: model error, disturbance drift
+            initial_covariance: [1, 1, 25, 4],
+            lower: [-20, 0, -60, -30],                  // physical bounds, enforced by the MHE
+            upper: [120, 100, 60, 30],
+            max_gap_seconds: 600,                       // re-initialize after a longer telemetry gap
+            nominal_state: [70, 75],                    // linearization point of the plain Kalman filter
+            nominal_current: 150,
+            ...options.params
+        };
+        this.mheWindow = options.mheWindow ?? config.estimation.mheWindow;   // samples in the MHE horizon
+        this.qpSolver = new QPSolver({ epsAbs: 1e-6, epsRel: 1e-6 });
+        this.setMethod(options.method ?? config.estimation.method);
+        this.reset();
+    }
+
+    // kf: fixed linearization | ekf: relinearized every sample | mhe: EKF arrival cost + bounded window QP
+    setMethod(method) {
+        if (!StateEstimator.METHODS.includes(method)) {
+            throw new Error(`Unknown estimator: ${method} (expected one of ${StateEstimator.METHODS.join(', ')})`);
+        }
+        if (method !== this.method && this.method) {
+            console.log(`🔀 State estimator ${this.method} → ${method}`);
+        }
+        this.method = method;
+        return this.method;
+    }
+
+    reset() {
+        this.z = null;
+        this.P = null;
+        this.window = [];
+        this.innovation = [null, null];
+        this.updatedAt = null;
+        this.samples = 0;
+        this.linearCache = new Map();
+    }
+
+    // One telemetry sample: predict over the elapsed time with the applied current, then correct
+    update({ temperature = null, efficiency = null, current = 0, ambient, time = Date.now() } = {}) {
+        const t = new Date(time).getTime();
+        const y = [temperature, efficiency];
+        const mask = y.map(value => value !== null && Number.isFinite(value));
+        ambient = ambient ?? this.pemModel.params.ambient_temperature;
+
+        if (this.z === null || t - this.updatedAt > this.params.max_gap_seconds * 1000) {
+            // Nothing to start from without a temperature reading
+            if (!mask[0]) return this.getEstimate();
+            this.initialize(y, mask, current, t);
+            return this.getEstimate();
+        }
+        // Same telemetry sample as last time: already fused
+        if (t <= this.updatedAt) return this.getEstimate();
+
+        const dt = (t - this.updatedAt) / 1000;
+        const { z, F } = this.predict(this.z, current, dt, ambient);
+        this.z = z;
+        this.P = add(multiply(multiply(F, this.P), transpose(F)), diag(this.params.process_noise.map(q => q * dt)));
+        this.correct(y, mask);
+
+        this.window.push({ z: this.z.slice(), P: this.P.map(row => row.slice()), y, mask, current, dt, ambient });
+        if (this.window.length > this.mheWindow + 1) this.window.shift();
+        if (this.method === 'mhe' && this.window.length >= 3) {
+            try {
+                this.z = this.solveMHE();
+                this.window[this.window.length - 1].z = this.z.slice();
+            } catch (error) {
+                console.warn('⚠️ MHE failed, keeping the EKF estimate:', error.message);
+            }
+        }
+
+        this.updatedAt = t;
+        this.samples++;
+        return this.getEstimate();
+    }
+
+    initialize(y, mask, current, t) {
+        const temperature = y[0];
+        const efficiency = mask[1] ? y[1] : this.pemModel.efficiency(current, temperature);
+        this.z = [temperature, efficiency, 0, 0];
+        this.P = diag(this.params.initial_covariance);
+        this.window = [{ z: this.z.slice(), P: this.P.map(row => row.slice()), y, mask, current, dt: 0, ambient: null }];
+        this.innovation = [null, null];
+        this.updatedAt = t;
+        this.samples = 1;
+    }
+
+    // PROCESS MODEL: physics step plus the integrated disturbances, and its Jacobian
+    predict(z, current, dt, ambient) {
+        const linear = this.method === 'kf'
+            ? this.nominalModel(dt, ambient)
+            : this.pemModel.linearize([z[0], z[1]], current, dt, ambient);
+        const next = this.method === 'kf'
+            ? [0, 1].map(i => linear.A[i][0] * z[0] + linear.A[i][1] * z[1] + linear.B[i][0] * current + linear.offset[i])
+            : linear.operatingPoint.next;
+        const F = [
+            [linear.A[0][0], linear.A[0][1], dt / 3600, 0],
+            [linear.A[1][0], linear.A[1][1], 0, 1],
+            [0, 0, 1, 0],
+            [0, 0, 0, 1]
+        ];
+        return { z: [next[0] + z[2] * dt / 3600, next[1] + z[3], z[2], z[3]], F };
+    }
+
+    // Plain Kalman filter: one linearization at the nominal point per sample period
+    nominalModel(dt, ambient) {
+        const key = `${dt.toFixed(3)}:${ambient}`;
+        if (!this.linearCache.has(key)) {
+            if (this.linearCache.size > 50) this.linearCache.clear();
+            this.linearCache.set(key, this.pemModel.linearize(this.params.nominal_state, this.params.nominal_current, dt, ambient));
+        }
+        return this.linearCache.get(key);
+    }
+
+    // MEASUREMENT UPDATE on the signals that arrived with good quality (Joseph form)
+    correct(y, mask) {
+        const rows = MEASURED.map((_, i) => i).filter(i => mask[i]);
+        this.innovation = [null, null];
+        if (rows.length === 0) return;
+
+        const H = rows.map(i => identity(NZ)[i]);
+        const R = diag(rows.map(i => this.params.measurement_noise[i]));
+        const PHt = multiply(this.P, transpose(H));
+        const S = add(multiply(H, PHt), R);
+        const K = multiply(PHt, invert(S));
+        const innovation = rows.map(i => y[i] - this.z[i]);
+        rows.forEach((i, r) => { this.innovation[i] = innovation[r]; });
+
+        this.z = this.z.map((value, i) => value + K[i].reduce((sum, k, r) => sum + k * innovation[r], 0));
+        const IKH = add(identity(NZ), multiply(K, H).map(row => row.map(value => -value)));
+        this.P = add(multiply(multiply(IKH, this.P), transpose(IKH)), multiply(multiply(K, R), transpose(K)));
+        this.z = this.z.map((value, i) => Math.min(this.params.upper[i], Math.max(this.params.lower[i], value)));
+    }
+
+    // MOVING HORIZON: least squares over the window, linearized along the EKF estimates, with bounds
+    // min |z_0 - ẑ_0|²_P0⁻¹ + Σ |y_k - H z_k|²_R⁻¹ + Σ |z_k+1 - F_k z_k - c_k|²_Q⁻¹   s.t.  lower ≤ z ≤ upper
+    solveMHE() {
+        const window = this.window;
+        const M = window.length;
+        const nv = M * NZ;
+        const index = (j, i) => j * NZ + i;
+        const P = Array(nv).fill().map(() => Array(nv).fill(0));
+        const q = Array(nv).fill(0);
+        // Residual g·v - h with weight w adds w (g·v - h)² to the cost (0.5 v'Pv + q'v form)
+        const addResidual = (g, h, w) => {
+            g.forEach(([a, ga]) => {
+                g.forEach(([b, gb]) => { P[a][b] += 2 * w * ga * gb; });
+                q[a] -= 2 * w * h * ga;
+            });
+        };
+
+        // Arrival cost from the EKF at the start of the window
+        const arrival = invert(window[0].P);
+        for (let i = 0; i < NZ; i++) {
+            for (let k = 0; k < NZ; k++) {
+                P[index(0, i)][index(0, k)] += 2 * arrival[i][k];
+                q[index(0, i)] -= 2 * arrival[i][k] * window[0].z[k];
+            }
+        }
+
+        for (let j = 1; j < M; j++) {
+            const sample = window[j];
+            MEASURED.forEach((_, i) => {
+                if (sample.mask[i]) addResidual([[index(j, i), 1]], sample.y[i], 1 / this.params.measurement_noise[i]);
+            });
+            // Dynamics from node j-1, linearized at its estimate
+            const base = window[j - 1].z;
+            const { z: predicted, F } = this.predict(base, sample.current, sample.dt, sample.ambient);
+            for (let i = 0; i < NZ; i++) {
+                const c = predicted[i] - F[i].reduce((sum, value, k) => sum + value * base[k], 0);
+                const g = [[index(j, i), 1]];
+                F[i].forEach((value, k) => {
+                    if (value !== 0) g.push([index(j - 1, k), -value]);
+                });
+                addResidual(g, c, 1 / (this.params.process_noise[i] * sample.dt));
+            }
+        }
+
+        const A = identity(nv);
+        const l = Array.from({ length: nv }, (_, v) => this.params.lower[v % NZ]);
+        const u = Array.from({ length: nv }, (_, v) => this.params.upper[v % NZ]);
+        const warm = window.flatMap(sample => sample.z);
+        const result = this.qpSolver.solve({ P, q, A, l, u }, { x: warm });
+        if (result.status === 'primal_infeasible') throw new Error('window QP infeasible');
+        return result.x.slice((M - 1) * NZ, M * NZ).map((value, i) => Math.min(this.params.upper[i], Math.max(this.params.lower[i], value)));
+    }
+
+    getEstimate() {
+        if (this.z === null) {
+            return { available: false, method: this.method, samples: 0 };
+        }
+        return {
+            available: true,
+            method: this.method,
+            state: [this.z[0], this.z[1]],
+            disturbance: [this.z[2], this.z[3]],
+            covariance: this.P.map(row => row.slice()),
+            std: {
+                temperature: Math.sqrt(this.P[0][0]),
+                efficiency: Math.sqrt(this.P[1][1]),
+                heat_disturbance: Math.sqrt(this.P[2][2]),
+                efficiency_offset: Math.sqrt(this.P[3][3])
+            },
+            temperature: this.z[0],
+            efficiency: this.z[1],
+            heat_disturbance: this.z[2],            // K/h
+            efficiency_offset: this.z[3],           // %
+            innovation: { temperature: this.innovation[0], efficiency: this.innovation[1] },
+            samples: this.samples,
+            window: this.window.length,
+            updated_at: new Date(this.updatedAt).toISOString()
+        };
+    }
+}
+
+StateEstimator.METHODS = ['kf', 'ekf', 'mhe'];
+
+module.exports = StateEstimator;
@@ -0,0 +1,165 @@
+// supply-forecaster.js - O₂ SUPPLY ADEQUACY FORECAST (PLANNED PRODUCTION + STORAGE VS KNH DEMAND)
+
+class SupplyForecaster {
+    constructor(neuralMPC, options = {}) {
+        this.neuralMPC = neuralMPC;
+        this.scheduler = options.scheduler || neuralMPC.mpcAlgorithms.economicScheduler;
+        this.cylinder = {
+            volume_m3: 6.8,                     // J-size cylinder
+            lead_time_hours: 4,                 // supplier delivery time
+            ...options.cylinder
+        };
+        this.minHours = 24;
+        this.maxHours = 72;
+    }
+
+    forecast({ hours = 24, storageLevel, start = new Date() } = {}) {
+        if (!(hours >= this.minHours && hours <= this.maxHours)) {
+            throw new Error(`Forecast horizon must be between ${this.minHours} and ${this.maxHours} hours`);
+        }
+        const { capacity, min_reserve: reserve } = this.scheduler.storage;
+        // Requested level, else the tank's measured or dead-reckoned level
+        const tank = this.scheduler.storageTank;
+        const initialLevel = Math.min(capacity, storageLevel ?? tank.level);
+        const levelSource = storageLevel !== undefined ? 'request' : tank.levelSource;
+
+        // Ward, theater and emergency demand with its uncertainty band
+        const demand = this.neuralMPC.demandModel.forecast(start, hours);
+
+        // Controller plan: the economic layer's schedule against the same demand it is checked against
+        const plan = this.scheduler.optimize({
+            demandSeries: demand.map(d => d.total),
+            start: start,
+            storageLevel: initialLevel,
+            horizonHours: hours,
+            outageWindows: this.neuralMPC.outageManager.windows()   // pre-fill ahead of load-shedding
+        });
+
+        const production = plan.hourly_plan.map(step => step.o2_production);
+
+        const projection = this.project(initialLevel, production, demand.map(d => d.total));
+        const worstCase = this.project(initialLevel, production, demand.map(d => d.upper));
+        const hourly = plan.hourly_plan.map((step, h) => ({
+            t: demand[h].t,
+            hour: step.hour,
+            planned_current: step.current,
+            production: production[h],
+            demand: demand[h],
+            storage_level: projection.levels[h],
+            storage_level_worst_case: worstCase.levels[h],
+            status: projection.levels[h] <= 0 ? 'deficit' : projection.levels[h] < reserve ? 'below_reserve' : 'ok'
+        }));
+
+        const shortfall = this.findShortfall(hourly, reserve);
+        const worstBreach = worstCase.levels.findIndex(level => level < reserve);
+        const recommendation = shortfall
+            ? this.recommend(hourly, initialLevel, reserve, shortfall)
+            : { action: 'none', message: 'Planned production and storage cover forecast demand' };
+
+        const totalDemand = demand.reduce((sum, d) => sum + d.total, 0);
+        const totalProduction = production.reduce((sum, value) => sum + value, 0);
+        if (shortfall) {
+            console.warn(`⚠️ O₂ shortfall forecast: reserve breached in ${shortfall.hours_to_reserve_breach}h, ${recommendation.action}`);
+        }
+
+        return {
+            generated_at: new Date().toISOString(),
+            horizon_hours: hours,
+            storage: { capacity, min_reserve: reserve, initial_level: initialLevel, initial_level_source: levelSource },
+            hourly: hourly,
+            totals: {
+                demand: totalDemand,
+                production: totalProduction,
+                vented: projection.vented,
+                coverage: totalDemand > 0 ? totalProduction / totalDemand : 1
+            },
+            shortfall: shortfall,
+            worst_case_hours_to_reserve_breach: worstBreach < 0 ? null : worstBreach + 1,
+            recommendation: recommendation
+        };
+    }
+
+    // Storage balance without cylinder top-ups, so the deficit stays visible
+    project(initialLevel, production, demand) {
+        const capacity = this.scheduler.storage.capacity;
+        const levels = [];
+        let level = initialLevel;
+        let vented = 0;
+        for (let h = 0; h < production.length; h++) {
+            level += production[h] - demand[h];
+            if (level > capacity) {
+                vented += level - capacity;
+                level = capacity;
+            }
+            levels.push(level);
+        }
+        return { levels, vented };
+    }
+
+    findShortfall(hourly, reserve) {
+        const breach = hourly.findIndex(step => step.storage_level < reserve);
+        if (breach < 0) return null;
+        const deficit = hourly.findIndex(step => step.storage_level <= 0);
+        const lowest = Math.min(...hourly.map(step => step.storage_level));
+
+        return {
+            reserve_breach_at: hourly[breach].t,
+            hours_to_reserve_breach: breach + 1,
+            deficit_at: deficit < 0 ? null : hourly[deficit].t,
+            hours_to_deficit: deficit < 0 ? null : deficit + 1,
+            lowest_level: lowest,
+            volume_below_reserve: reserve - lowest
+        };
+    }
+
+    // First run the plant at full current from now, then cover the rest with cylinders
+    recommend(hourly, initialLevel, reserve, shortfall) {
+        const maxRate = this.scheduler.o2Rate(this.scheduler.plant.current_max);
+        const demand = hourly.map(step => step.demand.total);
+        const production = hourly.map(step => step.production);
+
+        let hoursAtMax = 0;
+        let projection = this.project(initialLevel, production, demand);
+        while (hoursAtMax < hourly.length && Math.min(...projection.levels) < reserve) {
+            production[hoursAtMax] = maxRate;
+            hoursAtMax++;
+            projection = this.project(initialLevel, production, demand);
+        }
+
+        const extraProduction = production.reduce((sum, value, h) => sum + value - hourly[h].production, 0);
+        const remaining = Math.max(0, reserve - Math.min(...projection.levels));
+        const increase = {
+            current: this.scheduler.plant.current_max,
+            hours: hoursAtMax,
+            additional_o2: extraProduction,
+            additional_energy_kwh: hoursAtMax * this.scheduler.powerKW(this.scheduler.plant.current_max) -
+                hourly.slice(0, hoursAtMax).reduce((sum, step) => sum + this.scheduler.powerKW(step.planned_current), 0)
+        };
+
+        if (remaining === 0) {
+            return {
+                action: 'increase_production',
+                increase: increase,
+                message: `Run at ${increase.current} A for the next ${hoursAtMax} h (+${extraProduction.toFixed(0)} m³ O₂)`
+            };
+        }
+
+        const cylinders = Math.ceil(remaining / this.cylinder.volume_m3);
+        const orderBy = new Date(Date.parse(shortfall.reserve_breach_at) - this.cylinder.lead_time_hours * 3600 * 1000);
+        return {
+            action: 'cylinder_backup',
+            increase: increase,
+            cylinders: {
+                count: cylinders,
+                volume_m3: remaining,
+                cost: remaining * this.scheduler.backupCostPerM3,
+                order_by: orderBy.toISOString(),
+                overdue: orderBy.getTime() < Date.now()
+            },
+            message: `Production at ${increase.current} A cannot cover demand: order ${cylinders} cylinders ` +
+                `(${remaining.toFixed(0)} m³) by ${orderBy.toISOString()}`
+        };
+    }
+}
+
+module.exports = SupplyForecaster;
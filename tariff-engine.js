@@ -0,0 +1,347 @@
+// tariff-engine.js - VERSIONED ELECTRICITY TARIFFS (TOU BANDS, CALENDARS, LEVIES, MONTHLY BILL)
+const fs = require('fs');
+const config = require('./config');
+
+const LEVY_TYPES = ['per_kwh', 'percent_of_energy'];
+const DAY_TYPES = ['weekday', 'weekend', 'holiday'];
+
+// KPLC commercial time-of-use schedule; calendars map local hours [from, to) to bands
+const DEFAULT_TARIFFS = [
+    {
+        id: 'kplc-commercial-tou',
+        version: '2024-04',
+        name: 'KPLC Commercial Time-of-Use',
+        effective_from: '2024-04-01',
+        timezone: 'Africa/Nairobi',
+        currency: 'KES',
+        fixed_charge: 1250,                 // KES/month
+        demand_charge: 1250,                // KES/kVA/month on the month's peak demand
+        demand_window_minutes: 30,          // demand is the highest 30 min average
+        bands: {
+            off_peak: { rate: 12.50, label: 'Off-Peak' },   // KES/kWh
+            shoulder: { rate: 20.15, label: 'Shoulder' },
+            on_peak: { rate: 45.60, label: 'On-Peak' }
+        },
+        calendars: {
+            weekday: [
+                { from: 0, to: 6, band: 'off_peak' },
+                { from: 6, to: 10, band: 'shoulder' },
+                { from: 10, to: 18, band: 'on_peak' },
+                { from: 18, to: 22, band: 'shoulder' },
+                { from: 22, to: 24, band: 'off_peak' }
+            ],
+            weekend: [
+                { from: 0, to: 6, band: 'off_peak' },
+                { from: 6, to: 22, band: 'shoulder' },
+                { from: 22, to: 24, band: 'off_peak' }
+            ],
+            holiday: [
+                { from: 0, to: 24, band: 'off_peak' }
+            ]
+        },
+        // MM-DD recurs every year, YYYY-MM-DD is one date (Easter; Eid dates are gazetted each year)
+        holidays: [
+            '01-01', '05-01', '06-01', '10-10', '10-20', '12-12', '12-25', '12-26',
+            '2025-04-18', '2025-04-21', '2026-04-03', '2026-04-06'
+        ],
+        levies: [
+            { id: 'fuel_energy_cost', label: 'Fuel Energy Cost', type: 'per_kwh', rate: 3.85 },
+            { id: 'forex', label: 'Foreign Exchange Fluctuation', type: 'per_kwh', rate: 0.92 },
+            { id: 'inflation', label: 'Inflation Adjustment', type: 'per_kwh', rate: 0.42 },
+            { id: 'erc_levy', label: 'ERC Levy', type: 'per_kwh', rate: 0.08 },
+            { id: 'rep_levy', label: 'Rural Electrification Programme Levy', type: 'percent_of_energy', rate: 5 }
+        ],
+        vat_percent: 16
+    }
+];
+
+function validateTariff(tariff) {
+    const name = tariff.id ? `Tariff ${tariff.id}` : 'Tariff';
+    if (!tariff.id) throw new Error('Tariff needs an id');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(tariff.effective_from || '')) throw new Error(`${name}: effective_from must be YYYY-MM-DD`);
+    if (!tariff.bands || Object.keys(tariff.bands).length === 0) throw new Error(`${name}: needs at least one band`);
+    Object.entries(tariff.bands).forEach(([band, spec]) => {
+        if (!(spec.rate >= 0)) throw new Error(`${name}: band ${band} needs a non-negative rate`);
+    });
+    if (!tariff.calendars || !tariff.calendars.weekday) throw new Error(`${name}: needs at least a weekday calendar`);
+    Object.entries(tariff.calendars).forEach(([dayType, periods]) => {
+        if (!DAY_TYPES.includes(dayType)) throw new Error(`${name}: calendar must be one of ${DAY_TYPES.join(', ')}`);
+        // Periods must tile the day without gaps
+        let hour = 0;
+        periods.forEach(period => {
+            if (period.from !== hour || !(period.to > period.from)) throw new Error(`${name}: ${dayType} calendar has a gap or overlap at ${hour}h`);
+            if (!tariff.bands[period.band]) throw new Error(`${name}: ${dayType} calendar uses unknown band ${period.band}`);
+            hour = period.to;
+        });
+        if (hour !== 24) throw new Error(`${name}: ${dayType} calendar must end at 24h`);
+    });
+    (tariff.levies || []).forEach(levy => {
+        if (!LEVY_TYPES.includes(levy.type)) throw new Error(`${name}: levy ${levy.id} type must be one of ${LEVY_TYPES.join(', ')}`);
+        if (typeof levy.rate !== 'number') throw new Error(`${name}: levy ${levy.id} needs a numeric rate`);
+    });
+    return {
+        version: tariff.effective_from,
+        timezone: 'Africa/Nairobi',
+        currency: 'KES',
+        fixed_charge: 0,
+        demand_charge: 0,
+        demand_window_minutes: 30,
+        holidays: [],
+        levies: [],
+        vat_percent: 0,
+        ...tariff
+    };
+}
+
+// Local calendar fields of an instant in the site timezone
+const formatters = new Map();
+function localParts(time, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+            timeZone, hourCycle: 'h23', weekday: 'short',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    const parts = {};
+    formatters.get(timeZone).formatToParts(time).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        month: `${parts.year}-${parts.month}`,
+        hour: Number(parts.hour) + Number(parts.minute) / 60 + Number(parts.second) / 3600,
+        weekday: parts.weekday,
+        // Wall-clock time read as UTC, to recover the zone offset
+        wallClockMs: Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+            Number(parts.hour), Number(parts.minute), Number(parts.second))
+    };
+}
+
+// Hour of day (0-23) at the site: demand profiles, climatology and plans are all indexed by it
+function localHour(time = new Date(), timeZone = config.site.timezone) {
+    return Math.floor(localParts(time, timeZone).hour);
+}
+
+// Instant of local midnight on a YYYY-MM-DD date in the site timezone
+function zonedMidnight(date, timeZone) {
+    const guess = Date.parse(`${date}T00:00:00Z`);
+    const offset = localParts(new Date(guess), timeZone).wallClockMs - guess;
+    return new Date(guess - offset);
+}
+
+class TariffEngine {
+    constructor(options = {}) {
+        this.tariffFile = options.tariffFile ?? config.tariffs.file;
+        this.tariffs = (options.tariffs || this.loadTariffs()).map(validateTariff);
+        this.sortTariffs();
+    }
+
+    // Defaults plus versions from TARIFF_FILE (same id + effective_from replaces a version)
+    loadTariffs() {
+        if (!this.tariffFile) return DEFAULT_TARIFFS;
+        try {
+            const loaded = JSON.parse(fs.readFileSync(this.tariffFile, 'utf8'));
+            const versions = new Map(DEFAULT_TARIFFS.map(tariff => [`${tariff.id}@${tariff.effective_from}`, tariff]));
+            loaded.forEach(tariff => versions.set(`${tariff.id}@${tariff.effective_from}`, tariff));
+            console.log(`💡 Loaded ${loaded.length} tariff versions from ${this.tariffFile}`);
+            return Array.from(versions.values());
+        } catch (error) {
+            console.warn(`⚠️ Tariff file ${this.tariffFile} unreadable (${error.message}), using KPLC defaults`);
+            return DEFAULT_TARIFFS;
+        }
+    }
+
+    sortTariffs() {
+        this.tariffs.sort((a, b) => a.effective_from.localeCompare(b.effective_from));
+    }
+
+    // New version takes effect from its effective_from date; written back to the tariff file when one is set
+    addTariff(tariff) {
+        const validated = validateTariff(tariff);
+        this.tariffs = this.tariffs.filter(t => !(t.id === validated.id && t.effective_from === validated.effective_from));
+        this.tariffs.push(validated);
+        this.sortTariffs();
+        if (this.tariffFile) {
+            fs.writeFileSync(this.tariffFile, JSON.stringify(this.tariffs, null, 2));
+        }
+        console.log(`💡 Tariff ${validated.id} version ${validated.version} effective ${validated.effective_from}`);
+        return { tariff: validated, persisted: Boolean(this.tariffFile) };
+    }
+
+    // Latest version in force on the local date of `time`
+    tariffAt(time = new Date(), id = null) {
+        const candidates = this.tariffs.filter(tariff => !id || tariff.id === id);
+        if (candidates.length === 0) throw new Error(`Unknown tariff: ${id}`);
+        let active = null;
+        candidates.forEach(tariff => {
+            if (tariff.effective_from <= localParts(time, tariff.timezone).date) active = tariff;
+        });
+        if (!active) throw new Error(`No tariff in force on ${time.toISOString()}`);
+        return active;
+    }
+
+    dayType(tariff, parts) {
+        const isHoliday = tariff.holidays.includes(parts.date) || tariff.holidays.includes(parts.date.slice(5));
+        if (isHoliday && tariff.calendars.holiday) return 'holiday';
+        if ((parts.weekday === 'Sat' || parts.weekday === 'Sun') && tariff.calendars.weekend) return 'weekend';
+        return 'weekday';
+    }
+
+    // All-in marginal price of one more kWh at `time`: band rate + levies, with VAT
+    priceAt(time = new Date()) {
+        const tariff = this.tariffAt(time);
+        const parts = localParts(time, tariff.timezone);
+        const dayType = this.dayType(tariff, parts);
+        const period = tariff.calendars[dayType].find(p => parts.hour >= p.from && parts.hour < p.to);
+        const band = tariff.bands[period.band];
+
+        const levyRate = tariff.levies.reduce((sum, levy) =>
+            sum + (levy.type === 'per_kwh' ? levy.rate : band.rate * levy.rate / 100), 0);
+        const vatFactor = 1 + tariff.vat_percent / 100;
+
+        return {
+            time: time.toISOString(),
+            tariff_id: tariff.id,
+            version: tariff.version,
+            day_type: dayType,
+            local_hour: Math.floor(parts.hour),
+            band: period.band,
+            label: band.label || period.band,
+            energy_rate: band.rate,
+            levy_rate: levyRate,
+            vat_percent: tariff.vat_percent,
+            rate: (band.rate + levyRate) * vatFactor
+        };
+    }
+
+    // End of the TOU period `time` falls in (ms): band, day type and tariff version only change there
+    periodEnd(time) {
+        const tariff = this.tariffAt(time);
+        const parts = localParts(time, tariff.timezone);
+        const period = tariff.calendars[this.dayType(tariff, parts)].find(p => parts.hour >= p.from && parts.hour < p.to);
+        return Math.floor(time.getTime() / 1000) * 1000 + Math.round((period.to - parts.hour) * 3600) * 1000;
+    }
+
+    // Hourly prices from `start`, e.g. for the economic layer's horizon
+    schedule(start = new Date(), hours = 24) {
+        const prices = [];
+        for (let h = 0; h < hours; h++) {
+            prices.push(this.priceAt(new Date(start.getTime() + h * 3600 * 1000)));
+        }
+        return prices;
+    }
+
+    // Daily share of the monthly demand charge for a given peak (KES/day, with VAT)
+    demandChargePerDay(peakKVA, time = new Date()) {
+        const tariff = this.tariffAt(time);
+        const { month } = localParts(time, tariff.timezone);
+        const [year, monthIndex] = month.split('-').map(Number);
+        const days = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+        return tariff.demand_charge * peakKVA * (1 + tariff.vat_percent / 100) / days;
+    }
+
+    monthBounds(month, timeZone) {
+        if (!/^\d{4}-\d{2}$/.test(month)) throw new Error('Billing month must be YYYY-MM');
+        const [year, monthIndex] = month.split('-').map(Number);
+        const next = monthIndex === 12 ? `${year + 1}-01` : `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+        return { start: zonedMidnight(`${month}-01`, timeZone), end: zonedMidnight(`${next}-01`, timeZone) };
+    }
+
+    // MONTHLY BILL from metered power: readings [{ time, power_kw, power_factor? }], each held until the next
+    bill(readings, { month, powerFactor = 0.95, maxGapMinutes = 60 } = {}) {
+        if (!Array.isArray(readings) || readings.length < 2) throw new Error('Bill needs at least two metered power readings');
+        const rows = readings.map((reading, i) => {
+            const time = new Date(reading.time);
+            if (Number.isNaN(time.getTime())) throw new Error(`Reading ${i + 1}: invalid time`);
+            if (!(reading.power_kw >= 0)) throw new Error(`Reading ${i + 1}: power_kw must be a non-negative number`);
+            return { time, power_kw: reading.power_kw, power_factor: reading.power_factor ?? powerFactor };
+        }).sort((a, b) => a.time - b.time);
+
+        const billingMonth = month || localParts(rows[0].time, this.tariffAt(rows[0].time).timezone).month;
+        const { start, end } = this.monthBounds(billingMonth, this.tariffAt(rows[0].time).timezone);
+        const tariff = this.tariffAt(start);
+        const maxGapMs = maxGapMinutes * 60 * 1000;
+
+        const bands = {};
+        const levies = {};
+        const demandWindows = new Map();
+        const windowMs = tariff.demand_window_minutes * 60 * 1000;
+        let energyCharge = 0;
+        let unmeteredHours = 0;
+        let meteredHours = 0;
+
+        rows.forEach((row, i) => {
+            const next = rows[i + 1];
+            if (!next || row.time >= end || next.time <= start) return;
+            const from = Math.max(row.time.getTime(), start.getTime());
+            const to = Math.min(next.time.getTime(), end.getTime());
+            const heldMs = Math.min(to - from, maxGapMs);
+            unmeteredHours += (to - from - heldMs) / 3600000;
+            meteredHours += heldMs / 3600000;
+            if (heldMs <= 0) return;
+
+            // A reading held across a band change is priced piecewise, at each band's rate
+            for (let t = from; t < from + heldMs;) {
+                const sliceEnd = Math.min(this.periodEnd(new Date(t)), from + heldMs);
+                const price = this.priceAt(new Date(t));
+                const priced = this.tariffAt(new Date(t));
+                const kwh = row.power_kw * (sliceEnd - t) / 3600000;
+                const band = bands[price.band] || (bands[price.band] = { label: price.label, kwh: 0, charge: 0 });
+                band.kwh += kwh;
+                band.charge += kwh * price.energy_rate;
+                energyCharge += kwh * price.energy_rate;
+                priced.levies.forEach(levy => {
+                    const amount = levy.type === 'per_kwh' ? kwh * levy.rate : kwh * price.energy_rate * levy.rate / 100;
+                    const line = levies[levy.id] || (levies[levy.id] = { label: levy.label || levy.id, amount: 0 });
+                    line.amount += amount;
+                });
+                t = sliceEnd;
+            }
+
+            // kVA energy per demand window (a reading may span several windows)
+            for (let t = from; t < from + heldMs;) {
+                const windowStart = Math.floor(t / windowMs) * windowMs;
+                const slice = Math.min(windowStart + windowMs, from + heldMs) - t;
+                demandWindows.set(windowStart, (demandWindows.get(windowStart) || 0) + row.power_kw / row.power_factor * slice);
+                t += slice;
+            }
+        });
+        if (meteredHours === 0) throw new Error(`No metered power in ${billingMonth}`);
+
+        const peakKVA = Math.max(0, ...Array.from(demandWindows.values()).map(kvaMs => kvaMs / windowMs));
+        const energyKWh = Object.values(bands).reduce((sum, band) => sum + band.kwh, 0);
+        const levyTotal = Object.values(levies).reduce((sum, levy) => sum + levy.amount, 0);
+        const demandCharge = tariff.demand_charge * peakKVA;
+        const subtotal = tariff.fixed_charge + energyCharge + levyTotal + demandCharge;
+        const vat = subtotal * tariff.vat_percent / 100;
+
+        return {
+            month: billingMonth,
+            tariff_id: tariff.id,
+            version: tariff.version,
+            currency: tariff.currency,
+            period: { start: start.toISOString(), end: end.toISOString() },
+            metered_hours: meteredHours,
+            unmetered_hours: unmeteredHours,
+            energy_kwh: energyKWh,
+            peak_kva: peakKVA,
+            lines: {
+                fixed_charge: tariff.fixed_charge,
+                energy: bands,
+                energy_charge: energyCharge,
+                levies: levies,
+                demand_charge: demandCharge,
+                subtotal: subtotal,
+                vat: vat
+            },
+            total: subtotal + vat,
+            average_cost_per_kwh: energyKWh > 0 ? (subtotal + vat) / energyKWh : 0
+        };
+    }
+}
+
+TariffEngine.DEFAULT_TARIFFS = DEFAULT_TARIFFS;
+TariffEngine.localParts = localParts;
+TariffEngine.localHour = localHour;
+
+module.exports = TariffEngine;
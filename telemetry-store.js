@@ -0,0 +1,132 @@
+// telemetry-store.js - LIVE PEM TELEMETRY (LATEST VALUES, RING BUFFER, DATA QUALITY)
+const config = require('./config');
+
+// Payload field -> signal name, with the plausible range of each signal
+const SIGNALS = {
+    temperature:   { fields: ['current_temp', 'temperature'], min: -20, max: 120 },  // °C
+    efficiency:    { fields: ['efficiency'], min: 0, max: 100 },                     // %
+    current:       { fields: ['current', 'stack_current'], min: 0, max: 250 },       // A
+    voltage:       { fields: ['voltage', 'stack_voltage'], min: 0, max: 100 },       // V
+    power:         { fields: ['power'], min: 0, max: 50 },                           // kW
+    o2_production: { fields: ['o2_production'], min: 0, max: 100 },                  // L/min
+    h2_production: { fields: ['h2_production'], min: 0, max: 200 },                 // L/min
+    h2_in_o2:      { fields: ['h2_in_o2', 'h2_o2_concentration'], min: 0, max: 100 }, // vol-%
+    pressure:      { fields: ['pressure', 'stack_pressure'], min: 0, max: 100 },      // bar
+    tank_level:    { fields: ['tank_level', 'o2_storage_level'], min: 0, max: 10000 }, // m³ O₂ (STP)
+    tank_pressure: { fields: ['tank_pressure'], min: 0, max: 100 },                  // bar
+    grid_available: { fields: ['grid_available', 'mains_available'], min: 0, max: 1 } // 1 mains up, 0 outage
+};
+
+// Signals the MPC needs for its initial state
+const CONTROL_SIGNALS = ['temperature', 'efficiency', 'current'];
+
+class TelemetryStore {
+    constructor(options = {}) {
+        this.staleAfterMs = options.staleAfterMs ?? config.telemetry.staleAfterMs;
+        this.bufferSize = options.bufferSize ?? config.telemetry.bufferSize;
+        this.latest = {};
+        this.buffer = new Array(this.bufferSize);
+        this.head = 0;
+        this.count = 0;
+    }
+
+    ingest(data, source = 'mqtt') {
+        const receivedAt = Date.now();
+        const sample = { received_at: receivedAt, source_timestamp: data.timestamp ?? null, source, values: {} };
+
+        Object.entries(SIGNALS).forEach(([signal, spec]) => {
+            const field = spec.fields.find(name => typeof data[name] === 'number' && Number.isFinite(data[name]));
+            if (!field) return;
+
+            const value = data[field];
+            sample.values[signal] = value;
+            this.latest[signal] = {
+                value: value,
+                received_at: receivedAt,
+                source_timestamp: sample.source_timestamp,
+                in_range: value >= spec.min && value <= spec.max
+            };
+        });
+
+        if (Object.keys(sample.values).length === 0) return null;
+
+        // Ring buffer: overwrite the oldest sample once full
+        this.buffer[this.head] = sample;
+        this.head = (this.head + 1) % this.bufferSize;
+        this.count = Math.min(this.count + 1, this.bufferSize);
+        return sample;
+    }
+
+    // DATA QUALITY: good | stale | out_of_range | missing (per signal)
+    signalQuality(signal, now = Date.now()) {
+        const entry = this.latest[signal];
+        if (!entry) return 'missing';
+        if (now - entry.received_at > this.staleAfterMs) return 'stale';
+        if (!entry.in_range) return 'out_of_range';
+        return 'good';
+    }
+
+    getQuality(signals = CONTROL_SIGNALS, now = Date.now()) {
+        const perSignal = {};
+        signals.forEach(signal => {
+            perSignal[signal] = this.signalQuality(signal, now);
+        });
+        // Worst signal decides the overall flag
+        const order = ['missing', 'stale', 'out_of_range', 'good'];
+        const overall = order.find(flag => Object.values(perSignal).includes(flag)) || 'good';
+        return { overall, signals: perSignal };
+    }
+
+    isStale(signals = CONTROL_SIGNALS, now = Date.now()) {
+        return this.getQuality(signals, now).overall !== 'good';
+    }
+
+    getLatest(signal) {
+        return this.latest[signal] || null;
+    }
+
+    // Initial state for the MPC, with enough metadata to decide whether to act on it
+    getSystemState(now = Date.now()) {
+        const quality = this.getQuality(CONTROL_SIGNALS, now);
+        const state = {};
+        Object.keys(SIGNALS).forEach(signal => {
+            state[signal] = this.latest[signal] ? this.latest[signal].value : null;
+        });
+        const receivedTimes = CONTROL_SIGNALS
+            .filter(signal => this.latest[signal])
+            .map(signal => this.latest[signal].received_at);
+
+        return {
+            ...state,
+            quality: quality.overall,
+            signal_quality: quality.signals,
+            usable: quality.overall === 'good',
+            age_ms: receivedTimes.length ? now - Math.min(...receivedTimes) : null,
+            timestamp: receivedTimes.length ? new Date(Math.max(...receivedTimes)).toISOString() : null
+        };
+    }
+
+    // Buffered samples, oldest first, optionally since a given time
+    getHistory(sinceMs = 0) {
+        const samples = [];
+        for (let i = 0; i < this.count; i++) {
+            const sample = this.buffer[(this.head - this.count + i + this.bufferSize) % this.bufferSize];
+            if (sample.received_at >= sinceMs) samples.push(sample);
+        }
+        return samples;
+    }
+
+    getSnapshot() {
+        return {
+            latest: this.latest,
+            quality: this.getQuality(Object.keys(SIGNALS)),
+            buffered_samples: this.count,
+            stale_after_ms: this.staleAfterMs
+        };
+    }
+}
+
+TelemetryStore.SIGNALS = SIGNALS;
+TelemetryStore.CONTROL_SIGNALS = CONTROL_SIGNALS;
+
+module.exports = TelemetryStore;
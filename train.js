@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// train.js - OFFLINE TRAINING CLI FOR THE HE-NMPC NEURAL MODEL
+// Usage: node train.js --from logs/ --out models/ [--epochs 300] [--ensemble 5] [--validation 0.2] [--activate]
+const TrainingPipeline = require('./training-pipeline');
+const ModelRegistry = require('./model-registry');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const pipeline = new TrainingPipeline(args.from);
+    const registry = new ModelRegistry(args.out);
+
+    console.log(`🧠 Training HE-NMPC model from ${pipeline.logDir}`);
+    const { model, metrics, dataset } = await pipeline.train({
+        epochs: args.epochs ? parseInt(args.epochs, 10) : undefined,
+        ensembleSize: args.ensemble ? parseInt(args.ensemble, 10) : undefined,
+        validationRatio: args.validation ? parseFloat(args.validation) : undefined,
+        seed: args.seed ? parseInt(args.seed, 10) : undefined
+    });
+
+    console.log(`📊 Samples: ${dataset.train_samples} train / ${dataset.validation_samples} validation`);
+    console.log(`   MAE efficiency: ${metrics.mae_efficiency.toFixed(3)} %`);
+    console.log(`   MAE cost:       ${metrics.mae_cost.toFixed(3)} KES/m³`);
+
+    const entry = registry.register(model, metrics, dataset);
+    // Started by the server as a background job: report the registered version back
+    if (process.send) process.send({ entry });
+    if (args.activate) {
+        registry.activate(entry.version);
+        console.log(`✅ Activated ${entry.version}`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Training failed:', error.message);
+    if (process.send) process.send({ error: error.message });
+    process.exitCode = 1;
+}).finally(() => {
+    // An open IPC channel would keep the job process alive
+    if (process.connected) process.disconnect();
+});
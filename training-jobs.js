@@ -0,0 +1,102 @@
+// training-jobs.js - BACKGROUND MODEL TRAINING (train.js IN A CHILD PROCESS, POLLED BY JOB ID)
+const { fork } = require('child_process');
+const path = require('path');
+const config = require('./config');
+
+class TrainingJobs {
+    constructor(options = {}) {
+        this.logDir = options.logDir;                   // history the child trains on
+        this.modelDir = options.modelDir;               // registry the child writes to
+        this.onTrained = options.onTrained || null;     // (entry, job) once a model is registered
+        this.timeoutMs = options.timeoutMs ?? config.training.timeoutMs;
+        this.script = options.script || path.join(__dirname, 'train.js');
+        this.jobs = new Map();
+        this.nextId = 1;
+        this.maxJobs = options.maxJobs ?? 20;           // finished jobs kept for polling
+    }
+
+    running() {
+        return [...this.jobs.values()].find(job => job.status === 'running') || null;
+    }
+
+    // Training takes minutes of CPU: it never runs on the server's event loop.
+    // One job at a time, registry versions are numbered by the writer
+    start({ epochs, ensembleSize, validationRatio, activate = false } = {}) {
+        const busy = this.running();
+        if (busy) throw new Error(`Training job ${busy.id} is still running`);
+
+        const args = ['--from', this.logDir, '--out', this.modelDir];
+        if (epochs !== undefined) args.push('--epochs', String(epochs));
+        if (ensembleSize !== undefined) args.push('--ensemble', String(ensembleSize));
+        if (validationRatio !== undefined) args.push('--validation', String(validationRatio));
+
+        const job = {
+            id: `train-${this.nextId++}`,
+            status: 'running',
+            options: { epochs, ensemble_size: ensembleSize, validation_ratio: validationRatio, activate: Boolean(activate) },
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            entry: null,
+            activated: false,
+            error: null
+        };
+        this.jobs.set(job.id, job);
+        this.prune();
+
+        const child = fork(this.script, args, { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+        const timer = setTimeout(() => {
+            job.error = `Training exceeded ${this.timeoutMs / 1000}s`;
+            child.kill();
+        }, this.timeoutMs);
+        timer.unref();
+
+        child.on('message', message => {
+            if (message.entry) job.entry = message.entry;
+            if (message.error) job.error = message.error;
+        });
+        child.on('error', error => {
+            job.error = error.message;
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            this.finish(job, code);
+        });
+        console.log(`🧠 Training job ${job.id} started (pid ${child.pid})`);
+        return job;
+    }
+
+    finish(job, code) {
+        if (job.status !== 'running') return;
+        job.finished_at = new Date().toISOString();
+        if (code !== 0 || !job.entry) {
+            job.status = 'failed';
+            job.error = job.error || `Training exited with code ${code}`;
+            console.error(`❌ Training job ${job.id} failed:`, job.error);
+            return;
+        }
+        job.status = 'completed';
+        console.log(`✅ Training job ${job.id} registered ${job.entry.version}`);
+        if (!this.onTrained) return;
+        try {
+            this.onTrained(job.entry, job);
+        } catch (error) {
+            job.error = error.message;
+            console.error(`❌ Training job ${job.id} follow-up failed:`, error.message);
+        }
+    }
+
+    prune() {
+        const finished = [...this.jobs.values()].filter(job => job.status !== 'running');
+        finished.slice(0, Math.max(0, this.jobs.size - this.maxJobs)).forEach(job => this.jobs.delete(job.id));
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    list() {
+        return [...this.jobs.values()].reverse();
+    }
+}
+
+module.exports = TrainingJobs;
@@ -0,0 +1,111 @@
+// training-pipeline.js - DATASETS + TRAINING FOR THE NEURAL ECONOMIC MODEL
+const NeuralEconomicModel = require('./neural-economic-model');
+const HistoryStore = require('./history-store');
+
+class TrainingPipeline {
+    constructor(logDir, historyStore = null) {
+        // Training logs are the telemetry / decision streams of the history store
+        this.historyStore = historyStore || new HistoryStore(logDir);
+        this.logDir = this.historyStore.dataDir;
+        this.efficiencyWindowMs = 5 * 60 * 1000; // telemetry matched to a decision
+        this.minSamples = 10;
+    }
+
+    // LOGGING (one JSONL file per record type per day)
+    appendRecord(type, record) {
+        this.historyStore.append(type, record);
+    }
+
+    // Only the two streams the dataset pairs; telemetry is cut down to the efficiency reading
+    async readRecords(logDir = this.logDir) {
+        const store = logDir === this.logDir ? this.historyStore : new HistoryStore(logDir);
+        const records = await store.read({ stream: 'mpc_decision' });
+        await store.scan({ stream: 'telemetry' }, record => {
+            if (record.efficiency === undefined) return;
+            records.push({ type: record.type, timestamp: record.timestamp, recorded_at: record.recorded_at, efficiency: record.efficiency });
+        });
+        return records;
+    }
+
+    // DATASET: MPC decisions labelled with the efficiency actually measured afterwards
+    buildDataset(records) {
+        const timeOf = record => Date.parse(record.timestamp || record.recorded_at);
+        const telemetry = records
+            .filter(record => record.type === 'telemetry' && record.efficiency !== undefined)
+            .map(record => ({ time: timeOf(record), efficiency: record.efficiency }))
+            .sort((a, b) => a.time - b.time);
+        const decisions = records
+            .filter(record => record.type === 'mpc_decision' && record.features && record.targets)
+            .map(record => ({ time: timeOf(record), record }))
+            .sort((a, b) => a.time - b.time);
+
+        // Both lists are in time order: one pass finds the first sample at or after each decision
+        let next = 0;
+        return decisions.map(({ time: decidedAt, record: decision }) => {
+            while (next < telemetry.length && telemetry[next].time < decidedAt) next++;
+            const sample = telemetry[next];
+            const measured = sample && sample.time - decidedAt <= this.efficiencyWindowMs ? sample : null;
+            return {
+                features: decision.features,
+                targets: {
+                    ...decision.targets,
+                    efficiency: measured ? measured.efficiency : decision.targets.efficiency
+                },
+                measured: Boolean(measured),
+                timestamp: decision.timestamp || decision.recorded_at
+            };
+        });
+    }
+
+    // Chronological split: validation is always later than training data
+    splitDataset(samples, validationRatio = 0.2) {
+        const cut = Math.max(1, Math.floor(samples.length * (1 - validationRatio)));
+        return {
+            train: samples.slice(0, cut),
+            validation: samples.slice(cut)
+        };
+    }
+
+    async train(options = {}) {
+        const records = await this.readRecords(options.from || this.logDir);
+        const samples = this.buildDataset(records);
+        if (samples.length < this.minSamples) {
+            throw new Error(`Not enough training samples (${samples.length} < ${this.minSamples})`);
+        }
+
+        const { train, validation } = this.splitDataset(samples, options.validationRatio ?? 0.2);
+        const model = new NeuralEconomicModel();
+        const { final_loss } = model.train(train, {
+            epochs: options.epochs,
+            ensembleSize: options.ensembleSize,
+            hiddenLayers: options.hiddenLayers,
+            learningRate: options.learningRate,
+            seed: options.seed
+        });
+
+        const trainMAE = model.evaluate(train);
+        const validationMAE = validation.length > 0 ? model.evaluate(validation) : trainMAE;
+
+        return {
+            model,
+            metrics: {
+                mae_efficiency: validationMAE.efficiency,
+                mae_cost: validationMAE.cost_per_m3,
+                validation_mae: validationMAE,
+                train_mae: trainMAE,
+                final_loss: final_loss
+            },
+            dataset: {
+                source: options.from || this.logDir,
+                samples: samples.length,
+                train_samples: train.length,
+                validation_samples: validation.length,
+                measured_efficiency_labels: samples.filter(sample => sample.measured).length,
+                from: samples[0].timestamp,
+                to: samples[samples.length - 1].timestamp
+            }
+        };
+    }
+}
+
+module.exports = TrainingPipeline;
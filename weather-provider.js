@@ -0,0 +1,311 @@
+// weather-provider.js - WEATHER FORECAST SOURCES (OPEN-METEO, FILE, MOCK) WITH DISK CACHE
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const TariffEngine = require('./tariff-engine');
+
+// Nairobi climatology (Kenya Met Department): mock source and last-resort fallback
+const NAIROBI_CLIMATE = {
+    temperature: [16.2, 16.0, 15.8, 15.5, 15.2, 15.0, 15.5, 17.0, 19.5, 21.0, 22.5, 23.0, 23.5, 24.0, 24.0, 23.5, 22.0, 20.5, 19.0, 18.0, 17.5, 17.0, 16.5, 16.2],
+    humidity: [85, 86, 87, 88, 89, 90, 88, 85, 75, 65, 60, 55, 50, 45, 40, 45, 55, 65, 75, 80, 82, 84, 85, 85],
+    cloudcover: [45, 40, 35, 30, 25, 20, 15, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 65, 60, 55, 50],
+    windspeed: 3.2
+};
+
+// Hourly series every source returns (time as ISO UTC, one value per hour)
+const SERIES = ['temperature', 'humidity', 'cloudcover', 'windspeed', 'irradiance'];
+
+// Local midnight at the site, not on the server's clock
+function startOfDay(time, timeZone) {
+    const seconds = Math.floor(time.getTime() / 1000);
+    return new Date((seconds - Math.round(TariffEngine.localParts(time, timeZone).hour * 3600)) * 1000);
+}
+
+// Clear-sky irradiance on the equator, thinned by cloud cover (W/m²)
+function estimateIrradiance(time, cloudcover, timeZone) {
+    const hour = TariffEngine.localParts(time, timeZone).hour;
+    const elevation = Math.sin(Math.PI * (hour - 6.3) / 12.4);
+    return Math.max(0, 1000 * elevation) * (1 - 0.75 * Math.pow(cloudcover / 100, 3.4));
+}
+
+function parseCSV(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length < 2) throw new Error('Weather CSV needs a header row and at least one data row');
+    const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+    return lines.slice(1).map(line => {
+        const cells = line.split(',').map(cell => cell.trim());
+        return Object.fromEntries(header.map((name, i) => [name, name === 'time' ? cells[i] : Number(cells[i])]));
+    });
+}
+
+// SOURCES: async (options, now) -> { hourly: { time, ...SERIES }, current?, label }
+async function fetchOpenMeteo(options) {
+    const params = new URLSearchParams({
+        latitude: options.latitude,
+        longitude: options.longitude,
+        hourly: 'temperature_2m,relativehumidity_2m,cloudcover,windspeed_10m,shortwave_radiation',
+        current_weather: 'true',
+        forecast_days: String(options.forecastDays),
+        timezone: options.timezone
+    });
+    const response = await fetch(`${options.url}?${params}`, { signal: AbortSignal.timeout(options.timeoutMs) });
+    if (!response.ok) throw new Error(`Open-Meteo responded ${response.status}`);
+    const data = await response.json();
+    if (!data.hourly || !Array.isArray(data.hourly.time)) throw new Error('Open-Meteo response has no hourly forecast');
+
+    // Local wall-clock times -> absolute instants
+    const offsetMs = (data.utc_offset_seconds ?? 0) * 1000;
+    const toISO = local => new Date(Date.parse(local + 'Z') - offsetMs).toISOString();
+    return {
+        label: 'Open-Meteo API',
+        hourly: {
+            time: data.hourly.time.map(toISO),
+            temperature: data.hourly.temperature_2m,
+            humidity: data.hourly.relativehumidity_2m,
+            cloudcover: data.hourly.cloudcover,
+            windspeed: data.hourly.windspeed_10m,
+            irradiance: data.hourly.shortwave_radiation
+        },
+        current: data.current_weather ? {
+            temperature: data.current_weather.temperature,
+            windspeed: data.current_weather.windspeed,
+            time: toISO(data.current_weather.time)
+        } : null
+    };
+}
+
+// JSON (same shape as the provider output) or CSV: time,temperature,humidity,cloudcover,windspeed,irradiance
+async function readForecastFile(options) {
+    if (!options.file) throw new Error('No weather file configured (WEATHER_FILE)');
+    const text = fs.readFileSync(options.file, 'utf8');
+    if (path.extname(options.file).toLowerCase() === '.csv') {
+        const rows = parseCSV(text);
+        return {
+            label: `File ${path.basename(options.file)}`,
+            hourly: Object.fromEntries(['time', ...SERIES].map(name => [
+                name, rows.map(row => name === 'time' ? new Date(row.time).toISOString() : row[name])
+            ]))
+        };
+    }
+    const data = JSON.parse(text);
+    return { label: `File ${path.basename(options.file)}`, hourly: data.hourly, current: data.current || null };
+}
+
+// Deterministic climatology days, no network
+async function mockForecast(options, now) {
+    const start = startOfDay(now, options.timezone);
+    const hourly = { time: [], temperature: [], humidity: [], cloudcover: [], windspeed: [], irradiance: [] };
+    for (let h = 0; h < options.forecastDays * 24; h++) {
+        const time = new Date(start.getTime() + h * 3600 * 1000);
+        const hour = TariffEngine.localHour(time, options.timezone);
+        hourly.time.push(time.toISOString());
+        hourly.temperature.push(NAIROBI_CLIMATE.temperature[hour]);
+        hourly.humidity.push(NAIROBI_CLIMATE.humidity[hour]);
+        hourly.cloudcover.push(NAIROBI_CLIMATE.cloudcover[hour]);
+        hourly.windspeed.push(NAIROBI_CLIMATE.windspeed);
+        hourly.irradiance.push(estimateIrradiance(time, NAIROBI_CLIMATE.cloudcover[hour], options.timezone));
+    }
+    return { label: 'Kenya Met Department (Nairobi Climate)', hourly };
+}
+
+class WeatherProvider {
+    constructor(options = {}) {
+        this.options = {
+            latitude: -1.3041,              // KNH
+            longitude: 36.8077,
+            timezone: config.site.timezone,
+            forecastDays: 3,
+            ...config.weather,
+            ...options
+        };
+        this.sources = { 'open-meteo': fetchOpenMeteo, file: readForecastFile, mock: mockForecast };
+        this.memory = null;                 // last forecast, mirrors the cache file
+        this.failure = null;                // { at, count, error } of the last failed fetch, for retry backoff
+    }
+
+    registerSource(name, fetcher) {
+        this.sources[name] = fetcher;
+    }
+
+    // Fresh cache, then the configured source, then stale cache, then climatology
+    async getForecast({ now = new Date(), force = false } = {}) {
+        const source = this.options.source;
+        const cached = this.readCache();
+        const age = cached ? now.getTime() - Date.parse(cached.fetched_at) : Infinity;
+
+        if (!force && cached && cached.source === source && age <= this.options.cacheTtlMs) {
+            return this.present(cached, now, { stale: false, fallback: false, cached: true });
+        }
+        // Source down: serve the fallback without refetching (or waiting on the timeout) until the retry is due
+        if (!force && this.failure && now.getTime() < this.retryAt()) {
+            return this.fallback(cached, age, now, this.failure.error, false);
+        }
+
+        try {
+            const fetcher = this.sources[source];
+            if (!fetcher) throw new Error(`Unknown weather source: ${source}`);
+            const forecast = this.normalize(await fetcher(this.options, now), source, now);
+            this.writeCache(forecast);
+            this.failure = null;
+            return this.present(forecast, now, { stale: false, fallback: false, cached: false });
+        } catch (error) {
+            this.failure = { at: now.getTime(), count: (this.failure ? this.failure.count : 0) + 1, error: error.message };
+            return this.fallback(cached, age, now, error.message, true);
+        }
+    }
+
+    // Exponential backoff from retryMs, never longer than the cache TTL
+    retryAt() {
+        const delay = Math.min(this.options.cacheTtlMs, this.options.retryMs * Math.pow(2, this.failure.count - 1));
+        return this.failure.at + delay;
+    }
+
+    async fallback(cached, age, now, error, log) {
+        const source = this.options.source;
+        const flags = { error: error, retry_at: new Date(this.retryAt()).toISOString() };
+        if (cached && age <= this.options.maxStaleMs && this.covers(cached, now)) {
+            if (log) console.warn(`⚠️ Weather source ${source} failed (${error}), using ${Math.round(age / 60000)} min old forecast`);
+            return this.present(cached, now, { stale: true, fallback: false, cached: true, ...flags });
+        }
+        if (log) console.warn(`⚠️ Weather source ${source} failed (${error}), using Nairobi climatology`);
+        const climate = this.normalize(await mockForecast(this.options, now), 'climatology', now);
+        return this.present(climate, now, { stale: false, fallback: true, cached: false, ...flags });
+    }
+
+    normalize(raw, source, now) {
+        const hourly = raw.hourly || {};
+        if (!Array.isArray(hourly.time) || hourly.time.length === 0) throw new Error('Forecast has no hourly times');
+        if (!Array.isArray(hourly.temperature) || hourly.temperature.length !== hourly.time.length) {
+            throw new Error('Forecast temperature series does not match its times');
+        }
+        const times = hourly.time.map(time => new Date(time));
+        if (times.some(time => Number.isNaN(time.getTime()))) throw new Error('Forecast has an invalid hourly time');
+
+        const series = { time: times.map(time => time.toISOString()) };
+        SERIES.forEach(name => {
+            const values = hourly[name];
+            series[name] = Array.isArray(values) && values.length === times.length && values.some(Number.isFinite)
+                ? values.map(value => (Number.isFinite(value) ? value : null))
+                : null;
+        });
+        // Irradiance is needed downstream; derive it from cloud cover when a source lacks it
+        if (!series.irradiance && series.cloudcover) {
+            series.irradiance = times.map((time, i) => estimateIrradiance(time, series.cloudcover[i] ?? 0, this.options.timezone));
+        }
+
+        return {
+            source: source,
+            source_label: raw.label || source,
+            fetched_at: now.toISOString(),
+            measured_current: raw.current || null,
+            hourly: series
+        };
+    }
+
+    covers(forecast, now) {
+        const last = Date.parse(forecast.hourly.time[forecast.hourly.time.length - 1]);
+        return last >= now.getTime();
+    }
+
+    // Consumer view: hourly arrays start at local midnight today (index = hour of day)
+    present(forecast, now, flags) {
+        const midnight = startOfDay(now, this.options.timezone).getTime();
+        const first = Math.max(0, forecast.hourly.time.findIndex(time => Date.parse(time) >= midnight));
+        const hourly = Object.fromEntries(Object.entries(forecast.hourly).map(([name, values]) =>
+            [name, values ? values.slice(first) : null]
+        ));
+        const current = forecast.measured_current && Math.abs(Date.parse(forecast.measured_current.time) - now.getTime()) < 3 * 3600 * 1000
+            ? forecast.measured_current
+            : {
+                temperature: WeatherProvider.temperatureAt({ hourly }, now),
+                windspeed: WeatherProvider.valueAt({ hourly }, 'windspeed', now) ?? NAIROBI_CLIMATE.windspeed,
+                time: now.toISOString()
+            };
+
+        return {
+            current: current,
+            hourly: hourly,
+            source: forecast.source_label,
+            source_id: forecast.source,
+            fetched_at: forecast.fetched_at,
+            age_ms: now.getTime() - Date.parse(forecast.fetched_at),
+            ...flags
+        };
+    }
+
+    // DISK CACHE (survives restarts, serves as the stale fallback when offline)
+    readCache() {
+        if (this.memory) return this.memory;
+        if (!this.options.cacheFile || !fs.existsSync(this.options.cacheFile)) return null;
+        try {
+            this.memory = JSON.parse(fs.readFileSync(this.options.cacheFile, 'utf8'));
+            return this.memory;
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable weather cache:', error.message);
+            return null;
+        }
+    }
+
+    writeCache(forecast) {
+        this.memory = forecast;
+        if (!this.options.cacheFile) return;
+        try {
+            fs.mkdirSync(path.dirname(this.options.cacheFile), { recursive: true });
+            fs.writeFileSync(this.options.cacheFile, JSON.stringify(forecast));
+        } catch (error) {
+            console.error('❌ Failed to write weather cache:', error.message);
+        }
+    }
+
+    getStatus(now = new Date()) {
+        const cached = this.readCache();
+        return {
+            source: this.options.source,
+            cache_file: this.options.cacheFile,
+            cache_ttl_ms: this.options.cacheTtlMs,
+            fetched_at: cached ? cached.fetched_at : null,
+            age_ms: cached ? now.getTime() - Date.parse(cached.fetched_at) : null,
+            stale: cached ? now.getTime() - Date.parse(cached.fetched_at) > this.options.cacheTtlMs : true,
+            last_error: this.failure ? this.failure.error : null,
+            retry_at: this.failure ? new Date(this.retryAt()).toISOString() : null
+        };
+    }
+
+    // DISTURBANCES: hourly forecast interpolated onto the MPC sample grid
+    static valueAt(forecast, series, time) {
+        if (!forecast || !forecast.hourly) return null;
+        const values = forecast.hourly[series];
+        const times = forecast.hourly.time;
+        if (!values || !times || times.length === 0) return null;
+        const t = time.getTime();
+        const i = times.findIndex(value => Date.parse(value) > t);
+        if (i === -1) return values[values.length - 1];
+        if (i === 0) return values[0];
+        if (values[i - 1] === null || values[i] === null) return values[i - 1] ?? values[i];
+        const t0 = Date.parse(times[i - 1]);
+        const t1 = Date.parse(times[i]);
+        return values[i - 1] + (values[i] - values[i - 1]) * (t - t0) / (t1 - t0);
+    }
+
+    static temperatureAt(forecast, time) {
+        if (!forecast || !forecast.hourly) return null;
+        if (!forecast.hourly.time) {
+            // Legacy shape: 24 values indexed by hour of day
+            return forecast.hourly.temperature ? forecast.hourly.temperature[TariffEngine.localHour(time)] : null;
+        }
+        return WeatherProvider.valueAt(forecast, 'temperature', time);
+    }
+
+    static ambientForecast(forecast, start, steps, stepSeconds) {
+        const fallback = forecast?.current?.temperature ?? 20;
+        const values = [];
+        for (let k = 0; k < steps; k++) {
+            values.push(WeatherProvider.temperatureAt(forecast, new Date(start.getTime() + k * stepSeconds * 1000)) ?? fallback);
+        }
+        return values;
+    }
+}
+
+WeatherProvider.NAIROBI_CLIMATE = NAIROBI_CLIMATE;
+
+module.exports = WeatherProvider;
@@ -0,0 +1,145 @@
+// weather-provider.test.js - OFFLINE TESTS FOR THE WEATHER PROVIDER (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WeatherProvider = require('./weather-provider');
+
+const NOW = new Date('2026-03-10T09:30:00Z');
+const MINUTE = 60 * 1000;
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'weather-'));
+}
+
+// Provider on a registered source that counts its calls; no network, no shared cache file
+function provider(source, options = {}) {
+    const calls = { count: 0 };
+    const weather = new WeatherProvider({
+        source: 'test', cacheFile: path.join(tempDir(), 'weather.json'),
+        cacheTtlMs: 10 * MINUTE, retryMs: 30 * 1000, ...options
+    });
+    weather.registerSource('test', async (opts, now) => {
+        calls.count++;
+        return source(opts, now);
+    });
+    return { weather, calls };
+}
+
+// Climatology forecast as a healthy source would return it
+const mock = (opts, now) => new WeatherProvider({ source: 'mock', cacheFile: null })
+    .getForecast({ now }).then(forecast => ({ label: 'test', hourly: forecast.hourly }));
+const down = () => { throw new Error('offline'); };
+
+test('mock source runs offline with hourly series and a current reading', async () => {
+    const weather = new WeatherProvider({ source: 'mock', cacheFile: null });
+    const forecast = await weather.getForecast({ now: NOW });
+    assert.strictEqual(forecast.fallback, false);
+    assert.strictEqual(forecast.stale, false);
+    assert.strictEqual(forecast.hourly.temperature.length, forecast.hourly.time.length);
+    assert.ok(Number.isFinite(forecast.current.temperature));
+});
+
+test('fresh cache is served without calling the source', async () => {
+    const { weather, calls } = provider(mock);
+    await weather.getForecast({ now: NOW });
+    const cached = await weather.getForecast({ now: new Date(NOW.getTime() + 5 * MINUTE) });
+    assert.strictEqual(calls.count, 1);
+    assert.strictEqual(cached.cached, true);
+    assert.strictEqual(cached.stale, false);
+});
+
+test('cache file survives a restart', async () => {
+    const { weather } = provider(mock);
+    await weather.getForecast({ now: NOW });
+    const restarted = provider(down, { cacheFile: weather.options.cacheFile });
+    const forecast = await restarted.weather.getForecast({ now: new Date(NOW.getTime() + MINUTE) });
+    assert.strictEqual(restarted.calls.count, 0);
+    assert.strictEqual(forecast.cached, true);
+});
+
+test('failed source without a cache falls back to climatology and flags it', async () => {
+    const { weather } = provider(down);
+    const forecast = await weather.getForecast({ now: NOW });
+    assert.strictEqual(forecast.fallback, true);
+    assert.strictEqual(forecast.error, 'offline');
+    assert.ok(forecast.hourly.temperature.every(Number.isFinite));
+});
+
+test('expired cache is served as stale when the source fails', async () => {
+    const { weather } = provider(mock);
+    await weather.getForecast({ now: NOW });
+    weather.registerSource('test', down);
+    const forecast = await weather.getForecast({ now: new Date(NOW.getTime() + 20 * MINUTE) });
+    assert.strictEqual(forecast.stale, true);
+    assert.strictEqual(forecast.fallback, false);
+});
+
+test('offline source is not refetched on every call, retries back off up to the TTL', async () => {
+    const { weather, calls } = provider(down);
+    for (let i = 0; i < 5; i++) {
+        const forecast = await weather.getForecast({ now: new Date(NOW.getTime() + i * 2000) });
+        assert.strictEqual(forecast.fallback, true);
+    }
+    assert.strictEqual(calls.count, 1);
+
+    // First retry after retryMs, the next one after twice as long
+    await weather.getForecast({ now: new Date(NOW.getTime() + 31 * 1000) });
+    assert.strictEqual(calls.count, 2);
+    await weather.getForecast({ now: new Date(NOW.getTime() + 61 * 1000) });
+    assert.strictEqual(calls.count, 2);
+    await weather.getForecast({ now: new Date(NOW.getTime() + 92 * 1000) });
+    assert.strictEqual(calls.count, 3);
+
+    // Never waits longer than the TTL
+    weather.failure.count = 20;
+    assert.strictEqual(weather.retryAt() - weather.failure.at, weather.options.cacheTtlMs);
+});
+
+test('a successful retry clears the backoff', async () => {
+    const { weather, calls } = provider(down);
+    await weather.getForecast({ now: NOW });
+    weather.registerSource('test', async (opts, now) => {
+        calls.count++;
+        return mock(opts, now);
+    });
+    const forecast = await weather.getForecast({ now: new Date(NOW.getTime() + 31 * 1000) });
+    assert.strictEqual(forecast.fallback, false);
+    assert.strictEqual(weather.failure, null);
+    assert.strictEqual(weather.getStatus(NOW).retry_at, null);
+});
+
+test('force refresh ignores the backoff', async () => {
+    const { weather, calls } = provider(down);
+    await weather.getForecast({ now: NOW });
+    await weather.getForecast({ now: NOW, force: true });
+    assert.strictEqual(calls.count, 2);
+});
+
+test('file source reads a CSV forecast and derives missing irradiance', async () => {
+    const file = path.join(tempDir(), 'forecast.csv');
+    const rows = ['time,temperature,cloudcover'];
+    for (let h = 0; h < 48; h++) {
+        rows.push(`${new Date(Date.parse('2026-03-09T21:00:00Z') + h * 3600 * 1000).toISOString()},${20 + (h % 24) / 4},30`);
+    }
+    fs.writeFileSync(file, rows.join('\n'));
+    const weather = new WeatherProvider({ source: 'file', file, cacheFile: null });
+    const forecast = await weather.getForecast({ now: NOW });
+    assert.strictEqual(forecast.fallback, false);
+    assert.ok(forecast.hourly.irradiance.some(value => value > 0));
+});
+
+test('hourly values are interpolated onto the MPC sample grid', () => {
+    const forecast = {
+        hourly: {
+            time: ['2026-03-10T09:00:00.000Z', '2026-03-10T10:00:00.000Z'],
+            temperature: [20, 24]
+        }
+    };
+    assert.strictEqual(WeatherProvider.valueAt(forecast, 'temperature', new Date('2026-03-10T09:30:00Z')), 22);
+    assert.deepStrictEqual(
+        WeatherProvider.ambientForecast(forecast, new Date('2026-03-10T09:00:00Z'), 3, 900),
+        [20, 21, 22]
+    );
+});